@@ -26,9 +26,10 @@ import ArtistScreen from './src/screens/ArtistScreen';
 
 // Import components
 import MiniPlayer from './src/components/player/MiniPlayer';
+import PlaybackNotice from './src/components/player/PlaybackNotice';
 
 // Import context provider
-import { AudioProvider, useAudio } from './src/context/AudioContext';
+import { AudioProvider, usePlayer } from './src/context/AudioContext';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -123,7 +124,7 @@ const TabNavigator = () => (
 
 // eslint-disable-next-line no-unused-vars
 const MainScreen = ({ navigation }) => {
-  const { currentTrack } = useAudio();
+  const { currentTrack } = usePlayer();
   return (
     // eslint-disable-next-line react-native/no-inline-styles
     <View style={{ flex: 1, backgroundColor: '#121212' }}>
@@ -255,6 +256,7 @@ const App = () => {
               <Stack.Screen name="Artist" component={ArtistScreen} />
             </Stack.Navigator>
             <MiniPlayer />
+            <PlaybackNotice />
           </NavigationContainer>
         </AudioProvider>
       </SafeAreaProvider>
@@ -0,0 +1,6 @@
+/* eslint-env jest */
+
+// AsyncStorage has no native module under jest; its in-memory mock keeps values per test file
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
@@ -1,6 +1,8 @@
 import React, { useState, useCallback, useRef, useMemo } from 'react';
 import { View, StyleSheet, FlatList, TouchableOpacity, Text, Image, Dimensions } from 'react-native';
-import { useAudio } from '../../context/AudioContext';
+import { Ionicons } from '@expo/vector-icons';
+import { useLibrary } from '../../context/AudioContext';
+import { getAlbumArtist, getAlbumKey } from '../../utils/albums';
 
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorView from '../common/ErrorView';
@@ -14,7 +16,7 @@ const WINDOW_SIZE = 6; // Number of items to render at once
 const MAX_TO_RENDER_PER_BATCH = 4;
 
 const AlbumsTab = ({ navigation, searchQuery }) => {
-  const { audioFiles } = useAudio();
+  const { audioFiles, shuffleAlbums } = useLibrary();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const flatListRef = useRef(null);
@@ -26,15 +28,17 @@ const AlbumsTab = ({ navigation, searchQuery }) => {
       const albums = {};
 
       audioFiles.forEach(song => {
-        if (!albums[song.album]) {
-          albums[song.album] = {
-            title: song.album,
-            artist: song.artist,
+        const albumKey = getAlbumKey(song);
+        if (!albums[albumKey]) {
+          albums[albumKey] = {
+            key: albumKey,
+            title: song.album || 'Unknown Album',
+            artist: getAlbumArtist(song),
             cover: song.cover,
             songs: [],
           };
         }
-        albums[song.album].songs.push(song);
+        albums[albumKey].songs.push(song);
       });
 
       // Filter albums based on search query
@@ -72,7 +76,7 @@ const AlbumsTab = ({ navigation, searchQuery }) => {
             marginRight,
           },
         ]}
-        onPress={() => navigation.navigate('AlbumDetails', { album: item })}
+        onPress={() => navigation.navigate('AlbumDetails', { albumKey: item.key })}
       >
         <View style={styles.albumArtContainer}>
           {item.cover ? (
@@ -104,7 +108,7 @@ const AlbumsTab = ({ navigation, searchQuery }) => {
     );
   }, [layoutMode, navigation]);
 
-  const keyExtractor = useCallback((item) => item.title, []);
+  const keyExtractor = useCallback((item) => item.key, []);
 
   const getItemLayout = useCallback((data, index) => ({
     length: ITEM_HEIGHT,
@@ -154,6 +158,14 @@ const AlbumsTab = ({ navigation, searchQuery }) => {
           removeClippedSubviews={true}
           initialNumToRender={10}
           onEndReachedThreshold={0.5}
+          ListHeaderComponent={
+            groupedAlbums.length > 1 ? (
+              <TouchableOpacity style={styles.shuffleAlbumsButton} onPress={shuffleAlbums}>
+                <Ionicons name="shuffle" size={18} color="#fff" />
+                <Text style={styles.shuffleAlbumsText}>Shuffle Albums</Text>
+              </TouchableOpacity>
+            ) : null
+          }
           key={layoutMode} // Force re-render when layout changes
         />
       </View>
@@ -175,6 +187,22 @@ const styles = StyleSheet.create({
   listContent: {
     padding: 16,
   },
+  shuffleAlbumsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#FF4893',
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    marginBottom: 16,
+  },
+  shuffleAlbumsText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
   albumItem: {
     marginBottom: 16,
     backgroundColor: 'rgba(255,255,255,0.05)',
@@ -1,11 +1,11 @@
 import React, { useState, useRef } from 'react';
 import { View, Text, StyleSheet, FlatList, TouchableOpacity, Modal, Animated, TextInput } from 'react-native';
-import { useAudio } from '../../context/AudioContext';
+import { usePlaylists } from '../../context/AudioContext';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 
 const PlaylistsTab = ({ route, navigation, searchQuery }) => {
-  const { playlists, createPlaylist, deletePlaylist, createSmartPlaylist } = useAudio();
+  const { playlists, createPlaylist, deletePlaylist, createSmartPlaylist } = usePlaylists();
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showOptionsModal, setShowOptionsModal] = useState(false);
   const [showSmartPlaylistModal, setShowSmartPlaylistModal] = useState(false);
@@ -1,6 +1,7 @@
 import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { View, StyleSheet, FlatList, TouchableOpacity, Text, Modal, Animated } from 'react-native';
-import { useAudio } from '../../context/AudioContext';
+import { useLibrary, usePlayer } from '../../context/AudioContext';
+import { compareAlbumTracks, getAlbumArtist } from '../../utils/albums';
 import TrackItem from '../track/TrackItem';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -25,11 +26,11 @@ const SongsTab = ({ route, navigation, searchQuery }) => {
   const {
     audioFiles,
     playTrack,
-    currentTrack,
     loadMoreTracks,
     isLoadingMore,
     hasMore,
-  } = useAudio();
+  } = useLibrary();
+  const { currentTrack } = usePlayer();
   const [showSortModal, setShowSortModal] = useState(false);
   const [sortBy, setSortBy] = useState('title');
   const [sortDirection, setSortDirection] = useState('asc');
@@ -51,7 +52,7 @@ const SongsTab = ({ route, navigation, searchQuery }) => {
         filtered = filtered.filter(song =>
           song.title.toLowerCase().includes(query) ||
           song.artist.toLowerCase().includes(query) ||
-          song.album.toLowerCase().includes(query)
+          (song.album || '').toLowerCase().includes(query)
         );
       }
 
@@ -67,7 +68,12 @@ const SongsTab = ({ route, navigation, searchQuery }) => {
             comparison = a.artist.localeCompare(b.artist);
             break;
           case 'album':
-            comparison = a.album.localeCompare(b.album);
+            comparison = (a.album || '').localeCompare(b.album || '') ||
+              getAlbumArtist(a).localeCompare(getAlbumArtist(b));
+            if (comparison === 0) {
+              // Within an album keep disc and track order whichever way the albums are sorted
+              return compareAlbumTracks(a, b);
+            }
             break;
           case 'duration':
             comparison = a.duration - b.duration;
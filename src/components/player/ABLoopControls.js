@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  FlatList,
+} from 'react-native';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { usePlayer, usePlaybackProgress } from '../../context/AudioContext';
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+};
+
+// Highlights the looped range on top of a progress bar
+export const ABLoopRange = ({ style }) => {
+  const { abLoop } = usePlayer();
+  const { playbackDuration } = usePlaybackProgress();
+  if (!abLoop || !playbackDuration) {
+    return null;
+  }
+
+  const left = (abLoop.start / playbackDuration) * 100;
+  const right = abLoop.end !== null ? (abLoop.end / playbackDuration) * 100 : left;
+  return (
+    <View
+      pointerEvents="none"
+      style={[styles.range, style, { left: `${left}%`, width: `${Math.max(right - left, 0.5)}%` }]}
+    />
+  );
+};
+
+const ABLoopControls = () => {
+  const {
+    abLoop,
+    setLoopStart,
+    setLoopEnd,
+    clearLoop,
+    currentTrackLoops,
+    saveLoop,
+    recallLoop,
+    deleteSavedLoop,
+  } = usePlayer();
+  const [showLoops, setShowLoops] = useState(false);
+  const [loopName, setLoopName] = useState('');
+
+  const isLooping = abLoop && abLoop.end !== null;
+
+  const handleSave = () => {
+    if (saveLoop(loopName)) {
+      setLoopName('');
+    }
+  };
+
+  const handleRecall = (loopId) => {
+    recallLoop(loopId);
+    setShowLoops(false);
+  };
+
+  const renderLoop = ({ item }) => (
+    <View style={styles.loopRow}>
+      <TouchableOpacity style={styles.loopInfo} onPress={() => handleRecall(item.id)}>
+        <Text style={styles.loopName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.loopRange}>{formatTime(item.start)} – {formatTime(item.end)}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.iconButton} onPress={() => deleteSavedLoop(item.id)}>
+        <Ionicons name="trash-outline" size={18} color="rgba(255,255,255,0.7)" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={[styles.pointButton, abLoop && styles.pointButtonActive]}
+        onPress={setLoopStart}
+      >
+        <Text style={styles.pointText}>A{abLoop ? ` ${formatTime(abLoop.start)}` : ''}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.pointButton, isLooping && styles.pointButtonActive]}
+        onPress={setLoopEnd}
+      >
+        <Text style={styles.pointText}>B{isLooping ? ` ${formatTime(abLoop.end)}` : ''}</Text>
+      </TouchableOpacity>
+
+      {abLoop && (
+        <TouchableOpacity style={styles.iconButton} onPress={clearLoop}>
+          <Ionicons name="close-circle-outline" size={22} color="#fff" />
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles.iconButton} onPress={() => setShowLoops(true)}>
+        <MaterialCommunityIcons
+          name="repeat-variant"
+          size={22}
+          color={currentTrackLoops.length > 0 ? '#FF4893' : '#fff'}
+        />
+      </TouchableOpacity>
+
+      <Modal
+        visible={showLoops}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowLoops(false)}
+      >
+        <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={() => setShowLoops(false)}>
+          <TouchableOpacity style={styles.modalContent} activeOpacity={1}>
+            <Text style={styles.modalTitle}>Saved Loops</Text>
+
+            {isLooping && (
+              <View style={styles.saveRow}>
+                <TextInput
+                  style={styles.input}
+                  placeholder={`Name for ${formatTime(abLoop.start)} – ${formatTime(abLoop.end)}`}
+                  placeholderTextColor="#999"
+                  value={loopName}
+                  onChangeText={setLoopName}
+                  onSubmitEditing={handleSave}
+                />
+                <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+                  <Text style={styles.saveButtonText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            <FlatList
+              data={currentTrackLoops}
+              renderItem={renderLoop}
+              keyExtractor={item => item.id}
+              style={styles.loopList}
+              ListEmptyComponent={
+                <Text style={styles.emptyText}>
+                  Set A and B on this track to save a loop.
+                </Text>
+              }
+            />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  range: {
+    position: 'absolute',
+    top: 0,
+    height: '100%',
+    backgroundColor: 'rgba(255,255,255,0.45)',
+    zIndex: 2,
+  },
+  pointButton: {
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginHorizontal: 4,
+  },
+  pointButtonActive: {
+    backgroundColor: '#FF4893',
+  },
+  pointText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  iconButton: {
+    padding: 6,
+    marginHorizontal: 2,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#262626',
+    borderRadius: 16,
+    padding: 20,
+    width: '85%',
+    maxHeight: '70%',
+  },
+  modalTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    borderRadius: 8,
+    padding: 12,
+    color: '#fff',
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: '#FF4893',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    marginLeft: 12,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  loopList: {
+    flexGrow: 0,
+  },
+  loopRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  loopInfo: {
+    flex: 1,
+  },
+  loopName: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  loopRange: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  emptyText: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 14,
+    textAlign: 'center',
+    paddingVertical: 16,
+  },
+});
+
+export default ABLoopControls;
@@ -1,11 +1,11 @@
-import React, { useContext } from 'react';
+import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
 import Slider from '@react-native-community/slider';
-import { AudioContext } from '../../context/AudioContext';
+import { usePlayer } from '../../context/AudioContext';
 import { EQUALIZER_BANDS, EQUALIZER_PRESETS } from '../../utils/equalizer';
 
 const EqualizerControls = () => {
-  const audioContext = useContext(AudioContext);
+  const audioContext = usePlayer();
 
   // Default values if context is not available
   const equalizerEnabled = audioContext?.equalizerEnabled || false;
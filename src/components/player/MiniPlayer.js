@@ -11,16 +11,30 @@ import {
   TouchableWithoutFeedback,
   ActivityIndicator,
 } from 'react-native';
-import { useAudio } from '../../context/AudioContext';
+import { usePlayer, usePlaybackProgress, usePlaylists } from '../../context/AudioContext';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { LinearGradient } from 'expo-linear-gradient';
 
 import AlbumArt from '../../components/album/AlbumArt';
+import SleepTimerCountdown from './SleepTimerCountdown';
+
+// Thin progress line; the only part of the mini player that updates while a track plays
+const MiniPlayerProgress = () => {
+  const { playbackPosition, playbackDuration } = usePlaybackProgress();
+  const progress = playbackDuration > 0 ? (playbackPosition / playbackDuration) * 100 : 0;
+
+  return (
+    <View style={styles.progressBar}>
+      <View style={[styles.progressFill, { width: `${progress}%` }]} />
+    </View>
+  );
+};
 
 const MiniPlayer = ({ onPress }) => {
   const navigation = useNavigation();
-  const audioContext = useAudio(); // Get the whole context first
+  const audioContext = usePlayer(); // Progress is read by MiniPlayerProgress only
+  const { isTrackLiked, playlists } = usePlaylists();
 
   // Move all hooks before any conditional returns
   const [showContextMenu, setShowContextMenu] = useState(false);
@@ -100,21 +114,18 @@ const MiniPlayer = ({ onPress }) => {
     isLoading,
     togglePlayPause,
     handleNext,
-    playbackPosition,
-    playbackDuration,
-    isTrackLiked,
     toggleLike,
     addToPlaylist,
-    playlists,
+    playNext,
+    userQueue,
+    clearQueue,
+    sleepTimer,
   } = audioContext;
 
   if (!currentTrack) {
     return null;
   }
 
-  // Calculate progress percentage
-  const progress = playbackDuration > 0 ? (playbackPosition / playbackDuration) * 100 : 0;
-
   const showContextMenuHandler = () => {
     setShowContextMenu(true);
   };
@@ -142,6 +153,16 @@ const MiniPlayer = ({ onPress }) => {
     hidePlaylistMenu();
   };
 
+  const handlePlayAgainNext = () => {
+    playNext(currentTrack);
+    hideContextMenu();
+  };
+
+  const handleClearQueue = () => {
+    clearQueue();
+    hideContextMenu();
+  };
+
   return (
     <>
       <Animated.View
@@ -163,9 +184,7 @@ const MiniPlayer = ({ onPress }) => {
           activeOpacity={0.9}
           delayLongPress={500}
         >
-          <View style={styles.progressBar}>
-            <View style={[styles.progressFill, { width: `${progress}%` }]} />
-          </View>
+          <MiniPlayerProgress />
 
           <View style={styles.content}>
             <View style={styles.trackInfo}>
@@ -180,6 +199,13 @@ const MiniPlayer = ({ onPress }) => {
                 <Text style={styles.title} numberOfLines={1}>{currentTrack.title}</Text>
                 <Text style={styles.artist} numberOfLines={1}>{currentTrack.artist}</Text>
               </View>
+
+              {sleepTimer && (
+                <View style={styles.sleepTimer}>
+                  <Ionicons name="moon" size={12} color="#FF4893" />
+                  <SleepTimerCountdown style={styles.sleepTimerText} />
+                </View>
+              )}
             </View>
 
             <View style={styles.controls}>
@@ -270,6 +296,38 @@ const MiniPlayer = ({ onPress }) => {
                 </Text>
               </TouchableOpacity>
 
+              <TouchableOpacity
+                style={styles.contextMenuItem}
+                onPress={handlePlayAgainNext}
+              >
+                <LinearGradient
+                  colors={['#FF7676', '#FF9A8B']}
+                  style={styles.contextMenuIcon}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                >
+                  <Ionicons name="return-down-forward" size={22} color="#fff" />
+                </LinearGradient>
+                <Text style={styles.contextMenuText}>Play Again Next</Text>
+              </TouchableOpacity>
+
+              {userQueue.length > 0 && (
+                <TouchableOpacity
+                  style={styles.contextMenuItem}
+                  onPress={handleClearQueue}
+                >
+                  <LinearGradient
+                    colors={['#4E65FF', '#92EFFD']}
+                    style={styles.contextMenuIcon}
+                    start={{ x: 0, y: 0 }}
+                    end={{ x: 1, y: 1 }}
+                  >
+                    <Ionicons name="trash-outline" size={22} color="#fff" />
+                  </LinearGradient>
+                  <Text style={styles.contextMenuText}>Clear Queue ({userQueue.length})</Text>
+                </TouchableOpacity>
+              )}
+
               <TouchableOpacity
                 style={styles.contextMenuItem}
                 onPress={showPlaylistMenuHandler}
@@ -476,6 +534,21 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.7)',
     fontSize: 13,
   },
+  sleepTimer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 72, 147, 0.15)',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginHorizontal: 8,
+  },
+  sleepTimerText: {
+    color: '#FF4893',
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
   controls: {
     flexDirection: 'row',
     alignItems: 'center',
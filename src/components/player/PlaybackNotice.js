@@ -0,0 +1,54 @@
+import React from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { usePlayer } from '../../context/AudioContext';
+
+// Non-blocking message from the player, e.g. when an unplayable file was skipped
+const PlaybackNotice = () => {
+  const { playbackNotice, dismissPlaybackNotice } = usePlayer();
+  const insets = useSafeAreaInsets();
+
+  if (!playbackNotice) {
+    return null;
+  }
+
+  return (
+    <TouchableOpacity
+      key={playbackNotice.id}
+      style={[styles.notice, { top: insets.top + 8 }]}
+      onPress={dismissPlaybackNotice}
+      activeOpacity={0.9}
+    >
+      <Ionicons name="alert-circle" size={20} color="#FF4893" />
+      <Text style={styles.noticeText} numberOfLines={2}>{playbackNotice.message}</Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  notice: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#262626',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+  noticeText: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    marginLeft: 10,
+  },
+});
+
+export default PlaybackNotice;
@@ -0,0 +1,156 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Switch,
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import { usePlayer, isLongFormTrack } from '../../context/AudioContext';
+
+const SPEED_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+export const formatRate = (rate) => `${Number(rate.toFixed(2))}x`;
+
+const PlaybackSpeedModal = ({ visible, onClose }) => {
+  const {
+    currentTrack,
+    playbackRate,
+    setPlaybackRate,
+    pitchCorrection,
+    togglePitchCorrection,
+  } = usePlayer();
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+        <TouchableOpacity style={styles.modalContent} activeOpacity={1}>
+          <Text style={styles.modalTitle}>Playback Speed</Text>
+          <Text style={styles.modalSubtitle}>
+            {isLongFormTrack(currentTrack)
+              ? 'Remembered for this episode/book'
+              : 'Applies to all music'}
+          </Text>
+
+          <View style={styles.sliderRow}>
+            <Slider
+              style={styles.slider}
+              minimumValue={0.5}
+              maximumValue={3}
+              step={0.05}
+              value={playbackRate}
+              onSlidingComplete={setPlaybackRate}
+              minimumTrackTintColor="#FF4893"
+              maximumTrackTintColor="#555"
+              thumbTintColor="#FF4893"
+            />
+            <Text style={styles.rateText}>{formatRate(playbackRate)}</Text>
+          </View>
+
+          <View style={styles.options}>
+            {SPEED_OPTIONS.map(rate => (
+              <TouchableOpacity
+                key={rate}
+                style={[styles.option, playbackRate === rate && styles.optionSelected]}
+                onPress={() => setPlaybackRate(rate)}
+              >
+                <Text style={styles.optionText}>{formatRate(rate)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Keep original pitch</Text>
+            <Switch
+              value={pitchCorrection}
+              onValueChange={togglePitchCorrection}
+              trackColor={{ false: '#767577', true: '#FF4893' }}
+              thumbColor={pitchCorrection ? '#fff' : '#f4f3f4'}
+            />
+          </View>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#262626',
+    borderRadius: 16,
+    padding: 20,
+    width: '85%',
+  },
+  modalTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  modalSubtitle: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 13,
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  sliderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  slider: {
+    flex: 1,
+    height: 40,
+  },
+  rateText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    width: 56,
+    textAlign: 'right',
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  option: {
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#FF4893',
+  },
+  optionText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  settingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  settingLabel: {
+    color: '#fff',
+    fontSize: 16,
+  },
+});
+
+export default PlaybackSpeedModal;
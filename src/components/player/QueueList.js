@@ -0,0 +1,495 @@
+import React, { useRef, useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Image,
+  TouchableOpacity,
+  FlatList,
+  Animated,
+  PanResponder,
+  Modal,
+  TextInput,
+} from 'react-native';
+import Swipeable from 'react-native-gesture-handler/Swipeable';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { useLibrary, usePlayer, usePlaylists } from '../../context/AudioContext';
+
+// Height of a queue row including its bottom margin, used to turn drag distance into positions
+const QUEUE_ROW_HEIGHT = 82;
+
+// Handle artwork for queue items
+const getArtworkSource = (track) => {
+  if (!track.artwork) {
+    return null;
+  }
+  if (typeof track.artwork === 'string') {
+    return { uri: track.artwork };
+  }
+  if (track.artwork.uri) {
+    return { uri: track.artwork.uri };
+  }
+  return track.artwork;
+};
+
+const QueueRow = ({
+  track,
+  isCurrentTrack,
+  canRemove,
+  canDrag,
+  liked,
+  onPress,
+  onRemove,
+  onToggleLike,
+  onMove,
+  onDragStateChange,
+}) => {
+  const translateY = useRef(new Animated.Value(0)).current;
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Keep the latest callbacks around for the pan responder, which is only created once
+  const callbacksRef = useRef({ onMove, onDragStateChange });
+  callbacksRef.current = { onMove, onDragStateChange };
+
+  const dragResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => {
+      setIsDragging(true);
+      callbacksRef.current.onDragStateChange(true);
+    },
+    onPanResponderMove: (_, gestureState) => {
+      translateY.setValue(gestureState.dy);
+    },
+    onPanResponderRelease: (_, gestureState) => {
+      const offset = Math.round(gestureState.dy / QUEUE_ROW_HEIGHT);
+      translateY.setValue(0);
+      setIsDragging(false);
+      callbacksRef.current.onDragStateChange(false);
+      if (offset !== 0) {
+        callbacksRef.current.onMove(offset);
+      }
+    },
+    onPanResponderTerminate: () => {
+      translateY.setValue(0);
+      setIsDragging(false);
+      callbacksRef.current.onDragStateChange(false);
+    },
+  }), [translateY]);
+
+  const artworkSource = getArtworkSource(track);
+
+  const renderRemoveAction = () => (
+    <View style={styles.removeAction}>
+      <Ionicons name="trash-outline" size={22} color="#fff" />
+      <Text style={styles.removeActionText}>Remove</Text>
+    </View>
+  );
+
+  return (
+    <Swipeable
+      enabled={canRemove && !isDragging}
+      renderRightActions={renderRemoveAction}
+      rightThreshold={80}
+      onSwipeableOpen={onRemove}
+    >
+      <Animated.View
+        style={[
+          styles.queueItem,
+          isCurrentTrack && styles.currentQueueItem,
+          isDragging && styles.draggingQueueItem,
+          { transform: [{ translateY }] },
+        ]}
+      >
+        <TouchableOpacity style={styles.queueItemContent} onPress={onPress}>
+          {artworkSource ? (
+            <Image source={artworkSource} style={styles.queueItemArtwork} />
+          ) : (
+            <View style={[styles.queueItemArtwork, styles.placeholderArtwork]}>
+              <Ionicons name="musical-note" size={20} color="#aaa" />
+            </View>
+          )}
+          <View style={styles.queueItemInfo}>
+            <Text
+              style={[styles.queueItemTitle, isCurrentTrack && styles.currentQueueItemText]}
+              numberOfLines={1}
+            >
+              {track.title}
+            </Text>
+            <Text style={styles.queueItemArtist} numberOfLines={1}>
+              {track.artist}
+            </Text>
+          </View>
+        </TouchableOpacity>
+
+        {onToggleLike && (
+          <TouchableOpacity style={styles.queueItemButton} onPress={onToggleLike}>
+            <Ionicons
+              name={liked ? 'heart' : 'heart-outline'}
+              size={20}
+              color={liked ? '#FF4893' : '#aaa'}
+            />
+          </TouchableOpacity>
+        )}
+
+        {canDrag && (
+          <View style={styles.dragHandle} {...dragResponder.panHandlers}>
+            <MaterialCommunityIcons name="drag-horizontal-variant" size={22} color="#aaa" />
+          </View>
+        )}
+      </Animated.View>
+    </Swipeable>
+  );
+};
+
+const QueueList = ({ onTrackSelected }) => {
+  const {
+    currentTrack,
+    currentIndex,
+    currentPlaylist,
+    shuffleOrder,
+    userQueue,
+    isPlayingFromQueue,
+    playTrack,
+    playFromQueue,
+    removeFromQueue,
+    reorderQueue,
+    reorderCurrentPlaylist,
+    removeFromCurrentPlaylist,
+    clearQueue,
+    clearUpcoming,
+    saveQueueAsPlaylist,
+    toggleLike,
+  } = usePlayer();
+  const { audioFiles } = useLibrary();
+  const { isTrackLiked } = usePlaylists();
+
+  const [isDragging, setIsDragging] = useState(false);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [playlistName, setPlaylistName] = useState('');
+
+  // Use currentPlaylist as the queue if available, otherwise fallback to audioFiles
+  const isEditable = currentPlaylist && currentPlaylist.length > 0;
+  const playlist = isEditable ? currentPlaylist : audioFiles.slice(0, 10);
+  // Shuffled, the playlist is listed in the order it plays; moving tracks there would not change it
+  const isShuffled = isEditable && !!shuffleOrder && shuffleOrder.length === playlist.length;
+  const playlistOrder = isShuffled ? shuffleOrder : playlist.map((_, position) => position);
+
+  // Tracks queued by the user come first, followed by the playlist context
+  const queueData = [
+    ...(userQueue.length > 0 ? [{ key: 'queue-header', type: 'header', title: 'Next in Queue' }] : []),
+    ...userQueue.map((entry, position) => ({
+      key: entry.queueId,
+      type: 'queued',
+      track: entry.track,
+      queueId: entry.queueId,
+      position,
+    })),
+    ...(userQueue.length > 0 ? [{ key: 'playlist-header', type: 'header', title: 'Next from Playlist' }] : []),
+    ...playlistOrder.map(position => ({
+      key: `playlist-${playlist[position].id}-${position}`,
+      type: 'playlist',
+      track: playlist[position],
+      position,
+    })),
+  ];
+
+  const handlePlayEntry = (entry) => {
+    if (entry.type === 'queued') {
+      playFromQueue(entry.queueId);
+    } else {
+      playTrack(entry.track, playlist, entry.position);
+    }
+
+    if (onTrackSelected) {
+      onTrackSelected();
+    }
+  };
+
+  const handleMoveEntry = (entry, offset) => {
+    const sectionLength = entry.type === 'queued' ? userQueue.length : playlist.length;
+    const target = Math.min(Math.max(entry.position + offset, 0), sectionLength - 1);
+
+    if (entry.type === 'queued') {
+      reorderQueue(entry.position, target);
+    } else {
+      reorderCurrentPlaylist(entry.position, target);
+    }
+  };
+
+  const handleRemoveEntry = (entry) => {
+    if (entry.type === 'queued') {
+      removeFromQueue(entry.queueId);
+    } else {
+      removeFromCurrentPlaylist(entry.position);
+    }
+  };
+
+  const handleSaveQueue = () => {
+    if (playlistName.trim()) {
+      saveQueueAsPlaylist(playlistName.trim());
+      setPlaylistName('');
+      setShowSaveModal(false);
+    }
+  };
+
+  const renderQueueItem = ({ item: entry }) => {
+    if (entry.type === 'header') {
+      return <Text style={styles.queueSectionTitle}>{entry.title}</Text>;
+    }
+
+    const isQueued = entry.type === 'queued';
+    const isCurrentTrack = !isQueued && !isPlayingFromQueue && entry.position === currentIndex;
+
+    return (
+      <QueueRow
+        track={entry.track}
+        isCurrentTrack={isCurrentTrack}
+        canRemove={isQueued || (isEditable && !isCurrentTrack)}
+        canDrag={isQueued || (isEditable && !isShuffled)}
+        liked={isTrackLiked(entry.track.id)}
+        onPress={() => handlePlayEntry(entry)}
+        onRemove={() => handleRemoveEntry(entry)}
+        onToggleLike={isQueued ? null : () => toggleLike(entry.track.id)}
+        onMove={(offset) => handleMoveEntry(entry, offset)}
+        onDragStateChange={setIsDragging}
+      />
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={clearQueue}
+          disabled={userQueue.length === 0}
+        >
+          <MaterialCommunityIcons name="playlist-remove" size={16} color="#fff" />
+          <Text style={styles.actionButtonText}>Clear queue</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={clearUpcoming}>
+          <Ionicons name="trash-outline" size={16} color="#fff" />
+          <Text style={styles.actionButtonText}>Clear upcoming</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => setShowSaveModal(true)}
+          disabled={!currentTrack}
+        >
+          <MaterialCommunityIcons name="playlist-plus" size={16} color="#fff" />
+          <Text style={styles.actionButtonText}>Save as playlist</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={queueData}
+        renderItem={renderQueueItem}
+        keyExtractor={item => item.key}
+        contentContainerStyle={styles.queueList}
+        showsVerticalScrollIndicator={false}
+        scrollEnabled={!isDragging}
+      />
+
+      <Modal
+        visible={showSaveModal}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowSaveModal(false)}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={() => setShowSaveModal(false)}
+        >
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Save Queue as Playlist</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Playlist Name"
+              placeholderTextColor="#999"
+              value={playlistName}
+              onChangeText={setPlaylistName}
+              autoFocus
+            />
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton]}
+                onPress={() => {
+                  setPlaylistName('');
+                  setShowSaveModal(false);
+                }}
+              >
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton]}
+                onPress={handleSaveQueue}
+              >
+                <Text style={styles.buttonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 12,
+    paddingTop: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  queueList: {
+    paddingBottom: 200, // Extra space for scrolling past controls
+  },
+  queueSectionTitle: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    paddingHorizontal: 12,
+    paddingTop: 12,
+    paddingBottom: 8,
+  },
+  queueItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: QUEUE_ROW_HEIGHT - 8,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  },
+  currentQueueItem: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  draggingQueueItem: {
+    backgroundColor: 'rgba(255, 72, 147, 0.2)',
+    zIndex: 10,
+  },
+  queueItemContent: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  queueItemArtwork: {
+    width: 50,
+    height: 50,
+    borderRadius: 6,
+    marginRight: 12,
+  },
+  placeholderArtwork: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  queueItemInfo: {
+    flex: 1,
+  },
+  queueItemTitle: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  queueItemArtist: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 12,
+  },
+  currentQueueItemText: {
+    color: '#FF4893',
+  },
+  queueItemButton: {
+    padding: 8,
+  },
+  dragHandle: {
+    padding: 8,
+  },
+  removeAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    backgroundColor: '#E53935',
+    borderRadius: 8,
+    marginBottom: 8,
+    paddingHorizontal: 20,
+    flex: 1,
+  },
+  removeActionText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#262626',
+    borderRadius: 16,
+    padding: 20,
+    width: '85%',
+  },
+  modalTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  input: {
+    backgroundColor: '#333',
+    borderRadius: 8,
+    padding: 12,
+    color: '#fff',
+    fontSize: 16,
+    marginBottom: 20,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  button: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    marginLeft: 12,
+  },
+  cancelButton: {
+    backgroundColor: '#333',
+  },
+  saveButton: {
+    backgroundColor: '#FF4893',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default QueueList;
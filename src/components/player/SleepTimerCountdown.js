@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Text } from 'react-native';
+import { usePlayer, usePlaybackProgress } from '../../context/AudioContext';
+
+const formatRemaining = (seconds) => {
+  const total = Math.max(Math.ceil(seconds), 0);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const paddedSecs = secs < 10 ? `0${secs}` : secs;
+  if (hours > 0) {
+    return `${hours}:${mins < 10 ? `0${mins}` : mins}:${paddedSecs}`;
+  }
+  return `${mins}:${paddedSecs}`;
+};
+
+// Human readable time left on the sleep timer, or null when no timer is set
+export const useSleepTimerLabel = () => {
+  const {
+    sleepTimer,
+    currentPlaylist,
+    currentIndex,
+    isShuffle,
+    isRadioMode,
+    userQueue,
+    playbackRate,
+  } = usePlayer();
+  const { playbackPosition, playbackDuration } = usePlaybackProgress();
+  const [now, setNow] = useState(Date.now());
+
+  // Only a fixed duration timer needs its own clock, the others follow the playback position
+  useEffect(() => {
+    if (!sleepTimer || sleepTimer.mode !== 'duration') {
+      return undefined;
+    }
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [sleepTimer]);
+
+  if (!sleepTimer) {
+    return null;
+  }
+
+  // Positions are in track time, the countdown is in real time
+  const trackRemaining = (playbackDuration - playbackPosition) / playbackRate;
+
+  if (sleepTimer.mode === 'duration') {
+    return formatRemaining((sleepTimer.endsAt - now) / 1000);
+  }
+  if (sleepTimer.mode === 'endOfTrack') {
+    return formatRemaining(trackRemaining);
+  }
+
+  // End of album/playlist
+  if (isShuffle || isRadioMode) {
+    const tracksLeft = sleepTimer.tracksLeft + 1;
+    return tracksLeft === 1 ? '1 track' : `${tracksLeft} tracks`;
+  }
+  const queuedSeconds = userQueue.reduce((sum, entry) => sum + (entry.track.duration || 0), 0);
+  const playlistSeconds = currentPlaylist
+    .slice(currentIndex + 1)
+    .reduce((sum, track) => sum + (track.duration || 0), 0);
+  return formatRemaining(trackRemaining + (queuedSeconds + playlistSeconds) / playbackRate);
+};
+
+const SleepTimerCountdown = ({ style, fallback = null }) => {
+  const label = useSleepTimerLabel();
+  if (!label && !fallback) {
+    return null;
+  }
+  return <Text style={style} numberOfLines={1}>{label || fallback}</Text>;
+};
+
+export default SleepTimerCountdown;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { usePlayer } from '../../context/AudioContext';
+import SleepTimerCountdown from './SleepTimerCountdown';
+
+const DURATION_OPTIONS = [15, 30, 45, 60, 90];
+const EXTEND_OPTIONS = [5, 15];
+
+const SleepTimerModal = ({ visible, onClose }) => {
+  const { sleepTimer, startSleepTimer, extendSleepTimer, cancelSleepTimer } = usePlayer();
+  const [customMinutes, setCustomMinutes] = useState('');
+
+  const startTimer = (mode, minutes) => {
+    startSleepTimer(mode, minutes);
+    onClose();
+  };
+
+  const handleStartCustom = () => {
+    const minutes = parseInt(customMinutes, 10);
+    if (minutes > 0) {
+      setCustomMinutes('');
+      startTimer('duration', minutes);
+    }
+  };
+
+  const handleCancel = () => {
+    cancelSleepTimer();
+    onClose();
+  };
+
+  const renderOption = (label, icon, onPress) => (
+    <TouchableOpacity key={label} style={styles.option} onPress={onPress}>
+      <Ionicons name={icon} size={20} color="#fff" />
+      <Text style={styles.optionText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+        <TouchableOpacity style={styles.modalContent} activeOpacity={1}>
+          <Text style={styles.modalTitle}>Sleep Timer</Text>
+
+          {sleepTimer && (
+            <View style={styles.activeTimer}>
+              <View style={styles.activeTimerInfo}>
+                <Ionicons name="moon" size={18} color="#FF4893" />
+                <SleepTimerCountdown style={styles.activeTimerText} />
+              </View>
+              <View style={styles.activeTimerActions}>
+                {sleepTimer.mode === 'duration' && EXTEND_OPTIONS.map(minutes => (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={styles.chip}
+                    onPress={() => extendSleepTimer(minutes)}
+                  >
+                    <Text style={styles.chipText}>+{minutes} min</Text>
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity style={[styles.chip, styles.cancelChip]} onPress={handleCancel}>
+                  <Text style={styles.chipText}>Turn off</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          {DURATION_OPTIONS.map(minutes => renderOption(
+            `${minutes} minutes`,
+            'time-outline',
+            () => startTimer('duration', minutes)
+          ))}
+          {renderOption('End of current track', 'musical-note-outline', () => startTimer('endOfTrack'))}
+          {renderOption('End of album / playlist', 'albums-outline', () => startTimer('endOfPlaylist'))}
+
+          <View style={styles.customRow}>
+            <TextInput
+              style={styles.input}
+              placeholder="Custom minutes"
+              placeholderTextColor="#999"
+              value={customMinutes}
+              onChangeText={setCustomMinutes}
+              keyboardType="number-pad"
+              onSubmitEditing={handleStartCustom}
+            />
+            <TouchableOpacity style={styles.startButton} onPress={handleStartCustom}>
+              <Text style={styles.startButtonText}>Start</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#262626',
+    borderRadius: 16,
+    padding: 20,
+    width: '85%',
+  },
+  modalTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  activeTimer: {
+    backgroundColor: '#333',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  activeTimerInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  activeTimerText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  activeTimerActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  cancelChip: {
+    backgroundColor: '#FF4893',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  optionText: {
+    color: '#fff',
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  customRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    borderRadius: 8,
+    padding: 12,
+    color: '#fff',
+    fontSize: 16,
+  },
+  startButton: {
+    backgroundColor: '#FF4893',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    marginLeft: 12,
+  },
+  startButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default SleepTimerModal;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAudioActions } from '../../context/AudioContext';
+
+const MIN_TRACK_COUNT = 2;
+const MAX_TRACK_COUNT = 50;
+
+// Short label for the player button, or null when stop-after is off
+export const getStopAfterLabel = (stopAfter) => {
+  if (!stopAfter) {
+    return null;
+  }
+  if (stopAfter.mode === 'track') {
+    return 'After track';
+  }
+  if (stopAfter.mode === 'album') {
+    return 'After album';
+  }
+  const tracksLeft = stopAfter.tracksLeft + 1;
+  return tracksLeft === 1 ? '1 track' : `${tracksLeft} tracks`;
+};
+
+const StopAfterModal = ({ visible, onClose }) => {
+  const { setStopAfterMode } = useAudioActions();
+  const [trackCount, setTrackCount] = useState(3);
+
+  const selectMode = (mode, count) => {
+    setStopAfterMode(mode, count);
+    onClose();
+  };
+
+  const changeTrackCount = (delta) => {
+    setTrackCount(prev => Math.min(Math.max(prev + delta, MIN_TRACK_COUNT), MAX_TRACK_COUNT));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+        <TouchableOpacity style={styles.modalContent} activeOpacity={1}>
+          <Text style={styles.modalTitle}>Stop Playback</Text>
+
+          <TouchableOpacity style={styles.option} onPress={() => selectMode('track')}>
+            <Ionicons name="musical-note-outline" size={20} color="#fff" />
+            <Text style={styles.optionText}>After current track</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.option} onPress={() => selectMode('album')}>
+            <Ionicons name="disc-outline" size={20} color="#fff" />
+            <Text style={styles.optionText}>After current album</Text>
+          </TouchableOpacity>
+
+          <View style={styles.countRow}>
+            <TouchableOpacity style={styles.countOption} onPress={() => selectMode('tracks', trackCount)}>
+              <Ionicons name="list-outline" size={20} color="#fff" />
+              <Text style={styles.optionText}>After {trackCount} tracks</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepButton} onPress={() => changeTrackCount(-1)}>
+              <Ionicons name="remove" size={18} color="#fff" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepButton} onPress={() => changeTrackCount(1)}>
+              <Ionicons name="add" size={18} color="#fff" />
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#262626',
+    borderRadius: 16,
+    padding: 20,
+    width: '85%',
+  },
+  modalTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  optionText: {
+    color: '#fff',
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  countRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  countOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.12)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+});
+
+export default StopAfterModal;
@@ -12,10 +12,10 @@ import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
-import { useAudio } from '../../context/AudioContext';
+import { usePlaylists } from '../../context/AudioContext';
 
 const PlaylistSelectionModal = ({ visible, onClose, onSelect, track }) => {
-  const { playlists } = useAudio();
+  const { playlists } = usePlaylists();
   const navigation = useNavigation();
 
   // Get random gradient colors for playlists
@@ -0,0 +1,353 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TouchableWithoutFeedback,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { usePlayer } from '../../context/AudioContext';
+import AlbumArt from '../album/AlbumArt';
+
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const paddedSecs = `${secs < 10 ? '0' : ''}${secs}`;
+  if (hours > 0) {
+    return `${hours}:${mins < 10 ? '0' : ''}${mins}:${paddedSecs}`;
+  }
+  return `${mins}:${paddedSecs}`;
+};
+
+// "44.1 kHz • 16-bit", for files whose stream properties were read
+const formatAudioFormat = (track) => {
+  if (!track.sampleRate) {
+    return null;
+  }
+  const rate = `${Math.round(track.sampleRate / 100) / 10} kHz`;
+  return track.bitDepth ? `${rate} • ${track.bitDepth}-bit` : rate;
+};
+
+// "3 of 12", or just "3" when the total is unknown
+const formatPosition = (number, total) => {
+  if (!number) {
+    return null;
+  }
+  return total ? `${number} of ${total}` : `${number}`;
+};
+
+const SongInfoSheet = ({ track, visible, onClose }) => {
+  const {
+    currentTrack,
+    getResumePosition,
+    isTrackFinished,
+    markTrackFinished,
+    markTrackUnfinished,
+    getTrackBookmarks,
+    addBookmark,
+    removeBookmark,
+    jumpToBookmark,
+  } = usePlayer();
+  const [bookmarkName, setBookmarkName] = useState('');
+
+  if (!track) {
+    return null;
+  }
+
+  const isCurrentTrack = currentTrack && currentTrack.id === track.id;
+  const resumePosition = getResumePosition(track.id);
+  const finished = isTrackFinished(track.id);
+  const trackBookmarks = getTrackBookmarks(track.id);
+
+  const details = [
+    { label: 'Album', value: track.album },
+    { label: 'Album Artist', value: track.albumArtist },
+    { label: 'Composer', value: track.composer },
+    { label: 'Track', value: formatPosition(track.trackNumber, track.trackTotal) },
+    { label: 'Disc', value: formatPosition(track.discNumber, track.discTotal) },
+    { label: 'Year', value: track.year },
+    { label: 'Original Year', value: track.originalYear !== track.year ? track.originalYear : null },
+    { label: 'BPM', value: track.bpm },
+    { label: 'ISRC', value: track.isrc },
+    { label: 'Duration', value: track.duration ? formatTime(track.duration) : null },
+    { label: 'Format', value: formatAudioFormat(track) },
+    { label: 'File', value: track.filename },
+  ].filter(detail => detail.value);
+
+  const handleAddBookmark = () => {
+    addBookmark(bookmarkName);
+    setBookmarkName('');
+  };
+
+  const handleJump = (bookmark) => {
+    jumpToBookmark(track, bookmark);
+    onClose();
+  };
+
+  const handleResume = () => {
+    jumpToBookmark(track, { position: resumePosition });
+    onClose();
+  };
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.modalOverlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.sheet}>
+              <View style={styles.sheetHandle} />
+
+              <View style={styles.header}>
+                <AlbumArt track={track} size={56} textSize={20} />
+                <View style={styles.headerText}>
+                  <Text style={styles.title} numberOfLines={2}>{track.title}</Text>
+                  <Text style={styles.artist} numberOfLines={1}>{track.artist}</Text>
+                </View>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                  <Ionicons name="close" size={24} color="#fff" />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView style={styles.content}>
+                {details.map(detail => (
+                  <View key={detail.label} style={styles.detailRow}>
+                    <Text style={styles.detailLabel}>{detail.label}</Text>
+                    <Text style={styles.detailValue} numberOfLines={1}>{detail.value}</Text>
+                  </View>
+                ))}
+
+                <View style={styles.progressRow}>
+                  {finished ? (
+                    <Text style={styles.progressText}>Finished</Text>
+                  ) : resumePosition > 0 ? (
+                    <TouchableOpacity style={styles.resumeButton} onPress={handleResume}>
+                      <Ionicons name="play" size={16} color="#fff" />
+                      <Text style={styles.resumeText}>Resume from {formatTime(resumePosition)}</Text>
+                    </TouchableOpacity>
+                  ) : (
+                    <Text style={styles.progressText}>Not started</Text>
+                  )}
+                  <TouchableOpacity
+                    style={styles.chip}
+                    onPress={() => (finished ? markTrackUnfinished(track.id) : markTrackFinished(track.id))}
+                  >
+                    <Ionicons name={finished ? 'refresh' : 'checkmark-done'} size={14} color="#fff" />
+                    <Text style={styles.chipText}>{finished ? 'Mark as unplayed' : 'Mark as finished'}</Text>
+                  </TouchableOpacity>
+                </View>
+
+                <Text style={styles.sectionTitle}>Bookmarks</Text>
+                {trackBookmarks.length === 0 && (
+                  <Text style={styles.emptyText}>No bookmarks yet</Text>
+                )}
+                {trackBookmarks.map(bookmark => (
+                  <View key={bookmark.id} style={styles.bookmarkRow}>
+                    <TouchableOpacity style={styles.bookmarkInfo} onPress={() => handleJump(bookmark)}>
+                      <Text style={styles.bookmarkTime}>{formatTime(bookmark.position)}</Text>
+                      <Text style={styles.bookmarkName} numberOfLines={1}>{bookmark.name}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => removeBookmark(track.id, bookmark.id)}>
+                      <Ionicons name="trash-outline" size={18} color="rgba(255,255,255,0.7)" />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+
+                {/* Bookmarks are taken at the playback position, so only for the playing track */}
+                {isCurrentTrack && (
+                  <View style={styles.addBookmarkRow}>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="Bookmark name"
+                      placeholderTextColor="#999"
+                      value={bookmarkName}
+                      onChangeText={setBookmarkName}
+                      onSubmitEditing={handleAddBookmark}
+                    />
+                    <TouchableOpacity style={styles.addButton} onPress={handleAddBookmark}>
+                      <Ionicons name="bookmark" size={18} color="#fff" />
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </ScrollView>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sheet: {
+    backgroundColor: '#262626',
+    borderRadius: 16,
+    padding: 16,
+    width: '90%',
+    maxHeight: '75%',
+  },
+  sheetHandle: {
+    width: 40,
+    height: 5,
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    borderRadius: 3,
+    alignSelf: 'center',
+    marginBottom: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  headerText: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  artist: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 14,
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    marginTop: 12,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  detailLabel: {
+    color: 'rgba(255,255,255,0.5)',
+    fontSize: 14,
+    marginRight: 16,
+  },
+  detailValue: {
+    color: '#fff',
+    fontSize: 14,
+    flexShrink: 1,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  progressText: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 14,
+  },
+  resumeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF4893',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  resumeText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255,255,255,0.12)',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 13,
+    marginLeft: 6,
+  },
+  sectionTitle: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: 'rgba(255,255,255,0.5)',
+    fontSize: 14,
+    paddingVertical: 8,
+  },
+  bookmarkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 0.5,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  bookmarkInfo: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  bookmarkTime: {
+    color: '#FF4893',
+    fontSize: 14,
+    fontWeight: '600',
+    width: 64,
+  },
+  bookmarkName: {
+    color: '#fff',
+    fontSize: 15,
+    flex: 1,
+  },
+  addBookmarkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    borderRadius: 8,
+    padding: 12,
+    color: '#fff',
+    fontSize: 16,
+  },
+  addButton: {
+    backgroundColor: '#FF4893',
+    borderRadius: 8,
+    padding: 12,
+    marginLeft: 12,
+  },
+});
+
+export default SongInfoSheet;
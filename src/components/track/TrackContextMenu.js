@@ -11,7 +11,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import AlbumArt from '../album/AlbumArt';
-import { useAudio } from '../../context/AudioContext';
+import { usePlaylists } from '../../context/AudioContext';
 
 const TrackContextMenu = ({
   isVisible,
@@ -20,7 +20,7 @@ const TrackContextMenu = ({
   onAddToPlaylist,
   onToggleLike,
 }) => {
-  const { isTrackLiked, playTrack } = useAudio();
+  const { isTrackLiked, playTrack, playNext, addToQueue, startRadio } = usePlaylists();
 
   if (!track) {
     return null;
@@ -34,6 +34,27 @@ const TrackContextMenu = ({
     onClose();
   };
 
+  const handlePlayNext = () => {
+    if (playNext) {
+      playNext(track);
+    }
+    onClose();
+  };
+
+  const handleAddToQueue = () => {
+    if (addToQueue) {
+      addToQueue(track);
+    }
+    onClose();
+  };
+
+  const handleStartRadio = (type, value) => {
+    if (startRadio) {
+      startRadio(type, value);
+    }
+    onClose();
+  };
+
   const handleLike = () => {
     if (onToggleLike) {
       onToggleLike(track.id);
@@ -98,6 +119,70 @@ const TrackContextMenu = ({
                   <Text style={styles.actionButtonText}>Play Now</Text>
                 </TouchableOpacity>
 
+                <TouchableOpacity style={styles.actionButton} onPress={handlePlayNext}>
+                  <LinearGradient
+                    colors={['#FF7676', '#FF9A8B']}
+                    style={styles.actionButtonGradient}
+                    start={{ x: 0, y: 0 }}
+                    end={{ x: 1, y: 1 }}
+                  >
+                    <Ionicons name="return-down-forward" size={22} color="#fff" />
+                  </LinearGradient>
+                  <Text style={styles.actionButtonText}>Play Next</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.actionButton} onPress={handleAddToQueue}>
+                  <LinearGradient
+                    colors={['#4E65FF', '#92EFFD']}
+                    style={styles.actionButtonGradient}
+                    start={{ x: 0, y: 0 }}
+                    end={{ x: 1, y: 1 }}
+                  >
+                    <Ionicons name="list" size={22} color="#fff" />
+                  </LinearGradient>
+                  <Text style={styles.actionButtonText}>Add to Queue</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.actionButton} onPress={() => handleStartRadio('track', track)}>
+                  <LinearGradient
+                    colors={['#FC6767', '#FC9D67']}
+                    style={styles.actionButtonGradient}
+                    start={{ x: 0, y: 0 }}
+                    end={{ x: 1, y: 1 }}
+                  >
+                    <Ionicons name="radio" size={22} color="#fff" />
+                  </LinearGradient>
+                  <Text style={styles.actionButtonText}>Song Radio</Text>
+                </TouchableOpacity>
+
+                {track.artist && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => handleStartRadio('artist', track.artist)}>
+                    <LinearGradient
+                      colors={['#FC6767', '#FC9D67']}
+                      style={styles.actionButtonGradient}
+                      start={{ x: 0, y: 0 }}
+                      end={{ x: 1, y: 1 }}
+                    >
+                      <Ionicons name="radio-outline" size={22} color="#fff" />
+                    </LinearGradient>
+                    <Text style={styles.actionButtonText}>Artist Radio</Text>
+                  </TouchableOpacity>
+                )}
+
+                {track.album && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => handleStartRadio('album', track.album)}>
+                    <LinearGradient
+                      colors={['#FC6767', '#FC9D67']}
+                      style={styles.actionButtonGradient}
+                      start={{ x: 0, y: 0 }}
+                      end={{ x: 1, y: 1 }}
+                    >
+                      <Ionicons name="disc-outline" size={22} color="#fff" />
+                    </LinearGradient>
+                    <Text style={styles.actionButtonText}>Album Radio</Text>
+                  </TouchableOpacity>
+                )}
+
                 <TouchableOpacity style={styles.actionButton} onPress={handleLike}>
                   <LinearGradient
                     colors={liked ? ['#FF4893', '#FF7676'] : ['#333', '#222']}
@@ -8,10 +8,11 @@ import {
   TouchableWithoutFeedback,
 } from 'react-native';
 import { Ionicons, Feather } from '@expo/vector-icons';
-import { useAudio } from '../../context/AudioContext';
+import { usePlaylists } from '../../context/AudioContext';
 import { useNavigation } from '@react-navigation/native';
 import { LinearGradient } from 'expo-linear-gradient';
 import AlbumArt from '../album/AlbumArt';
+import SongInfoSheet from './SongInfoSheet';
 
 const TrackItem = ({
   track,
@@ -20,9 +21,10 @@ const TrackItem = ({
   isPlaying = false,
   showAlbum = false,
 }) => {
-  const { toggleLike, isTrackLiked, addToPlaylist, playlists } = useAudio();
+  const { toggleLike, isTrackLiked, addToPlaylist, playlists, playNext, addToQueue } = usePlaylists();
   const [showContextMenu, setShowContextMenu] = useState(false);
   const [showPlaylistMenu, setShowPlaylistMenu] = useState(false);
+  const [showSongInfo, setShowSongInfo] = useState(false);
   const navigation = useNavigation();
 
   if (!track) {
@@ -41,11 +43,26 @@ const TrackItem = ({
     hideContextMenu();
   };
 
+  const handlePlayNext = () => {
+    playNext(track);
+    hideContextMenu();
+  };
+
+  const handleAddToQueue = () => {
+    addToQueue(track);
+    hideContextMenu();
+  };
+
   const showPlaylistMenuHandler = () => {
     setShowContextMenu(false);
     setShowPlaylistMenu(true);
   };
 
+  const showSongInfoHandler = () => {
+    setShowContextMenu(false);
+    setShowSongInfo(true);
+  };
+
   const hidePlaylistMenu = () => {
     setShowPlaylistMenu(false);
   };
@@ -148,6 +165,36 @@ const TrackItem = ({
                 <Text style={styles.contextMenuText}>Play Now</Text>
               </TouchableOpacity>
 
+              <TouchableOpacity
+                style={styles.contextMenuItem}
+                onPress={handlePlayNext}
+              >
+                <LinearGradient
+                  colors={['#FF7676', '#FF9A8B']}
+                  style={styles.contextMenuIcon}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                >
+                  <Ionicons name="return-down-forward" size={22} color="#fff" />
+                </LinearGradient>
+                <Text style={styles.contextMenuText}>Play Next</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.contextMenuItem}
+                onPress={handleAddToQueue}
+              >
+                <LinearGradient
+                  colors={['#4E65FF', '#92EFFD']}
+                  style={styles.contextMenuIcon}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 1 }}
+                >
+                  <Ionicons name="list" size={22} color="#fff" />
+                </LinearGradient>
+                <Text style={styles.contextMenuText}>Add to Queue</Text>
+              </TouchableOpacity>
+
               <TouchableOpacity
                 style={styles.contextMenuItem}
                 onPress={handleLike}
@@ -201,7 +248,7 @@ const TrackItem = ({
 
               <TouchableOpacity
                 style={styles.contextMenuItem}
-                onPress={hideContextMenu}
+                onPress={showSongInfoHandler}
               >
                 <LinearGradient
                   colors={['#FC6767', '#FC9D67']}
@@ -293,6 +340,12 @@ onPress={() => handleAddToPlaylist(playlist.id)}
 </View>
 </TouchableWithoutFeedback>
 </Modal>
+
+      <SongInfoSheet
+        track={track}
+        visible={showSongInfo}
+        onClose={() => setShowSongInfo(false)}
+      />
 </>
 );
 };
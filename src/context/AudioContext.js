@@ -1,9 +1,21 @@
-import React, { createContext, useContext, useState, useRef, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { Audio } from 'expo-av';
-import { Animated, Easing } from 'react-native';
+import { Animated, Easing, AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as OfflineStorage from '../utils/OfflineStorage';
-import { getSongsAsync } from '../utils/mediaLibrary';
+import { clearLibraryCache, getSongsAsync } from '../utils/mediaLibrary';
+import { rampVolume, runRamp, fadeInCurve, fadeOutCurve } from '../utils/volumeRamp';
+import { createShuffleOrder, createBalancedShuffleOrder, createAlbumShuffleOrder } from '../utils/shuffle';
+import { pickRadioTrack } from '../utils/radio';
+import { compareAlbumTracks, getAlbumArtist, getAlbumKey } from '../utils/albums';
+import {
+  PLAYER_EVENTS,
+  createPlayerState,
+  playerReducer,
+  resolveShuffleState,
+  selectAutoAdvanceChoice,
+} from '../utils/playerCore';
+import { expoAvDriver, getStatusEvent, isInterruptedStatus } from '../utils/expoAvAdapter';
 
 // Helper function to generate a color from a string
 const generateColorFromString = (str) => {
@@ -63,14 +75,8 @@ const safeStorage = {
 // Cleanup function to remove old data
 const cleanupStorage = async () => {
   try {
-    // Get all keys
-    const keys = await AsyncStorage.getAllKeys();
-
-    // Remove old data if we have too many items
-    if (keys.length > 100) {
-      const keysToRemove = keys.slice(0, keys.length - 100);
-      await AsyncStorage.multiRemove(keysToRemove);
-    }
+    // The library caches are rebuilt by the next scan; everything else in storage is the user's
+    await clearLibraryCache();
 
     // Clean up recently played if it's too large
     const recentlyPlayed = await safeStorage.getItem('recentlyPlayed', []);
@@ -90,17 +96,177 @@ const cleanupStorage = async () => {
   }
 };
 
+// Save a value whenever it changes, but only once the saved values are loaded, so the
+// defaults the provider starts with don't overwrite them
+const usePersistedValue = (key, value, loadedRef) => {
+  useEffect(() => {
+    if (loadedRef.current) {
+      safeStorage.setItem(key, value);
+    }
+  }, [key, value, loadedRef]);
+};
+
 const AudioContext = createContext();
 
+// The player state is also published in slices, so a consumer only re-renders when its slice
+// changes. Progress ticks twice a second and only reaches seek bars and time labels.
+const AudioActionsContext = createContext({});
+const PlayerContext = createContext({});
+const PlaybackProgressContext = createContext({ playbackPosition: 0, playbackDuration: 0 });
+const LibraryContext = createContext({});
+const PlaylistsContext = createContext({});
+const OfflineContext = createContext({});
+
 // Export the context itself
 export { AudioContext };
 
+// Everything at once, re-rendering on every progress tick. Prefer the slice hooks below.
 export const useAudio = () => useContext(AudioContext);
 
+// Every function of the provider (plus soundRef and animatedAlbumRef), with identities that never change
+export const useAudioActions = () => useContext(AudioActionsContext);
+
+// Slice state together with all actions. Query functions such as isTrackLiked or getResumePosition
+// are part of the slice whose state they read and change identity with it, so use them through
+// the hook of that slice to re-render on changes.
+const useSlice = (SliceContext) => {
+  const actions = useContext(AudioActionsContext);
+  const slice = useContext(SliceContext);
+  return useMemo(() => ({ ...actions, ...slice }), [actions, slice]);
+};
+
+// Current track, transport state, queue and playback settings
+export const usePlayer = () => useSlice(PlayerContext);
+
+// Position and duration of the current track, in seconds
+export const usePlaybackProgress = () => useContext(PlaybackProgressContext);
+
+// Scanned tracks and albums
+export const useLibrary = () => useSlice(LibraryContext);
+
+// Playlists, recently played and liked songs
+export const usePlaylists = () => useSlice(PlaylistsContext);
+
+// Offline mode and downloads
+export const useOffline = () => useSlice(OfflineContext);
+
+// Wrap every function of the provider value so it calls the latest implementation
+const createStableActions = (value, latestValueRef) => Object.keys(value).reduce((actions, key) => {
+  if (typeof value[key] === 'function') {
+    actions[key] = (...args) => latestValueRef.current[key](...args);
+  }
+  return actions;
+}, { soundRef: value.soundRef, animatedAlbumRef: value.animatedAlbumRef });
+
 const BATCH_SIZE = 100; // Process 100 tracks at a time for better performance
 const INITIAL_LOAD_SIZE = 100; // Number of tracks to load initially
 
-export const AudioProvider = ({ children }) => {
+const SLEEP_TIMER_FADE_MS = 30000; // The sleep timer fades the volume out over this long before pausing
+const LONG_FORM_MIN_DURATION = 20 * 60; // Tracks this long (seconds) are treated as podcasts/audiobooks
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 3;
+const DEFAULT_PROGRESS_INTERVAL_MS = 500; // expo-av's default status update interval
+const LOOP_PROGRESS_INTERVAL_MS = 50; // Faster status updates while an A-B loop is set, so B isn't overshot
+const RESUME_FINISHED_MARGIN = 30; // Stopping this close (seconds) to the end counts as finished
+const RESUME_REWIND = 3; // Resume slightly before where playback stopped, to pick the thread back up
+const PRELOAD_LEAD_MS = 5000; // Start loading the next track this long before the transition
+const RADIO_RECENT_LIMIT = 25; // Radio avoids this many recently played tracks
+const MAX_CONSECUTIVE_ERRORS = 5; // Stop skipping after this many unplayable tracks in a row
+const PLAYBACK_NOTICE_MS = 4000; // How long a playback notice stays on screen
+
+export const isLongFormTrack = (track) => !!track && track.duration >= LONG_FORM_MIN_DURATION;
+
+// Consecutive tracks from one album run into each other (live albums, DJ mixes), so never crossfade them
+const isSameAlbumTransition = (fromTrack, toTrack) => (
+  !!fromTrack && !!toTrack && !!fromTrack.albumId && fromTrack.albumId === toTrack.albumId
+);
+
+// Album check for stop-after, which also has to work for tracks without an album id
+const isSameAlbum = (fromTrack, toTrack) => {
+  if (!fromTrack || !toTrack) {
+    return false;
+  }
+  if (fromTrack.albumId && toTrack.albumId) {
+    return fromTrack.albumId === toTrack.albumId;
+  }
+  return !!fromTrack.album && fromTrack.album === toTrack.album;
+};
+
+// Linear volume for a track's ReplayGain info. setVolumeAsync can't go above 1, so boosts are clamped,
+// and the peak keeps a positive preamp from clipping
+const getReplayGainVolume = (replayGain, mode, preampDb) => {
+  if (!replayGain) {
+    return 1;
+  }
+
+  const hasAlbumGain = typeof replayGain.albumGain === 'number';
+  const hasTrackGain = typeof replayGain.trackGain === 'number';
+  const useAlbum = hasAlbumGain && (mode === 'album' || !hasTrackGain);
+  const gain = useAlbum ? replayGain.albumGain : replayGain.trackGain;
+  if (typeof gain !== 'number') {
+    return 1;
+  }
+
+  let volume = Math.pow(10, (gain + preampDb) / 20);
+  const peak = useAlbum ? replayGain.albumPeak : replayGain.trackPeak;
+  if (peak > 0) {
+    volume = Math.min(volume, 1 / peak);
+  }
+  return Math.min(Math.max(volume, 0), 1);
+};
+
+const SESSION_STORAGE_KEY = 'playbackSession';
+const SESSION_POSITION_SAVE_INTERVAL = 15000; // Save the position at most every 15 seconds while playing
+
+// Drop embedded data-URL artwork so session snapshots stay small; it is restored from audioFiles
+const toSessionTrack = (track) => {
+  if (typeof track.artwork === 'string' && track.artwork.startsWith('data:')) {
+    return { ...track, artwork: null };
+  }
+  return track;
+};
+
+// What a radio station was started from, as saved with the session: its tracks by id
+const toSessionRadioSeed = (seed) => (
+  seed ? { type: seed.type, name: seed.name, trackIds: seed.tracks.map(track => track.id) } : null
+);
+
+// Counter used to give every queue entry a unique id, so the same track can be queued twice
+let queueEntryCounter = 0;
+
+// Wrap tracks into queue entries
+const createQueueEntries = (tracks) => {
+  const list = Array.isArray(tracks) ? tracks : [tracks];
+  return list.filter(Boolean).map(track => {
+    queueEntryCounter += 1;
+    return { queueId: `${track.id}-${Date.now()}-${queueEntryCounter}`, track };
+  });
+};
+
+// Return a copy of list with the item at fromIndex moved to toIndex
+const moveArrayItem = (list, fromIndex, toIndex) => {
+  const items = [...list];
+  const [moved] = items.splice(fromIndex, 1);
+  items.splice(toIndex, 0, moved);
+  return items;
+};
+
+// Work out where the item at index ends up after another item moved from fromIndex to toIndex
+const getIndexAfterMove = (index, fromIndex, toIndex) => {
+  if (index === fromIndex) {
+    return toIndex;
+  }
+  if (fromIndex < index && toIndex >= index) {
+    return index - 1;
+  }
+  if (fromIndex > index && toIndex <= index) {
+    return index + 1;
+  }
+  return index;
+};
+
+// driver loads the sounds; expo-av unless a stand-in is passed
+export const AudioProvider = ({ children, driver = expoAvDriver }) => {
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentIndex, setCurrentIndex] = useState(0);
@@ -114,7 +280,11 @@ export const AudioProvider = ({ children }) => {
   const [playbackPosition, setPlaybackPosition] = useState(0);
   const [playbackDuration, setPlaybackDuration] = useState(0);
   const [isShuffle, setIsShuffle] = useState(false);
+  const [isAlbumShuffle, setIsAlbumShuffle] = useState(false); // With isShuffle: shuffle albums, keep their tracks in order
+  const [smartShuffle, setSmartShuffle] = useState(false); // Spread out artists and albums in the shuffle order
+  const [shuffleOrder, setShuffleOrder] = useState(null); // Playlist indices in the order shuffle plays them, null unless shuffled
   const [isRadioMode, setIsRadioMode] = useState(false);
+  const [radioSeed, setRadioSeed] = useState(null); // What radio was started from: { type, name, tracks }
   const [repeatMode, setRepeatMode] = useState(0); // 0: off, 1: repeat all, 2: repeat one
   const [likedSongs, setLikedSongs] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -131,21 +301,102 @@ export const AudioProvider = ({ children }) => {
   const [currentBatch, setCurrentBatch] = useState(0);
   const [allTracks, setAllTracks] = useState([]);
   const [loadingProgress, setLoadingProgress] = useState(0);
+  const [userQueue, setUserQueue] = useState([]); // Tracks queued by the user, played before the rest of currentPlaylist
+  const [isPlayingFromQueue, setIsPlayingFromQueue] = useState(false);
+  const [crossfadeDuration, setCrossfadeDuration] = useState(0); // Seconds, 0 disables crossfade
+  const [gaplessPlayback, setGaplessPlayback] = useState(false);
+  const [normalization, setNormalization] = useState(false);
+  const [normalizationMode, setNormalizationMode] = useState('track'); // 'track' or 'album' gain
+  const [normalizationPreamp, setNormalizationPreamp] = useState(0); // dB added on top of the ReplayGain value
+  const [fadeDuration, setFadeDuration] = useState(200); // Milliseconds of fade on play, pause, skip and seek; 0 disables
+  const [globalPlaybackRate, setGlobalPlaybackRate] = useState(1); // Speed for music
+  const [trackPlaybackRates, setTrackPlaybackRates] = useState({}); // Track id -> speed, for long-form audio
+  const [pitchCorrection, setPitchCorrection] = useState(true);
+  const [abLoop, setAbLoop] = useState(null); // A-B loop on the current track: { start, end }, end is null until B is set
+  const [savedLoops, setSavedLoops] = useState({}); // Track id -> [{ id, name, start, end }]
+  const [resumeThreshold, setResumeThreshold] = useState(LONG_FORM_MIN_DURATION / 60); // Minutes
+  const [resumePositions, setResumePositions] = useState({}); // Track id -> seconds
+  const [finishedTracks, setFinishedTracks] = useState({}); // Track id -> timestamp it was finished
+  const [bookmarks, setBookmarks] = useState({}); // Track id -> [{ id, name, position, createdAt }]
+  // null, { mode: 'duration', endsAt }, { mode: 'endOfTrack' } or { mode: 'endOfPlaylist', tracksLeft }
+  const [sleepTimer, setSleepTimer] = useState(null);
+  // One-shot stop: null, { mode: 'track' }, { mode: 'album' } or { mode: 'tracks', tracksLeft }
+  const [stopAfter, setStopAfter] = useState(null);
+  const [unplayableTracks, setUnplayableTracks] = useState({}); // Track id -> { id, title, uri, error, failedAt }
+  const [playbackNotice, setPlaybackNotice] = useState(null); // Non-blocking message: { id, message }
+  const [backgroundPlayback, setBackgroundPlayback] = useState(true); // Keep playing with the app in the background
+  const [interruptionBehavior, setInterruptionBehavior] = useState('duck'); // 'duck' or 'pause' when other audio cuts in
+  const [autoResumeAfterInterruption, setAutoResumeAfterInterruption] = useState(true);
+  const [interruption, setInterruption] = useState(null); // Another app or a call took over playback: { since, trackId }
+  const [hasLoadedSavedData, setHasLoadedSavedData] = useState(false); // Settings and per-track data were read from storage
 
   const soundRef = useRef(null);
   const positionIntervalRef = useRef(null);
   const animatedAlbumRef = useRef(new Animated.Value(0)).current;
   const isRadioModeRef = useRef(isRadioMode); // Ref for radio mode
+  const radioSeedRef = useRef(radioSeed);     // Ref for the radio seed
   const repeatModeRef = useRef(repeatMode);   // Ref for repeat mode
   const isShuffleRef = useRef(isShuffle);     // Ref for shuffle mode
+  const isAlbumShuffleRef = useRef(isAlbumShuffle); // Ref for album shuffle mode
+  const smartShuffleRef = useRef(smartShuffle); // Ref for the smart shuffle setting
   const currentPlaylistRef = useRef(currentPlaylist); // Ref for current playlist
   const currentIndexRef = useRef(currentIndex);   // Ref for current index
+  const userQueueRef = useRef(userQueue);         // Ref for user queue
+  const isPlayingFromQueueRef = useRef(isPlayingFromQueue); // Ref for queue playback flag
+  const currentTrackRef = useRef(currentTrack);   // Ref for current track
+  const playbackPositionRef = useRef(playbackPosition); // Ref for playback position
+  const playbackDurationRef = useRef(playbackDuration); // Ref for playback duration
+  const onPlaybackStatusUpdateRef = useRef(null); // Ref for the latest status callback
+  const sessionRestoredRef = useRef(false);       // Don't save the session before it was restored
+  const pendingSessionRef = useRef(null);         // Restored playlist waiting for audioFiles to load
+  const savedDataLoadedRef = useRef(false);       // Ref for hasLoadedSavedData, set once the loaded values rendered
+  const lastSessionSaveRef = useRef(0);
+  const audioFilesRef = useRef(audioFiles);       // Ref for the library
+  const crossfadeDurationRef = useRef(crossfadeDuration); // Ref for crossfade duration
+  const fadeDurationRef = useRef(fadeDuration);   // Ref for the play/pause/skip/seek fade duration
+  const gaplessPlaybackRef = useRef(gaplessPlayback); // Ref for the gapless setting
+  const normalizationRef = useRef({ enabled: normalization, mode: normalizationMode, preamp: normalizationPreamp });
+  const trackVolumeRef = useRef(1);               // Normalized volume of the current track
+  const sleepTimerRef = useRef(null);             // Ref for the sleep timer
+  const stopAfterRef = useRef(null);              // Ref for stop-after
+  const unplayableTracksRef = useRef(unplayableTracks); // Ref for tracks that failed to play
+  const consecutiveErrorsRef = useRef(0);         // Unplayable tracks skipped in a row
+  const errorRetryRef = useRef(null);             // Id of the track already retried after a playback error
+  const interruptionRef = useRef(null);           // Ref for the running interruption
+  const autoResumeRef = useRef(autoResumeAfterInterruption); // Ref for the auto-resume setting
+  const lastPlayingLoadIdRef = useRef(null);      // Load id of the sound last reported playing
+  const skipToNextRef = useRef(null);             // Latest handleNext, to skip unplayable tracks
+  const abLoopRef = useRef(abLoop);               // Ref for the A-B loop
+  const seekToRef = useRef(null);                 // Latest seekTo, for the status callback
+  const resumeRef = useRef({ threshold: resumeThreshold, positions: resumePositions, finished: finishedTracks });
+  const pendingStartRef = useRef(null);           // Position the next load of a track starts at: { trackId, position }
+  const radioContextRef = useRef({ playlists, playCounts: trackPlayCounts, recentlyPlayed });
+  const shuffleStateRef = useRef(null);           // Shuffled play order of the current playlist: { playlist, order, position }
+  const playbackHistoryRef = useRef([]);          // What played before, most recent last, for handlePrevious
+  const rateSettingsRef = useRef({ globalRate: globalPlaybackRate, trackRates: trackPlaybackRates, pitchCorrection });
+  const sleepFadeRef = useRef(null);              // Running sleep timer fade: { cancel, promise }
+  const loadCounterRef = useRef(0);               // Incremented for every sound we load
+  const activeLoadIdRef = useRef(0);              // Load id of the sound that drives the player state
+  const preloadedRef = useRef(null);              // Next sound, loaded paused: { sound, loadId, choice }
+  const preloadGenerationRef = useRef(0);         // Bumped whenever the preload slot is invalidated
+  const preloadAttemptRef = useRef(-1);           // Generation of the last preload attempt
+  const crossfadeRef = useRef(null);              // Running crossfade: { outgoing, incoming, cancel }
+  const transportFadeRef = useRef(null);          // Running play/pause/skip/seek fade: { cancel, promise }
+  const pendingFadeInRef = useRef(false);         // The next loaded track fades in, after a manual skip
 
   // Keep refs updated with the latest state
   useEffect(() => {
     isRadioModeRef.current = isRadioMode;
   }, [isRadioMode]);
 
+  useEffect(() => {
+    radioSeedRef.current = radioSeed;
+  }, [radioSeed]);
+
+  useEffect(() => {
+    unplayableTracksRef.current = unplayableTracks;
+  }, [unplayableTracks]);
+
   useEffect(() => {
     repeatModeRef.current = repeatMode;
   }, [repeatMode]);
@@ -154,6 +405,14 @@ export const AudioProvider = ({ children }) => {
     isShuffleRef.current = isShuffle;
   }, [isShuffle]);
 
+  useEffect(() => {
+    isAlbumShuffleRef.current = isAlbumShuffle;
+  }, [isAlbumShuffle]);
+
+  useEffect(() => {
+    smartShuffleRef.current = smartShuffle;
+  }, [smartShuffle]);
+
   useEffect(() => {
     currentPlaylistRef.current = currentPlaylist;
   }, [currentPlaylist]);
@@ -162,6 +421,66 @@ export const AudioProvider = ({ children }) => {
     currentIndexRef.current = currentIndex;
   }, [currentIndex]);
 
+  useEffect(() => {
+    userQueueRef.current = userQueue;
+  }, [userQueue]);
+
+  useEffect(() => {
+    isPlayingFromQueueRef.current = isPlayingFromQueue;
+  }, [isPlayingFromQueue]);
+
+  useEffect(() => {
+    currentTrackRef.current = currentTrack;
+  }, [currentTrack]);
+
+  useEffect(() => {
+    playbackPositionRef.current = playbackPosition;
+  }, [playbackPosition]);
+
+  useEffect(() => {
+    playbackDurationRef.current = playbackDuration;
+  }, [playbackDuration]);
+
+  useEffect(() => {
+    audioFilesRef.current = audioFiles;
+  }, [audioFiles]);
+
+  useEffect(() => {
+    radioContextRef.current = { playlists, playCounts: trackPlayCounts, recentlyPlayed };
+  }, [playlists, trackPlayCounts, recentlyPlayed]);
+
+  useEffect(() => {
+    crossfadeDurationRef.current = crossfadeDuration;
+  }, [crossfadeDuration]);
+
+  useEffect(() => {
+    fadeDurationRef.current = fadeDuration;
+  }, [fadeDuration]);
+
+  useEffect(() => {
+    gaplessPlaybackRef.current = gaplessPlayback;
+  }, [gaplessPlayback]);
+
+  useEffect(() => {
+    abLoopRef.current = abLoop;
+  }, [abLoop]);
+
+  useEffect(() => {
+    resumeRef.current = { threshold: resumeThreshold, positions: resumePositions, finished: finishedTracks };
+  }, [resumeThreshold, resumePositions, finishedTracks]);
+
+  useEffect(() => {
+    rateSettingsRef.current = { globalRate: globalPlaybackRate, trackRates: trackPlaybackRates, pitchCorrection };
+  }, [globalPlaybackRate, trackPlaybackRates, pitchCorrection]);
+
+  useEffect(() => {
+    normalizationRef.current = { enabled: normalization, mode: normalizationMode, preamp: normalizationPreamp };
+  }, [normalization, normalizationMode, normalizationPreamp]);
+
+  useEffect(() => {
+    autoResumeRef.current = autoResumeAfterInterruption;
+  }, [autoResumeAfterInterruption]);
+
   // Load data from storage on mount
   useEffect(() => {
     const loadSavedData = async () => {
@@ -172,26 +491,102 @@ export const AudioProvider = ({ children }) => {
       ]);
       const savedRecentlyPlayed = await safeStorage.getItem('recentlyPlayed', []);
       const savedLikedSongs = await safeStorage.getItem('likedSongs', []);
+      const savedCrossfadeDuration = await safeStorage.getItem('crossfadeDuration', 0);
+      const savedFadeDuration = await safeStorage.getItem('fadeDuration', 200);
+      const savedGaplessPlayback = await safeStorage.getItem('gaplessPlayback', false);
+      const savedSmartShuffle = await safeStorage.getItem('smartShuffle', false);
+      const savedNormalization = await safeStorage.getItem('normalization', { enabled: false, mode: 'track', preamp: 0 });
+      const savedPlaybackRate = await safeStorage.getItem('playbackRate', 1);
+      const savedTrackPlaybackRates = await safeStorage.getItem('trackPlaybackRates', {});
+      const savedPitchCorrection = await safeStorage.getItem('pitchCorrection', true);
+      const savedTrackLoops = await safeStorage.getItem('savedLoops', {});
+      const savedResumeThreshold = await safeStorage.getItem('resumeThreshold', LONG_FORM_MIN_DURATION / 60);
+      const savedResumePositions = await safeStorage.getItem('resumePositions', {});
+      const savedFinishedTracks = await safeStorage.getItem('finishedTracks', {});
+      const savedBookmarks = await safeStorage.getItem('bookmarks', {});
+      const savedUnplayableTracks = await safeStorage.getItem('unplayableTracks', {});
+      const savedAudioMode = await safeStorage.getItem('audioMode', {
+        backgroundPlayback: true,
+        interruptionBehavior: 'duck',
+        autoResume: true,
+      });
 
       setPlaylists(savedPlaylists);
       setRecentlyPlayed(savedRecentlyPlayed);
       setLikedSongs(savedLikedSongs);
+      setCrossfadeDuration(savedCrossfadeDuration);
+      setFadeDuration(savedFadeDuration);
+      setGaplessPlayback(savedGaplessPlayback);
+      setSmartShuffle(savedSmartShuffle);
+      setNormalization(savedNormalization.enabled);
+      setNormalizationMode(savedNormalization.mode);
+      setNormalizationPreamp(savedNormalization.preamp);
+      setGlobalPlaybackRate(savedPlaybackRate);
+      setTrackPlaybackRates(savedTrackPlaybackRates);
+      setPitchCorrection(savedPitchCorrection);
+      setSavedLoops(savedTrackLoops);
+      setResumeThreshold(savedResumeThreshold);
+      setResumePositions(savedResumePositions);
+      setFinishedTracks(savedFinishedTracks);
+      setBookmarks(savedBookmarks);
+      setUnplayableTracks(savedUnplayableTracks);
+      setBackgroundPlayback(savedAudioMode.backgroundPlayback);
+      setInterruptionBehavior(savedAudioMode.interruptionBehavior);
+      setAutoResumeAfterInterruption(savedAudioMode.autoResume);
+      setHasLoadedSavedData(true);
     };
 
     loadSavedData();
   }, []);
 
-  // Save data to storage when it changes - but don't block the UI
+  // Save each setting and per-track map on its own when it changes - but don't block the UI
+  usePersistedValue('playlists', playlists, savedDataLoadedRef);
+  usePersistedValue('recentlyPlayed', recentlyPlayed, savedDataLoadedRef);
+  usePersistedValue('likedSongs', likedSongs, savedDataLoadedRef);
+  usePersistedValue('crossfadeDuration', crossfadeDuration, savedDataLoadedRef);
+  usePersistedValue('fadeDuration', fadeDuration, savedDataLoadedRef);
+  usePersistedValue('gaplessPlayback', gaplessPlayback, savedDataLoadedRef);
+  usePersistedValue('smartShuffle', smartShuffle, savedDataLoadedRef);
+  usePersistedValue('playbackRate', globalPlaybackRate, savedDataLoadedRef);
+  usePersistedValue('trackPlaybackRates', trackPlaybackRates, savedDataLoadedRef);
+  usePersistedValue('pitchCorrection', pitchCorrection, savedDataLoadedRef);
+  usePersistedValue('savedLoops', savedLoops, savedDataLoadedRef);
+  usePersistedValue('resumeThreshold', resumeThreshold, savedDataLoadedRef);
+  usePersistedValue('resumePositions', resumePositions, savedDataLoadedRef);
+  usePersistedValue('finishedTracks', finishedTracks, savedDataLoadedRef);
+  usePersistedValue('bookmarks', bookmarks, savedDataLoadedRef);
+  usePersistedValue('unplayableTracks', unplayableTracks, savedDataLoadedRef);
+
   useEffect(() => {
-    const saveData = async () => {
-      // Using the safe wrapper
-      await safeStorage.setItem('playlists', playlists);
-      await safeStorage.setItem('recentlyPlayed', recentlyPlayed);
-      await safeStorage.setItem('likedSongs', likedSongs);
-    };
+    if (savedDataLoadedRef.current) {
+      safeStorage.setItem('normalization', {
+        enabled: normalization,
+        mode: normalizationMode,
+        preamp: normalizationPreamp,
+      });
+    }
+  }, [normalization, normalizationMode, normalizationPreamp]);
+
+  useEffect(() => {
+    if (savedDataLoadedRef.current) {
+      safeStorage.setItem('audioMode', {
+        backgroundPlayback,
+        interruptionBehavior,
+        autoResume: autoResumeAfterInterruption,
+      });
+    }
+  }, [backgroundPlayback, interruptionBehavior, autoResumeAfterInterruption]);
+
+  // Declared after the effects above, so the values just loaded aren't saved right back
+  useEffect(() => {
+    savedDataLoadedRef.current = hasLoadedSavedData;
+  }, [hasLoadedSavedData]);
 
-    saveData();
-  }, [playlists, recentlyPlayed, likedSongs]);
+  // Tell the OS how the player behaves in the background and when other audio cuts in
+  useEffect(() => {
+    driver.setAudioMode({ background: backgroundPlayback, duckOnInterruption: interruptionBehavior === 'duck' })
+      .catch(e => console.log('Error setting audio mode:', e));
+  }, [driver, backgroundPlayback, interruptionBehavior]);
 
   // Load offline data on mount
   useEffect(() => {
@@ -204,6 +599,259 @@ export const AudioProvider = ({ children }) => {
     loadOfflineData();
   }, []);
 
+  // Give every loaded sound its own status handler; only the active sound reaches onPlaybackStatusUpdate
+  const createStatusHandler = useCallback((loadId) => (status) => {
+    if (loadId === activeLoadIdRef.current && onPlaybackStatusUpdateRef.current) {
+      onPlaybackStatusUpdateRef.current(status);
+    }
+  }, []);
+
+  // Rate and pitch settings a track should start with; long-form audio keeps its own speed
+  const getRateStatus = useCallback((track) => {
+    const { globalRate, trackRates, pitchCorrection: shouldCorrectPitch } = rateSettingsRef.current;
+    const rate = isLongFormTrack(track) ? (trackRates[track.id] || 1) : globalRate;
+    return {
+      rate,
+      shouldCorrectPitch,
+      pitchCorrectionQuality: Audio.PitchCorrectionQuality.High,
+    };
+  }, []);
+
+  // Volume a track should play at, from the ReplayGain info the library scan stored with it when
+  // normalization is on. Tracks saved in playlists or the session before the scan read it take the
+  // library's copy.
+  const getTrackVolume = useCallback((track) => {
+    const { enabled, mode, preamp } = normalizationRef.current;
+    if (!enabled || !track) {
+      return 1;
+    }
+
+    let replayGain = track.replayGain;
+    if (replayGain === undefined) {
+      const libraryTrack = audioFilesRef.current.find(file => file.id === track.id);
+      replayGain = libraryTrack ? libraryTrack.replayGain : null;
+    }
+    return getReplayGainVolume(replayGain, mode, preamp);
+  }, []);
+
+  // Save a snapshot of the playback session
+  const saveSession = useCallback(async () => {
+    if (!sessionRestoredRef.current) {
+      return;
+    }
+    lastSessionSaveRef.current = Date.now();
+
+    const track = currentTrackRef.current;
+    if (!track) {
+      await safeStorage.setItem(SESSION_STORAGE_KEY, null);
+      return;
+    }
+
+    // While the restored playlist and radio seed are still waiting for the library, keep saving the restored ones
+    const pending = pendingSessionRef.current;
+    const playlistIds = pending
+      ? pending.playlistIds
+      : currentPlaylistRef.current.map(t => t.id);
+    const sessionRadioSeed = radioSeedRef.current || !pending
+      ? toSessionRadioSeed(radioSeedRef.current)
+      : pending.radioSeed;
+
+    await safeStorage.setItem(SESSION_STORAGE_KEY, {
+      track: toSessionTrack(track),
+      playlistIds,
+      currentIndex: currentIndexRef.current,
+      queue: userQueueRef.current.map(entry => ({ ...entry, track: toSessionTrack(entry.track) })),
+      isPlayingFromQueue: isPlayingFromQueueRef.current,
+      position: playbackPositionRef.current,
+      duration: playbackDurationRef.current,
+      isShuffle: isShuffleRef.current,
+      isAlbumShuffle: isAlbumShuffleRef.current,
+      repeatMode: repeatModeRef.current,
+      isRadioMode: isRadioModeRef.current,
+      radioSeed: sessionRadioSeed,
+      savedAt: new Date().toISOString(),
+    });
+  }, []);
+
+  // Restore the last playback session, paused at the saved position
+  useEffect(() => {
+    const restoreSession = async () => {
+      const session = await safeStorage.getItem(SESSION_STORAGE_KEY, null);
+      if (!session || !session.track || soundRef.current) {
+        sessionRestoredRef.current = true;
+        return;
+      }
+
+      const { track } = session;
+      pendingSessionRef.current = {
+        trackId: track.id,
+        playlistIds: session.playlistIds || [track.id],
+        radioSeed: session.radioSeed || null,
+      };
+
+      setCurrentTrack(track);
+      setCurrentPlaylist([track]);
+      setCurrentIndex(session.currentIndex || 0);
+      setUserQueue(session.queue || []);
+      setIsPlayingFromQueue(!!session.isPlayingFromQueue);
+      setPlaybackPosition(session.position || 0);
+      setPlaybackDuration(session.duration || track.duration || 0);
+      setIsShuffle(!!session.isShuffle);
+      setIsAlbumShuffle(!!session.isAlbumShuffle);
+      setRepeatMode(session.repeatMode || 0);
+      setIsRadioMode(!!session.isRadioMode);
+      setIsPlaying(false);
+      sessionRestoredRef.current = true;
+
+      try {
+        loadCounterRef.current += 1;
+        const loadId = loadCounterRef.current;
+        activeLoadIdRef.current = loadId;
+        const initialStatus = {
+          shouldPlay: false,
+          positionMillis: Math.floor((session.position || 0) * 1000),
+          volume: getTrackVolume(track),
+          ...getRateStatus(track),
+        };
+        const sound = await driver.load(track.uri, initialStatus, createStatusHandler(loadId));
+
+        // The user may already have started something else while we were loading
+        if (soundRef.current) {
+          await sound.unloadAsync();
+          return;
+        }
+        soundRef.current = sound;
+
+        // The saved settings may have come in while the sound loaded, with no sound to apply them to
+        const settings = { volume: getTrackVolume(track), ...getRateStatus(track) };
+        trackVolumeRef.current = settings.volume;
+        if (
+          settings.volume !== initialStatus.volume ||
+          settings.rate !== initialStatus.rate ||
+          settings.shouldCorrectPitch !== initialStatus.shouldCorrectPitch
+        ) {
+          await sound.setStatusAsync(settings);
+        }
+      } catch (error) {
+        console.log('Error restoring playback session:', error);
+      }
+    };
+
+    restoreSession();
+  }, [driver, createStatusHandler, getRateStatus, getTrackVolume]);
+
+  // Swap the restored placeholder playlist for the real tracks once the library is loaded
+  useEffect(() => {
+    const pending = pendingSessionRef.current;
+    if (!pending || audioFiles.length === 0) {
+      return;
+    }
+    pendingSessionRef.current = null;
+    const tracksById = new Map(audioFiles.map(track => [track.id, track]));
+
+    // Radio keeps the station it was started from, unless it was turned off or on anew meanwhile
+    const seedTracks = pending.radioSeed
+      ? pending.radioSeed.trackIds.map(id => tracksById.get(id)).filter(Boolean)
+      : [];
+    if (isRadioModeRef.current && !radioSeedRef.current && seedTracks.length > 0) {
+      const seed = { type: pending.radioSeed.type, name: pending.radioSeed.name, tracks: seedTracks };
+      radioSeedRef.current = seed;
+      setRadioSeed(seed);
+    }
+
+    // Only hydrate if the restored track is still the one loaded
+    const placeholder = currentPlaylistRef.current;
+    if (placeholder.length !== 1 || placeholder[0].id !== pending.trackId) {
+      return;
+    }
+
+    const playlist = pending.playlistIds.map(id => tracksById.get(id)).filter(Boolean);
+    const restoredTrack = tracksById.get(pending.trackId);
+    if (playlist.length === 0) {
+      return;
+    }
+
+    let index = currentIndexRef.current;
+    if (!isPlayingFromQueueRef.current && playlist[index]?.id !== pending.trackId) {
+      index = Math.max(playlist.findIndex(track => track.id === pending.trackId), 0);
+    }
+
+    setCurrentPlaylist(playlist);
+    setCurrentIndex(Math.min(index, playlist.length - 1));
+    if (restoredTrack) {
+      setCurrentTrack(prev => (prev && prev.id === restoredTrack.id ? restoredTrack : prev));
+    }
+  }, [audioFiles]);
+
+  // Save the session whenever what is playing or how it plays changes
+  useEffect(() => {
+    saveSession();
+  }, [currentTrack, currentPlaylist, currentIndex, userQueue, isPlayingFromQueue, isShuffle, isAlbumShuffle, repeatMode, isRadioMode, radioSeed, isPlaying, saveSession]);
+
+  // Save the position on ticks, throttled
+  useEffect(() => {
+    if (Date.now() - lastSessionSaveRef.current >= SESSION_POSITION_SAVE_INTERVAL) {
+      saveSession();
+    }
+  }, [playbackPosition, saveSession]);
+
+  const shouldRememberPosition = useCallback((track) => (
+    !!track && track.duration >= resumeRef.current.threshold * 60
+  ), []);
+
+  // Remember where a long track stopped; stopping near the end marks it as finished instead
+  const rememberPosition = useCallback((track, position) => {
+    if (!shouldRememberPosition(track) || !(position > 0)) {
+      return;
+    }
+
+    if (track.duration - position <= RESUME_FINISHED_MARGIN) {
+      setResumePositions(prev => {
+        const next = { ...prev };
+        delete next[track.id];
+        return next;
+      });
+      setFinishedTracks(prev => ({ ...prev, [track.id]: Date.now() }));
+      return;
+    }
+
+    setResumePositions(prev => ({ ...prev, [track.id]: position }));
+    setFinishedTracks(prev => {
+      if (!prev[track.id]) {
+        return prev;
+      }
+      const next = { ...prev };
+      delete next[track.id];
+      return next;
+    });
+  }, [shouldRememberPosition]);
+
+  // Where a track should start: a bookmark that was jumped to, else its resume position
+  const getStartPositionMillis = useCallback((track) => {
+    const pending = pendingStartRef.current;
+    if (pending && pending.trackId === track.id) {
+      pendingStartRef.current = null;
+      return Math.floor(pending.position * 1000);
+    }
+
+    const { positions, finished } = resumeRef.current;
+    if (!shouldRememberPosition(track) || finished[track.id] || !positions[track.id]) {
+      return 0;
+    }
+    return Math.floor(Math.max(positions[track.id] - RESUME_REWIND, 0) * 1000);
+  }, [shouldRememberPosition]);
+
+  // Save right away when the app goes to the background, it may get killed there
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') {
+        rememberPosition(currentTrackRef.current, playbackPositionRef.current);
+        saveSession();
+      }
+    });
+    return () => subscription.remove();
+  }, [rememberPosition, saveSession]);
+
   // Start album art rotation animation
   const startAlbumAnimation = useCallback(() => {
     Animated.loop(
@@ -233,6 +881,9 @@ export const AudioProvider = ({ children }) => {
       if (soundRef.current) {
         soundRef.current.unloadAsync();
       }
+      if (preloadedRef.current) {
+        preloadedRef.current.sound.unloadAsync();
+      }
       if (positionIntervalRef.current) {
         clearInterval(positionIntervalRef.current);
       }
@@ -541,125 +1192,1018 @@ export const AudioProvider = ({ children }) => {
     }
   }, [currentBatch, allTracks, isLoadingMore, hasMore]);
 
-  // Modified playTrack function to handle offline playback
-  const playTrack = useCallback(async (track, playlist = null, index = 0) => {
-    try {
-      setIsLoading(true);
-
-      // Unload current sound if exists
-      if (soundRef.current) {
-        await soundRef.current.unloadAsync();
-      }
-
-      // Check if track is available offline
-      const isOffline = await OfflineStorage.isTrackOffline(track.id);
+  // Drop the preloaded next track, e.g. because what plays next has changed
+  const discardPreloadedTrack = useCallback(() => {
+    preloadGenerationRef.current += 1;
+    const preloaded = preloadedRef.current;
+    preloadedRef.current = null;
+    if (preloaded) {
+      preloaded.sound.unloadAsync().catch(e => console.log('Error unloading preloaded track:', e));
+    }
+  }, []);
 
-      // Load sound
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: isOffline ? track.uri : track.uri },
-        { shouldPlay: true },
-        onPlaybackStatusUpdate
-      );
+  // End a running crossfade right away, leaving only the incoming sound
+  const finishCrossfade = useCallback(() => {
+    const crossfade = crossfadeRef.current;
+    if (!crossfade) {
+      return;
+    }
+    crossfadeRef.current = null;
+    crossfade.cancel();
+    crossfade.outgoing.unloadAsync().catch(e => console.log('Error unloading faded out track:', e));
+    crossfade.incoming.setVolumeAsync(crossfade.volume).catch(e => console.log('Error resetting volume:', e));
+  }, []);
 
-      soundRef.current = sound;
-      setCurrentTrack(track);
-      setCurrentPlaylist(playlist || [track]);
-      setCurrentIndex(index);
-      setIsPlaying(true);
-      startPositionTracking();
-      startAlbumAnimation();
+  // Put the volume back after a sleep timer fade was cut short
+  const stopSleepFade = useCallback(() => {
+    const fade = sleepFadeRef.current;
+    if (!fade) {
+      return;
+    }
+    sleepFadeRef.current = null;
+    fade.cancel();
+    if (soundRef.current) {
+      soundRef.current.setVolumeAsync(trackVolumeRef.current).catch(e => console.log('Error resetting volume:', e));
+    }
+  }, []);
 
-      // Update recently played
-      updateRecentlyPlayed(track);
-      updateTrackPlayCount(track.id);
+  // Stop a play/pause/skip/seek fade where it is; whoever cancels it sets the volume next
+  const cancelTransportFade = useCallback(() => {
+    const fade = transportFadeRef.current;
+    transportFadeRef.current = null;
+    if (fade) {
+      fade.cancel();
+    }
+  }, []);
 
-      setIsLoading(false);
-    } catch (error) {
-      console.error('Error playing track:', error);
-      setIsLoading(false);
+  // Ramp the current sound between two volumes over the fade duration. Returns right away without
+  // a fade duration, or while a crossfade or the sleep timer fade is in charge of the volume.
+  const fadeCurrentSound = useCallback(async (from, to, curve) => {
+    const sound = soundRef.current;
+    const durationMs = fadeDurationRef.current;
+    cancelTransportFade();
+    if (!sound || durationMs <= 0 || crossfadeRef.current || sleepFadeRef.current) {
+      return false;
     }
-  }, [startPositionTracking, startAlbumAnimation, updateRecentlyPlayed, updateTrackPlayCount, onPlaybackStatusUpdate]);
+    const fade = rampVolume(sound, from, to, durationMs, curve);
+    transportFadeRef.current = fade;
+    const completed = await fade.promise;
+    if (transportFadeRef.current === fade) {
+      transportFadeRef.current = null;
+    }
+    return completed;
+  }, [cancelTransportFade]);
 
-  const onPlaybackStatusUpdate = useCallback((status) => {
-    if (status.isLoaded) {
-      if (status.didJustFinish) {
-        // Use refs to access the latest state values inside the callback
-        const currentRepeatMode = repeatModeRef.current;
-        const currentIsRadioMode = isRadioModeRef.current;
-        const currentIsShuffle = isShuffleRef.current;
-        const playlist = currentPlaylistRef.current;
-        const index = currentIndexRef.current;
+  // Fade whatever is playing out; follows track changes since it always targets soundRef
+  const startSleepFade = useCallback((durationMs) => {
+    if (sleepFadeRef.current) {
+      return;
+    }
+    cancelTransportFade();
+    console.log(`Sleep timer: fading out over ${Math.round(durationMs)}ms`);
+    sleepFadeRef.current = runRamp(durationMs, (progress) => {
+      if (soundRef.current) {
+        soundRef.current.setVolumeAsync(trackVolumeRef.current * (1 - progress)).catch(() => {
+          // The sound may have been unloaded mid-fade, nothing to do
+        });
+      }
+    });
+  }, [cancelTransportFade]);
 
-        console.log(
-          'Track finished. Repeat:', currentRepeatMode,
-          'Shuffle:', currentIsShuffle,
-          'Radio:', currentIsRadioMode
-        );
+  // The sleep timer ran out: pause, and restore the volume for whenever playback resumes
+  const completeSleepTimer = useCallback(async () => {
+    if (!sleepTimerRef.current) {
+      return;
+    }
+    console.log('Sleep timer: pausing playback');
+    sleepTimerRef.current = null;
+    setSleepTimer(null);
+
+    const fade = sleepFadeRef.current;
+    sleepFadeRef.current = null;
+    if (fade) {
+      fade.cancel();
+    }
+    finishCrossfade();
+    discardPreloadedTrack();
 
-        if (currentRepeatMode === 2) {
-          // Repeat One: Replay the current track
-          console.log('Repeat One: Replaying current track');
-          if (soundRef.current) {
-            soundRef.current.setPositionAsync(0).then(() => {
-              soundRef.current.playAsync();
-            }).catch(e => console.error('Error seeking to 0 for repeat:', e));
-          } else {
-            playTrack(currentTrack, playlist, index); // Use playlist/index from ref
-          }
-        } else if (currentRepeatMode === 1 || (currentIsRadioMode && currentRepeatMode !== 2)) {
-          // Repeat Playlist or Radio Mode
-          console.log('Repeat Playlist or Radio Mode: Playing next track');
-          handleNext();
-        } else {
-          // Repeat Off and Not Radio Mode
-          console.log('Repeat Off & Not Radio: Checking for next track');
-          if (!currentIsShuffle && index < playlist.length - 1) {
-            console.log('Playing next sequential track');
-            handleNext();
-          } else {
-            // End of sequential playlist or shuffle w/ repeat off
-            console.log('End of playlist (or shuffle w/ repeat off), stopping playback.');
-            setIsPlaying(false);
-            stopPositionTracking();
-            stopAlbumAnimation();
-          }
-        }
-      } else {
-        // Update playback position and duration while playing
-        if (status.isPlaying) {
-          const position = status.positionMillis / 1000;
-          const duration = status.durationMillis / 1000;
-          setPlaybackPosition(position);
-          // Update duration only if it's valid and different
-          if (duration && duration > 0 && duration !== playbackDuration) {
-             setPlaybackDuration(duration);
-          }
-        }
-      }
-    } else {
-      // Handle errors or unexpected unload
-      if (status.error) {
-        console.error(`Playback Error: ${status.error}`);
-        // Optionally try to handle the error, e.g., skip track
-        // handleNext();
-      }
-      // If playback stalls or buffer is empty
-      if (isPlaying && !status.isPlaying && !status.isBuffering) {
-         // Maybe playback was interrupted? Decide if action needed
+    setIsPlaying(false);
+    stopPositionTracking();
+    stopAlbumAnimation();
+    if (soundRef.current) {
+      try {
+        await soundRef.current.pauseAsync();
+        await soundRef.current.setVolumeAsync(trackVolumeRef.current);
+      } catch (error) {
+        console.log('Error pausing for sleep timer:', error);
       }
     }
-  }, [currentTrack, handleNext, isPlaying, playbackDuration, playTrack, setPlaybackDuration, setPlaybackPosition, setIsPlaying, stopAlbumAnimation, stopPositionTracking]);
+  }, [discardPreloadedTrack, finishCrossfade, stopAlbumAnimation, stopPositionTracking]);
 
-  const togglePlayPause = async () => {
-    if (!soundRef.current) {
-      console.warn('No sound object available for play/pause');
-      return;
+  // Whether the sleep timer pauses once the current track ends
+  const sleepTimerEndsWithCurrentTrack = useCallback(() => {
+    const timer = sleepTimerRef.current;
+    if (!timer || timer.mode === 'duration') {
+      return false;
+    }
+    if (timer.mode === 'endOfTrack') {
+      return true;
+    }
+    // End of album/playlist: queued tracks still get to play first
+    if (userQueueRef.current.length > 0) {
+      return false;
+    }
+    if (isShuffleRef.current || isRadioModeRef.current) {
+      return !isPlayingFromQueueRef.current && timer.tracksLeft <= 0;
     }
+    return currentIndexRef.current >= currentPlaylistRef.current.length - 1;
+  }, []);
 
-    try {
-      if (isPlaying) {
-        try {
+  // In shuffle/radio there is no "last" track, so the end of playlist timer counts tracks instead
+  const countSleepTimerTrack = useCallback((choice) => {
+    const timer = sleepTimerRef.current;
+    if (timer && timer.mode === 'endOfPlaylist' && choice.type === 'playlist') {
+      const next = { ...timer, tracksLeft: timer.tracksLeft - 1 };
+      sleepTimerRef.current = next;
+      setSleepTimer(next);
+    }
+  }, []);
+
+  // Which kind of shuffle order the current settings ask for
+  const getShuffleKind = useCallback(() => {
+    if (isAlbumShuffleRef.current) {
+      return 'album';
+    }
+    return smartShuffleRef.current ? 'smart' : 'random';
+  }, []);
+
+  // A new shuffle order for a playlist: by album, balanced by artist and album, or fully random
+  const buildShuffleOrder = useCallback((playlist, options) => {
+    const kind = getShuffleKind();
+    if (kind === 'album') {
+      return createAlbumShuffleOrder(playlist, options);
+    }
+    return kind === 'smart'
+      ? createBalancedShuffleOrder(playlist, options)
+      : createShuffleOrder(playlist.length, options);
+  }, [getShuffleKind]);
+
+  // The next radio track, similar to what the radio was started from and to what plays now
+  const pickRadioChoice = useCallback(() => {
+    const library = audioFilesRef.current;
+    const playingTrack = currentTrackRef.current;
+    const seed = radioSeedRef.current;
+    const radioContext = radioContextRef.current;
+
+    // Unplayable tracks are avoided the same way as recently played ones
+    const recentIds = new Set([
+      ...playbackHistoryRef.current.slice(-RADIO_RECENT_LIMIT).map(entry => entry.track.id),
+      ...radioContext.recentlyPlayed.slice(0, RADIO_RECENT_LIMIT).map(track => track.id),
+      ...Object.keys(unplayableTracksRef.current),
+    ]);
+    const nextTrack = pickRadioTrack(library, {
+      // Radio without a seed (e.g. one whose tracks left the library) follows the playing track
+      seedTracks: seed ? seed.tracks : [playingTrack].filter(Boolean),
+      currentTrack: playingTrack,
+      recentIds,
+      playlists: radioContext.playlists,
+      playCounts: radioContext.playCounts,
+    });
+    if (!nextTrack) {
+      return null;
+    }
+    // In radio mode the "playlist" context is the entire library
+    return { type: 'playlist', track: nextTrack, playlist: library, index: library.indexOf(nextTrack) };
+  }, []);
+
+  // Whether stop-after ends playback once the current track finishes; nextChoice is what would play next
+  const stopAfterEndsWithCurrentTrack = useCallback((nextChoice) => {
+    const stop = stopAfterRef.current;
+    if (!stop) {
+      return false;
+    }
+    if (stop.mode === 'track') {
+      return true;
+    }
+    if (stop.mode === 'tracks') {
+      return stop.tracksLeft <= 0;
+    }
+    // After the album: stop once the next track is from another album
+    return !nextChoice || !isSameAlbum(currentTrackRef.current, nextChoice.track);
+  }, []);
+
+  // Count a track towards "stop after N tracks"
+  const countStopAfterTrack = useCallback(() => {
+    const stop = stopAfterRef.current;
+    if (stop && stop.mode === 'tracks') {
+      const next = { ...stop, tracksLeft: stop.tracksLeft - 1 };
+      stopAfterRef.current = next;
+      setStopAfter(next);
+    }
+  }, []);
+
+  // Stop-after fired: stop playback and clear it, it only applies once
+  const completeStopAfter = useCallback(() => {
+    console.log('Stop after: stopping playback', stopAfterRef.current);
+    stopAfterRef.current = null;
+    setStopAfter(null);
+    discardPreloadedTrack();
+    setIsPlaying(false);
+    stopPositionTracking();
+    stopAlbumAnimation();
+  }, [discardPreloadedTrack, stopAlbumAnimation, stopPositionTracking]);
+
+  // Randomness and the library for the player core
+  const getPlayerEnv = useCallback(() => ({
+    buildShuffleOrder,
+    shuffleKind: getShuffleKind(),
+    pickRadioChoice,
+  }), [buildShuffleOrder, getShuffleKind, pickRadioChoice]);
+
+  // Snapshot of the playback refs for the player core. A rebuilt shuffle order is kept right
+  // away, so every decision until the next track starts follows the same order.
+  const readPlayerState = useCallback((env) => {
+    const state = createPlayerState({
+      track: currentTrackRef.current,
+      playlist: currentPlaylistRef.current || [],
+      index: currentIndexRef.current,
+      fromQueue: isPlayingFromQueueRef.current,
+      queue: userQueueRef.current,
+      position: playbackPositionRef.current,
+      duration: playbackDurationRef.current,
+      repeatMode: repeatModeRef.current,
+      shuffle: isShuffleRef.current,
+      shuffleState: shuffleStateRef.current,
+      radio: isRadioModeRef.current,
+      history: playbackHistoryRef.current,
+      unplayable: unplayableTracksRef.current,
+      errorRetryTrackId: errorRetryRef.current,
+    });
+    if (state.shuffle && state.playlist.length > 0) {
+      shuffleStateRef.current = resolveShuffleState(state, env);
+      state.shuffleState = shuffleStateRef.current;
+    }
+    return state;
+  }, []);
+
+  // Write a player core state back into the refs it was read from and into React state.
+  // Unplayable tracks are left to markTrackUnplayable, which records why they failed.
+  const commitPlayerState = useCallback((state) => {
+    // The queue only changes when a queued track starts; a stale ref must not undo an addition
+    if (state.queue !== userQueueRef.current) {
+      userQueueRef.current = state.queue;
+      setUserQueue(state.queue);
+    }
+    currentTrackRef.current = state.track;
+    currentPlaylistRef.current = state.playlist;
+    currentIndexRef.current = state.index;
+    isPlayingFromQueueRef.current = state.fromQueue;
+    playbackPositionRef.current = state.position;
+    shuffleStateRef.current = state.shuffleState;
+    playbackHistoryRef.current = state.history;
+    errorRetryRef.current = state.errorRetryTrackId;
+    setCurrentTrack(state.track);
+    setCurrentPlaylist(state.playlist);
+    setCurrentIndex(state.index);
+    setIsPlayingFromQueue(state.fromQueue);
+    setPlaybackPosition(state.position);
+  }, []);
+
+  // Run an event through the player core, commit the state it returns and return its command.
+  // The driver carries the command out afterwards, e.g. loads the track that is now current.
+  const dispatchPlayerEvent = useCallback((event) => {
+    const env = getPlayerEnv();
+    const previous = readPlayerState(env);
+    const { state, command } = playerReducer(previous, event, env);
+    console.log(`Player ${event.type}:`, command ? command.type : 'nothing to do');
+    if (state.track !== previous.track) {
+      rememberPosition(previous.track, previous.position);
+    }
+    commitPlayerState(state);
+    return command;
+  }, [commitPlayerState, getPlayerEnv, readPlayerState, rememberPosition]);
+
+  // The shuffled order Next follows, resolved now so it is kept; null when shuffle doesn't pick
+  // the next playlist track
+  const readActiveShuffleState = useCallback(() => {
+    if (!isShuffleRef.current || isRadioModeRef.current || currentPlaylistRef.current.length === 0) {
+      return null;
+    }
+    return readPlayerState(getPlayerEnv()).shuffleState;
+  }, [getPlayerEnv, readPlayerState]);
+
+  // Show the queue in the order shuffle plays it
+  useEffect(() => {
+    const shuffleState = readActiveShuffleState();
+    setShuffleOrder(shuffleState ? shuffleState.order : null);
+  }, [readActiveShuffleState, isShuffle, isAlbumShuffle, smartShuffle, isRadioMode, currentPlaylist, currentIndex]);
+
+  // Decide what plays when the current track ends on its own; null means playback stops
+  const getAutoAdvanceChoice = useCallback(() => {
+    const env = getPlayerEnv();
+    return selectAutoAdvanceChoice(readPlayerState(env), env);
+  }, [getPlayerEnv, readPlayerState]);
+
+  // Make a preloaded sound the current one; the player core moves on to the track it preloaded
+  const commitTransition = useCallback((choice, sound, loadId, volume) => {
+    dispatchPlayerEvent({ type: PLAYER_EVENTS.TRACK_ENDED, choice });
+    soundRef.current = sound;
+    activeLoadIdRef.current = loadId;
+    trackVolumeRef.current = volume;
+    setIsPlaying(true);
+
+    countSleepTimerTrack(choice);
+    countStopAfterTrack();
+    updateRecentlyPlayed(choice.track);
+    updateTrackPlayCount(choice.track.id);
+  }, [countSleepTimerTrack, countStopAfterTrack, dispatchPlayerEvent, updateRecentlyPlayed, updateTrackPlayCount]);
+
+  // Load what plays next into the preload slot, paused and silent
+  const preloadNextTrack = useCallback(async () => {
+    const generation = preloadGenerationRef.current;
+    if (preloadedRef.current || preloadAttemptRef.current === generation) {
+      return;
+    }
+    preloadAttemptRef.current = generation;
+
+    const choice = getAutoAdvanceChoice();
+    if (!choice) {
+      return;
+    }
+
+    loadCounterRef.current += 1;
+    const loadId = loadCounterRef.current;
+    try {
+      const volume = getTrackVolume(choice.track);
+      const sound = await driver.load(
+        choice.track.uri,
+        {
+          shouldPlay: false,
+          volume: 0,
+          positionMillis: getStartPositionMillis(choice.track),
+          ...getRateStatus(choice.track),
+        },
+        createStatusHandler(loadId)
+      );
+
+      // What plays next changed while we were loading
+      if (generation !== preloadGenerationRef.current) {
+        await sound.unloadAsync();
+        return;
+      }
+      preloadedRef.current = { sound, loadId, choice, volume };
+      console.log(`Preloaded next track '${choice.track.title}'`);
+    } catch (error) {
+      console.log('Error preloading next track:', error);
+    }
+  }, [driver, getAutoAdvanceChoice, createStatusHandler, getRateStatus, getStartPositionMillis, getTrackVolume]);
+
+  // Fade the current sound out while the preloaded next one fades in
+  const startCrossfade = useCallback(async (fadeMs) => {
+    const preloaded = preloadedRef.current;
+    const outgoing = soundRef.current;
+    if (!preloaded || !outgoing || crossfadeRef.current) {
+      return;
+    }
+    preloadedRef.current = null;
+
+    const { sound: incoming, loadId, choice, volume } = preloaded;
+    cancelTransportFade();
+    try {
+      await incoming.setVolumeAsync(0);
+      await incoming.playAsync();
+    } catch (error) {
+      console.log('Error starting crossfade:', error);
+      incoming.unloadAsync().catch(e => console.log('Error unloading preloaded track:', e));
+      return;
+    }
+
+    console.log(`Crossfading into '${choice.track.title}' over ${fadeMs}ms`);
+    const outgoingVolume = trackVolumeRef.current;
+    commitTransition(choice, incoming, loadId, volume);
+
+    const fadeOut = rampVolume(outgoing, outgoingVolume, 0, fadeMs, fadeOutCurve);
+    const fadeIn = rampVolume(incoming, 0, volume, fadeMs, fadeInCurve);
+    const crossfade = {
+      outgoing,
+      incoming,
+      volume,
+      cancel: () => {
+        fadeOut.cancel();
+        fadeIn.cancel();
+      },
+    };
+    crossfadeRef.current = crossfade;
+
+    await Promise.all([fadeOut.promise, fadeIn.promise]);
+    if (crossfadeRef.current === crossfade) {
+      crossfadeRef.current = null;
+      outgoing.unloadAsync().catch(e => console.log('Error unloading faded out track:', e));
+    }
+  }, [cancelTransportFade, commitTransition]);
+
+  // Preload the next track as the current one nears its end, and crossfade into it when enabled
+  const prepareTransition = useCallback((status) => {
+    const fadeMs = crossfadeDurationRef.current * 1000;
+    const gapless = gaplessPlaybackRef.current;
+    if ((fadeMs <= 0 && !gapless) || !status.durationMillis || crossfadeRef.current) {
+      return;
+    }
+    // Nothing plays after this track, the sleep timer is already fading out, or an A-B loop holds us here
+    if (sleepTimerEndsWithCurrentTrack() || sleepFadeRef.current || abLoopRef.current) {
+      return;
+    }
+
+    // Short tracks get a shorter fade; positions are in track time, the fade is in real time
+    const rate = status.rate || 1;
+    const effectiveFadeMs = Math.min(fadeMs, status.durationMillis / rate / 2);
+    const remainingMs = (status.durationMillis - status.positionMillis) / rate;
+
+    if (remainingMs <= effectiveFadeMs + PRELOAD_LEAD_MS) {
+      preloadNextTrack();
+    }
+
+    const preloaded = preloadedRef.current;
+    if (!preloaded || effectiveFadeMs <= 0 || remainingMs > effectiveFadeMs) {
+      return;
+    }
+    // Stop-after ends playback with this track, so there is nothing to fade into
+    if (stopAfterEndsWithCurrentTrack(preloaded.choice)) {
+      return;
+    }
+    // With gapless on, tracks of the same album are started back to back on didJustFinish instead
+    if (gapless && isSameAlbumTransition(currentTrackRef.current, preloaded.choice.track)) {
+      return;
+    }
+    startCrossfade(effectiveFadeMs);
+  }, [preloadNextTrack, sleepTimerEndsWithCurrentTrack, startCrossfade, stopAfterEndsWithCurrentTrack]);
+
+  // What plays next changed, so whatever is preloaded is stale. Edits to the current playlist
+  // discard it themselves, before the old playlist could be started or committed.
+  useEffect(() => {
+    discardPreloadedTrack();
+  }, [userQueue, isShuffle, isAlbumShuffle, smartShuffle, repeatMode, isRadioMode, radioSeed, unplayableTracks, discardPreloadedTrack]);
+
+  // Apply changed normalization settings to the track that is playing right now
+  useEffect(() => {
+    const applyNormalization = async () => {
+      // The preloaded track was loaded with the old settings
+      discardPreloadedTrack();
+      const track = currentTrackRef.current;
+      const volume = getTrackVolume(track);
+      trackVolumeRef.current = volume;
+      if (soundRef.current && !crossfadeRef.current && !sleepFadeRef.current) {
+        cancelTransportFade();
+        await soundRef.current.setVolumeAsync(volume);
+      }
+    };
+
+    applyNormalization().catch(e => console.log('Error applying volume normalization:', e));
+  }, [normalization, normalizationMode, normalizationPreamp, cancelTransportFade, discardPreloadedTrack, getTrackVolume]);
+
+  // Apply changed speed settings to the track that is playing right now
+  useEffect(() => {
+    const track = currentTrackRef.current;
+    if (!soundRef.current || !track) {
+      return;
+    }
+    // The preloaded track was loaded with the old speed
+    discardPreloadedTrack();
+    const { rate, shouldCorrectPitch, pitchCorrectionQuality } = getRateStatus(track);
+    soundRef.current.setRateAsync(rate, shouldCorrectPitch, pitchCorrectionQuality)
+      .catch(e => console.log('Error setting playback rate:', e));
+  }, [globalPlaybackRate, trackPlaybackRates, pitchCorrection, discardPreloadedTrack, getRateStatus]);
+
+  // Count down a fixed duration sleep timer, fading out over its last stretch
+  useEffect(() => {
+    if (!sleepTimer || sleepTimer.mode !== 'duration') {
+      return undefined;
+    }
+
+    const checkSleepTimer = () => {
+      const remainingMs = sleepTimer.endsAt - Date.now();
+      if (remainingMs <= 0) {
+        completeSleepTimer();
+      } else if (remainingMs <= SLEEP_TIMER_FADE_MS) {
+        startSleepFade(remainingMs);
+      }
+    };
+
+    checkSleepTimer();
+    const interval = setInterval(checkSleepTimer, 1000);
+    return () => clearInterval(interval);
+  }, [sleepTimer, completeSleepTimer, startSleepFade]);
+
+  // Start a sleep timer: 'duration' (with minutes), 'endOfTrack' or 'endOfPlaylist'
+  const startSleepTimer = useCallback((mode, minutes = 0) => {
+    stopSleepFade();
+
+    let timer;
+    if (mode === 'duration') {
+      timer = { mode, endsAt: Date.now() + minutes * 60000 };
+    } else if (mode === 'endOfPlaylist') {
+      // Only used in shuffle/radio, where the current track counts as the first one
+      timer = { mode, tracksLeft: Math.max(currentPlaylistRef.current.length - 1, 0) };
+    } else {
+      timer = { mode: 'endOfTrack' };
+    }
+
+    console.log('Sleep timer set:', timer);
+    sleepTimerRef.current = timer;
+    setSleepTimer(timer);
+  }, [stopSleepFade]);
+
+  // Push a running duration timer back, which also undoes a fade in progress
+  const extendSleepTimer = useCallback((minutes) => {
+    const timer = sleepTimerRef.current;
+    if (!timer || timer.mode !== 'duration') {
+      return;
+    }
+
+    stopSleepFade();
+    const next = { ...timer, endsAt: Math.max(timer.endsAt, Date.now()) + minutes * 60000 };
+    sleepTimerRef.current = next;
+    setSleepTimer(next);
+  }, [stopSleepFade]);
+
+  // mode is 'track', 'album' or 'tracks'; count is how many tracks to play, including the current one
+  const setStopAfterMode = useCallback((mode, count = 1) => {
+    let stop = null;
+    if (mode === 'tracks') {
+      stop = { mode, tracksLeft: Math.max(count - 1, 0) };
+    } else if (mode === 'track' || mode === 'album') {
+      stop = { mode };
+    }
+    console.log('Stop after set:', stop);
+    stopAfterRef.current = stop;
+    setStopAfter(stop);
+  }, []);
+
+  const isTrackUnplayable = (trackId) => !!unplayableTracks[trackId];
+
+  // The file was fixed or replaced: let it play again
+  const clearUnplayableTrack = (trackId) => {
+    setUnplayableTracks(prev => {
+      const { [trackId]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const clearUnplayableTracks = () => {
+    setUnplayableTracks({});
+  };
+
+  const clearStopAfter = useCallback(() => {
+    stopAfterRef.current = null;
+    setStopAfter(null);
+  }, []);
+
+  const cancelSleepTimer = useCallback(() => {
+    stopSleepFade();
+    sleepTimerRef.current = null;
+    setSleepTimer(null);
+  }, [stopSleepFade]);
+
+  const showPlaybackNotice = useCallback((message) => {
+    setPlaybackNotice({ id: Date.now(), message });
+  }, []);
+
+  const dismissPlaybackNotice = useCallback(() => {
+    setPlaybackNotice(null);
+  }, []);
+
+  // The system paused our sound for a call, an alarm or another app
+  const beginInterruption = useCallback(() => {
+    const track = currentTrackRef.current;
+    console.log('Playback interrupted');
+    lastPlayingLoadIdRef.current = null;
+    interruptionRef.current = { since: Date.now(), trackId: track ? track.id : null };
+    setInterruption(interruptionRef.current);
+    setIsPlaying(false);
+    stopPositionTracking();
+    stopAlbumAnimation();
+    rememberPosition(track, playbackPositionRef.current);
+  }, [rememberPosition, stopAlbumAnimation, stopPositionTracking]);
+
+  // Forget an interruption, e.g. because the user took over
+  const clearInterruption = useCallback(() => {
+    interruptionRef.current = null;
+    setInterruption(null);
+  }, []);
+
+  // The system resumed our sound once the interruption was over
+  const endInterruption = useCallback(() => {
+    console.log('Interruption ended, auto-resume:', autoResumeRef.current);
+    clearInterruption();
+    if (autoResumeRef.current) {
+      setIsPlaying(true);
+      startPositionTracking();
+      startAlbumAnimation();
+    } else if (soundRef.current) {
+      // Resuming is up to the user
+      soundRef.current.pauseAsync().catch(e => console.log('Error pausing after interruption:', e));
+    }
+  }, [clearInterruption, startAlbumAnimation, startPositionTracking]);
+
+  // The system doesn't always restart our sound after an interruption, e.g. when another app kept
+  // the audio focus, so play it again once the user is back. The playing status ends the interruption.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active' && interruptionRef.current && autoResumeRef.current && soundRef.current) {
+        console.log('Resuming after interruption');
+        soundRef.current.playAsync().catch(e => console.log('Error resuming after interruption:', e));
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Notices go away on their own
+  useEffect(() => {
+    if (!playbackNotice) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => setPlaybackNotice(null), PLAYBACK_NOTICE_MS);
+    return () => clearTimeout(timeout);
+  }, [playbackNotice]);
+
+  const markTrackUnplayable = useCallback((track, error) => {
+    const entry = {
+      id: track.id,
+      title: track.title,
+      uri: track.uri,
+      filename: track.filename,
+      error: String(error && error.message ? error.message : error),
+      failedAt: new Date().toISOString(),
+    };
+    unplayableTracksRef.current = { ...unplayableTracksRef.current, [track.id]: entry };
+    setUnplayableTracks(prev => ({ ...prev, [track.id]: entry }));
+  }, []);
+
+  // Give up on a track that failed twice and move on to the next playable one
+  const handleUnplayableTrack = useCallback(async (track, error) => {
+    console.error(`Track '${track.title}' could not be played:`, error);
+    markTrackUnplayable(track, error);
+    setIsLoading(false);
+
+    consecutiveErrorsRef.current += 1;
+    if (consecutiveErrorsRef.current >= MAX_CONSECUTIVE_ERRORS) {
+      consecutiveErrorsRef.current = 0;
+      showPlaybackNotice('Playback stopped: several files in a row could not be played');
+      setIsPlaying(false);
+      stopPositionTracking();
+      stopAlbumAnimation();
+      return;
+    }
+
+    showPlaybackNotice(`Couldn't play "${track.title}", skipping`);
+    if (skipToNextRef.current) {
+      await skipToNextRef.current();
+    }
+  }, [markTrackUnplayable, showPlaybackNotice, stopAlbumAnimation, stopPositionTracking]);
+
+  // Load a track into the player and start it, without touching the playlist context
+  const loadAndPlayTrack = useCallback(async (track) => {
+    setIsLoading(true);
+    clearInterruption();
+    cancelTransportFade();
+    finishCrossfade();
+    discardPreloadedTrack();
+
+    // Unload current sound if exists
+    if (soundRef.current) {
+      const previousSound = soundRef.current;
+      soundRef.current = null;
+      await previousSound.unloadAsync();
+    }
+    if (errorRetryRef.current !== track.id) {
+      errorRetryRef.current = null;
+    }
+
+    // Check if track is available offline
+    const isOffline = await OfflineStorage.isTrackOffline(track.id);
+
+    // Load sound at the track's normalized volume, or silent to fade in after a manual skip
+    const volume = getTrackVolume(track);
+    const fadeIn = pendingFadeInRef.current && fadeDurationRef.current > 0 && !sleepFadeRef.current;
+    pendingFadeInRef.current = false;
+    loadCounterRef.current += 1;
+    const loadId = loadCounterRef.current;
+    activeLoadIdRef.current = loadId;
+    const sound = await driver.load(
+      isOffline ? track.uri : track.uri,
+      {
+        shouldPlay: true,
+        volume: fadeIn ? 0 : volume,
+        positionMillis: getStartPositionMillis(track),
+        ...getRateStatus(track),
+      },
+      createStatusHandler(loadId)
+    );
+
+    soundRef.current = sound;
+    trackVolumeRef.current = volume;
+    consecutiveErrorsRef.current = 0;
+    if (fadeIn) {
+      fadeCurrentSound(0, volume, fadeInCurve).then((completed) => {
+        // Cut short by something that doesn't set the volume itself
+        if (!completed && soundRef.current === sound && !transportFadeRef.current && !crossfadeRef.current && !sleepFadeRef.current) {
+          sound.setVolumeAsync(trackVolumeRef.current).catch(e => console.log('Error resetting volume:', e));
+        }
+      });
+    }
+    setCurrentTrack(track);
+    setIsPlaying(true);
+    startPositionTracking();
+    startAlbumAnimation();
+
+    // Update recently played
+    updateRecentlyPlayed(track);
+    updateTrackPlayCount(track.id);
+
+    setIsLoading(false);
+  }, [driver, cancelTransportFade, clearInterruption, fadeCurrentSound, startPositionTracking, startAlbumAnimation, updateRecentlyPlayed, updateTrackPlayCount, finishCrossfade, discardPreloadedTrack, createStatusHandler, getRateStatus, getStartPositionMillis, getTrackVolume]);
+
+  // Loading can fail on a flaky file system or a busy decoder, so give it a second try
+  const loadAndPlayTrackWithRetry = useCallback(async (track) => {
+    try {
+      await loadAndPlayTrack(track);
+    } catch (error) {
+      console.log(`Error loading '${track.title}', retrying once:`, error);
+      await loadAndPlayTrack(track);
+    }
+  }, [loadAndPlayTrack]);
+
+  // Modified playTrack function to handle offline playback
+  const playTrack = useCallback(async (track, playlist = null, index = 0) => {
+    // Remember where a long track was left
+    rememberPosition(currentTrackRef.current, playbackPositionRef.current);
+    try {
+      await loadAndPlayTrackWithRetry(track);
+      setCurrentPlaylist(playlist || [track]);
+      setCurrentIndex(index);
+      setIsPlayingFromQueue(false);
+    } catch (error) {
+      console.error('Error playing track:', error);
+      // Skip on from where the broken track would have played
+      currentPlaylistRef.current = playlist || [track];
+      currentIndexRef.current = index;
+      isPlayingFromQueueRef.current = false;
+      setCurrentPlaylist(currentPlaylistRef.current);
+      setCurrentIndex(index);
+      setIsPlayingFromQueue(false);
+      await handleUnplayableTrack(track, error);
+    }
+  }, [loadAndPlayTrackWithRetry, handleUnplayableTrack, rememberPosition]);
+
+  // Turn shuffle on and play a list of tracks from the start of a new shuffled order
+  const playShuffled = useCallback(async (tracks, { byAlbum = false } = {}) => {
+    if (!tracks || tracks.length === 0) {
+      return;
+    }
+    isAlbumShuffleRef.current = byAlbum;
+    setIsAlbumShuffle(byAlbum);
+    setIsShuffle(true);
+    const order = buildShuffleOrder(tracks, {});
+    shuffleStateRef.current = { playlist: tracks, order, position: 0, kind: getShuffleKind() };
+    await playTrack(tracks[order[0]], tracks, order[0]);
+  }, [buildShuffleOrder, getShuffleKind, playTrack]);
+
+  // Start radio seeded from a song, an artist or an album
+  const startRadio = useCallback(async (type, value) => {
+    const library = audioFilesRef.current;
+    let seed;
+    if (type === 'track') {
+      seed = { type, name: value.title, tracks: [value] };
+    } else if (type === 'artist') {
+      const artistName = value.toLowerCase();
+      seed = {
+        type,
+        name: value,
+        tracks: library.filter(track =>
+          (track.artist || '').toLowerCase() === artistName ||
+          (track.albumArtist || '').toLowerCase() === artistName
+        ),
+      };
+    } else {
+      seed = { type: 'album', name: value, tracks: library.filter(track => track.album === value) };
+    }
+    if (seed.tracks.length === 0) {
+      console.log(`startRadio: No tracks found for ${type} '${seed.name}'`);
+      return;
+    }
+
+    radioSeedRef.current = seed;
+    setRadioSeed(seed);
+    isRadioModeRef.current = true;
+    setIsRadioMode(true);
+
+    // A song station starts with that song, the others with any of their tracks
+    const firstTrack = type === 'track' ? value : seed.tracks[Math.floor(Math.random() * seed.tracks.length)];
+    const index = library.findIndex(track => track.id === firstTrack.id);
+    console.log(`startRadio: Starting ${type} radio from '${seed.name}'`);
+    await playTrack(firstTrack, index === -1 ? [firstTrack] : library, Math.max(index, 0));
+  }, [playTrack]);
+
+  // Play a queued track; the playlist context and currentIndex stay where they were
+  const playQueuedTrack = useCallback(async (track) => {
+    rememberPosition(currentTrackRef.current, playbackPositionRef.current);
+    try {
+      await loadAndPlayTrackWithRetry(track);
+      setIsPlayingFromQueue(true);
+    } catch (error) {
+      console.error('Error playing queued track:', error);
+      await handleUnplayableTrack(track, error);
+    }
+  }, [loadAndPlayTrackWithRetry, handleUnplayableTrack, rememberPosition]);
+
+  // Load the track of a choice the player core already moved to; one that fails twice is
+  // skipped, and the committed state lets the skip move on from where it would have played
+  const loadChoice = useCallback(async (choice) => {
+    try {
+      await loadAndPlayTrackWithRetry(choice.track);
+    } catch (error) {
+      console.error(`Error playing ${choice.type} track:`, error);
+      await handleUnplayableTrack(choice.track, error);
+    }
+  }, [loadAndPlayTrackWithRetry, handleUnplayableTrack]);
+
+  // Play what the player core decided on when moving forward; no choice stops playback
+  const playChoice = useCallback(async (choice) => {
+    if (!choice) {
+      setIsPlaying(false);
+      stopPositionTracking();
+      stopAlbumAnimation();
+      return;
+    }
+
+    countSleepTimerTrack(choice);
+    countStopAfterTrack();
+    await loadChoice(choice);
+  }, [countSleepTimerTrack, countStopAfterTrack, loadChoice, stopAlbumAnimation, stopPositionTracking]);
+
+  // Start the preloaded next sound straight away, without unloading and loading in between
+  const startPreloadedTrack = useCallback(async () => {
+    const preloaded = preloadedRef.current;
+    if (!preloaded) {
+      return;
+    }
+    preloadedRef.current = null;
+
+    const outgoing = soundRef.current;
+    const { sound, loadId, choice, volume } = preloaded;
+    try {
+      await sound.setStatusAsync({ shouldPlay: true, volume });
+    } catch (error) {
+      console.log('Error starting preloaded track, loading it again:', error);
+      sound.unloadAsync().catch(e => console.log('Error unloading preloaded track:', e));
+      dispatchPlayerEvent({ type: PLAYER_EVENTS.TRACK_ENDED, choice });
+      await playChoice(choice);
+      return;
+    }
+
+    console.log(`Gapless transition into '${choice.track.title}'`);
+    commitTransition(choice, sound, loadId, volume);
+    if (outgoing) {
+      outgoing.unloadAsync().catch(e => console.log('Error unloading finished track:', e));
+    }
+  }, [commitTransition, dispatchPlayerEvent, playChoice]);
+
+  const onPlaybackStatusUpdate = useCallback((status) => {
+    const statusEvent = getStatusEvent(status);
+    if (status.isLoaded) {
+      if (status.didJustFinish) {
+        rememberPosition(currentTrackRef.current, status.durationMillis / 1000);
+        errorRetryRef.current = null;
+        console.log(
+          'Track finished. Repeat:', repeatModeRef.current,
+          'Shuffle:', isShuffleRef.current,
+          'Radio:', isRadioModeRef.current
+        );
+
+        // An A-B loop that runs to the end of the track starts over at A
+        const loop = abLoopRef.current;
+        if (loop && loop.end !== null && soundRef.current) {
+          seekToRef.current(loop.start, { fade: false }).then(() => soundRef.current && soundRef.current.playAsync())
+            .catch(e => console.log('Error restarting A-B loop:', e));
+          return;
+        }
+
+        // The sleep timer was waiting for this track to end
+        if (sleepTimerEndsWithCurrentTrack()) {
+          completeSleepTimer();
+          return;
+        }
+
+        // Stop-after was waiting for this track to end
+        if (stopAfterRef.current) {
+          const nextChoice = preloadedRef.current ? preloadedRef.current.choice : getAutoAdvanceChoice();
+          if (stopAfterEndsWithCurrentTrack(nextChoice)) {
+            completeStopAfter();
+            return;
+          }
+        }
+
+        // The next track is already loaded, start it right away
+        if (preloadedRef.current) {
+          startPreloadedTrack();
+          return;
+        }
+
+        const command = dispatchPlayerEvent(statusEvent);
+        const choice = command.type === 'play' ? command.choice : null;
+
+        if (!choice) {
+          console.log('End of playlist (or shuffle w/ repeat off), stopping playback.');
+          setIsPlaying(false);
+          stopPositionTracking();
+          stopAlbumAnimation();
+        } else if (choice.type === 'repeat' && soundRef.current) {
+          console.log('Repeat One: Replaying current track');
+          countStopAfterTrack();
+          soundRef.current.setPositionAsync(0).then(() => {
+            soundRef.current.playAsync();
+          }).catch(e => console.error('Error seeking to 0 for repeat:', e));
+        } else {
+          console.log(`Playing next track '${choice.track.title}'`);
+          playChoice(choice);
+        }
+      } else {
+        // Update playback position and duration while playing
+        if (status.isPlaying) {
+          lastPlayingLoadIdRef.current = activeLoadIdRef.current;
+          if (interruptionRef.current) {
+            endInterruption();
+          }
+          const position = status.positionMillis / 1000;
+          const duration = status.durationMillis / 1000;
+          setPlaybackPosition(position);
+          // Update duration only if it's valid and different
+          if (duration && duration > 0 && duration !== playbackDuration) {
+             setPlaybackDuration(duration);
+          }
+          prepareTransition(status);
+
+          // Jump back to A once playback passes B
+          const loop = abLoopRef.current;
+          if (loop && loop.end !== null && position >= loop.end) {
+            seekToRef.current(loop.start, { fade: false });
+          }
+
+          // Fade out towards the end of the track the sleep timer stops after
+          const remainingMs = (status.durationMillis - status.positionMillis) / (status.rate || 1);
+          if (status.durationMillis && remainingMs <= SLEEP_TIMER_FADE_MS && sleepTimerEndsWithCurrentTrack()) {
+            startSleepFade(remainingMs);
+          }
+        } else if (isInterruptedStatus(status) && lastPlayingLoadIdRef.current === activeLoadIdRef.current) {
+          beginInterruption();
+        }
+      }
+    } else {
+      // Handle errors or unexpected unload
+      if (statusEvent) {
+        console.error(`Playback Error: ${status.error}`);
+        const command = dispatchPlayerEvent(statusEvent);
+        if (command && command.type === 'retry') {
+          const { track, position } = command;
+          pendingStartRef.current = { trackId: track.id, position };
+          loadAndPlayTrack(track).catch(error => handleUnplayableTrack(track, error));
+        } else if (command && command.type === 'skip') {
+          handleUnplayableTrack(command.track, command.error);
+        }
+      }
+      // If playback stalls or buffer is empty
+      if (isPlaying && !status.isPlaying && !status.isBuffering) {
+         // Maybe playback was interrupted? Decide if action needed
+      }
+    }
+  }, [beginInterruption, endInterruption, completeSleepTimer, completeStopAfter, countStopAfterTrack, dispatchPlayerEvent, handleUnplayableTrack, loadAndPlayTrack, rememberPosition, getAutoAdvanceChoice, isPlaying, playbackDuration, playChoice, prepareTransition, sleepTimerEndsWithCurrentTrack, stopAfterEndsWithCurrentTrack, startPreloadedTrack, startSleepFade, setPlaybackDuration, setPlaybackPosition, setIsPlaying, stopAlbumAnimation, stopPositionTracking]);
+
+  useEffect(() => {
+    onPlaybackStatusUpdateRef.current = onPlaybackStatusUpdate;
+  }, [onPlaybackStatusUpdate]);
+
+  const togglePlayPause = async () => {
+    if (!soundRef.current) {
+      console.warn('No sound object available for play/pause');
+      return;
+    }
+
+    // Don't leave the previous track fading out on its own
+    finishCrossfade();
+    // The user decides now, so a system resume must not undo it
+    clearInterruption();
+
+    try {
+      if (isPlaying) {
+        try {
+          // Fade out, then put the volume back for whenever playback resumes
+          await fadeCurrentSound(trackVolumeRef.current, 0, fadeOutCurve);
           await soundRef.current.pauseAsync();
+          if (!sleepFadeRef.current) {
+            await soundRef.current.setVolumeAsync(trackVolumeRef.current);
+          }
+          lastPlayingLoadIdRef.current = null;
+          rememberPosition(currentTrack, playbackPosition);
           stopPositionTracking();
           stopAlbumAnimation();
           setIsPlaying(false);
@@ -673,10 +2217,17 @@ export const AudioProvider = ({ children }) => {
         }
       } else {
         try {
+          const fadeIn = fadeDurationRef.current > 0 && !sleepFadeRef.current;
+          if (fadeIn) {
+            await soundRef.current.setVolumeAsync(0);
+          }
           await soundRef.current.playAsync();
           startPositionTracking();
           startAlbumAnimation();
           setIsPlaying(true);
+          if (fadeIn) {
+            fadeCurrentSound(0, trackVolumeRef.current, fadeInCurve);
+          }
         } catch (playError) {
           console.warn('Error playing sound:', playError.message);
           // If we get a "Player does not exist" error, reset the state
@@ -694,179 +2245,402 @@ export const AudioProvider = ({ children }) => {
     }
   };
 
-  const handleNext = useCallback(async () => {
-    // Use refs to get the latest state
-    const playlist = currentPlaylistRef.current;
-    const currentIdx = currentIndexRef.current; // Index within the *current playlist* if applicable
-    const shuffle = isShuffleRef.current;
-    const radio = isRadioModeRef.current;
-    const currentTrackId = currentTrack?.id; // Get ID of the currently playing track
-
-    if (radio) {
-      // RADIO MODE: Select random track from *all* audioFiles
-      if (audioFiles && audioFiles.length > 0) {
-        let randomFileIndex;
-        let nextTrack;
-
-        // Prevent picking the same track unless it's the only one available
-        if (audioFiles.length <= 1) {
-          randomFileIndex = 0;
-          nextTrack = audioFiles[0];
-        } else {
-          do {
-            randomFileIndex = Math.floor(Math.random() * audioFiles.length);
-            nextTrack = audioFiles[randomFileIndex];
-          } while (nextTrack.id === currentTrackId);
-        }
+  // Fade the current track out before a manual skip; the next one fades in once it is loaded
+  const fadeOutForSkip = useCallback(async () => {
+    finishCrossfade();
+    pendingFadeInRef.current = true;
+    await fadeCurrentSound(trackVolumeRef.current, 0, fadeOutCurve);
+  }, [fadeCurrentSound, finishCrossfade]);
 
-        if (nextTrack) {
-          console.log(`handleNext (Radio Mode): Playing track ${randomFileIndex} ('${nextTrack.title}') from entire library (${audioFiles.length} tracks)`);
-          // When playing in radio mode, the "playlist" context is the entire library
-          // The "index" is the index within audioFiles
-          await playTrack(nextTrack, audioFiles, randomFileIndex);
-        } else {
-           console.log('handleNext (Radio Mode): Could not find a valid next track.');
-           // Stop playback if no valid next track is found
-           setIsPlaying(false);
-           stopPositionTracking();
-           stopAlbumAnimation();
-        }
-      } else {
-        console.log('handleNext (Radio Mode) called, but audioFiles is empty.');
-        // Stop playback if library is empty
-        setIsPlaying(false);
-        stopPositionTracking();
-        stopAlbumAnimation();
-      }
-    } else {
-      // SHUFFLE/SEQUENTIAL MODE (within current playlist)
-      if (playlist && playlist.length > 0) {
-        let nextIndex;
-
-        if (shuffle) {
-          // Shuffle within the playlist
-          let randomIndex;
-          // Prevent picking the same index within the playlist
-          if (playlist.length <= 1) {
-             randomIndex = 0;
-          } else {
-             do {
-               randomIndex = Math.floor(Math.random() * playlist.length);
-             } while (randomIndex === currentIdx);
-          }
-          nextIndex = randomIndex;
-        } else {
-          // Sequential within the playlist
-          nextIndex = (currentIdx + 1) % playlist.length;
-        }
+  // Skip straight on, e.g. past a track that failed to play
+  const skipToNext = useCallback(async () => {
+    const command = dispatchPlayerEvent({ type: PLAYER_EVENTS.NEXT });
+    await playChoice(command.type === 'play' ? command.choice : null);
+  }, [dispatchPlayerEvent, playChoice]);
 
-        console.log(`handleNext (Playlist Mode): Playing track at index ${nextIndex} from playlist of length ${playlist.length}`);
-        await playTrack(playlist[nextIndex], playlist, nextIndex);
-      } else {
-        console.log('handleNext (Playlist Mode) called, but currentPlaylistRef.current is empty or undefined.');
-        // Playlist finished or empty, stop playback
-        setIsPlaying(false);
-        stopPositionTracking();
-        stopAlbumAnimation();
-      }
+  useEffect(() => {
+    skipToNextRef.current = skipToNext;
+  }, [skipToNext]);
+
+  const handleNext = useCallback(async () => {
+    const command = dispatchPlayerEvent({ type: PLAYER_EVENTS.NEXT });
+    if (command.type === 'play') {
+      await fadeOutForSkip();
     }
-  }, [audioFiles, currentTrack, playTrack, setIsPlaying, stopAlbumAnimation, stopPositionTracking]);
+    await playChoice(command.type === 'play' ? command.choice : null);
+  }, [dispatchPlayerEvent, fadeOutForSkip, playChoice]);
 
   const handlePrevious = async () => {
-    // Use refs to get the latest state
-    const playlist = currentPlaylistRef.current;
-    const currentIdx = currentIndexRef.current; // Index within the *current playlist* if applicable
-    const shuffle = isShuffleRef.current;
-    const radio = isRadioModeRef.current;
-    const currentTrackId = currentTrack?.id;
-
-    if (radio) {
-      // RADIO MODE: Select random track from *all* audioFiles (same as next in this mode)
-      if (audioFiles && audioFiles.length > 0) {
-        let randomFileIndex;
-        let prevTrack; // Renamed for clarity, but logic is the same as next
-
-        if (audioFiles.length <= 1) {
-          randomFileIndex = 0;
-          prevTrack = audioFiles[0];
-        } else {
-          do {
-            randomFileIndex = Math.floor(Math.random() * audioFiles.length);
-            prevTrack = audioFiles[randomFileIndex];
-          } while (prevTrack.id === currentTrackId);
-        }
+    const command = dispatchPlayerEvent({ type: PLAYER_EVENTS.PREVIOUS });
 
-        if (prevTrack) {
-          console.log(`handlePrevious (Radio Mode): Playing track ${randomFileIndex} ('${prevTrack.title}') from entire library (${audioFiles.length} tracks)`);
-          await playTrack(prevTrack, audioFiles, randomFileIndex);
-        } else {
-           console.log('handlePrevious (Radio Mode): Could not find a valid track.');
-           setIsPlaying(false);
-           stopPositionTracking();
-           stopAlbumAnimation();
+    if (!command) {
+      console.log('handlePrevious: Already at the start of the playlist.');
+      return;
+    }
+
+    if (command.type === 'restart') {
+      // Past the first seconds of the song, restart it instead of going to previous
+      console.log('handlePrevious: Restarting track.');
+      await seekTo(0);
+      return;
+    }
+
+    if (command.type === 'stop') {
+      console.log('handlePrevious (Radio Mode): Could not find a valid track.');
+      setIsPlaying(false);
+      stopPositionTracking();
+      stopAlbumAnimation();
+      return;
+    }
+
+    // A history choice returns to what actually played before, in the playlist context it played in
+    const { choice } = command;
+    console.log(`handlePrevious (${choice.type}): Going back to '${choice.track.title}'`);
+    await fadeOutForSkip();
+    await loadChoice(choice);
+  };
+
+  // Jump within the current track; while playing, the jump is hidden behind a short fade
+  const seekTo = async (seconds, { fade = true } = {}) => {
+    const command = dispatchPlayerEvent({ type: PLAYER_EVENTS.SEEK, position: seconds });
+    if (soundRef.current && command) {
+      try {
+        const fadeSeek = fade && isPlaying;
+        if (fadeSeek) {
+          await fadeCurrentSound(trackVolumeRef.current, 0, fadeOutCurve);
         }
-      } else {
-        console.log('handlePrevious (Radio Mode) called, but audioFiles is empty.');
-        setIsPlaying(false);
-        stopPositionTracking();
-        stopAlbumAnimation();
-      }
-    } else {
-      // SHUFFLE/SEQUENTIAL MODE (within current playlist)
-      if (playlist && playlist.length > 0) {
-        // If we're past 3 seconds into the song, restart it instead of going to previous
-        if (playbackPosition > 3 && !shuffle) { // Don't restart if shuffle is on
-          if (soundRef.current) {
-            try {
-              await soundRef.current.setPositionAsync(0);
-              setPlaybackPosition(0);
-              console.log('handlePrevious (Playlist Mode): Restarting track.');
-            } catch (error) {
-              console.log('Error resetting position:', error);
-            }
-          }
+        if (!soundRef.current) {
           return;
         }
+        await soundRef.current.setPositionAsync(command.position * 1000);
+        setPlaybackPosition(command.position);
+        if (fadeSeek) {
+          fadeCurrentSound(0, trackVolumeRef.current, fadeInCurve);
+        }
+      } catch (error) {
+        console.log('Error seeking:', error);
+      }
+    }
+  };
 
-        let prevIndex;
+  useEffect(() => {
+    seekToRef.current = seekTo;
+  });
 
-        if (shuffle) {
-          // Get random index from playlist that is not the current one
-          let randomIndex;
-          if (playlist.length <= 1) {
-              randomIndex = 0;
-          } else {
-             do {
-               randomIndex = Math.floor(Math.random() * playlist.length);
-             } while (randomIndex === currentIdx);
-          }
-          prevIndex = randomIndex;
-        } else {
-          // Normal sequential playback within playlist
-          prevIndex = (currentIdx - 1 + playlist.length) % playlist.length;
-        }
+  // A loop only applies to the track it was set on
+  useEffect(() => {
+    setAbLoop(null);
+  }, [currentTrack?.id]);
 
-        console.log(`handlePrevious (Playlist Mode): Playing track at index ${prevIndex} from playlist of length ${playlist.length}`);
-        await playTrack(playlist[prevIndex], playlist, prevIndex);
-      } else {
-         console.log('handlePrevious (Playlist Mode) called, but currentPlaylistRef.current is empty or undefined.');
-         // No playlist, nothing to do
+  // Poll the position more often while a loop is set so the jump back happens close to B
+  useEffect(() => {
+    const interval = abLoop && abLoop.end !== null ? LOOP_PROGRESS_INTERVAL_MS : DEFAULT_PROGRESS_INTERVAL_MS;
+    if (soundRef.current) {
+      soundRef.current.setProgressUpdateIntervalAsync(interval)
+        .catch(e => console.log('Error setting progress update interval:', e));
+    }
+  }, [abLoop]);
+
+  // Mark A at the current position; a B before the new A is dropped
+  const setLoopStart = () => {
+    const start = playbackPosition;
+    setAbLoop(prev => ({ start, end: prev && prev.end !== null && prev.end > start ? prev.end : null }));
+  };
+
+  // Mark B at the current position, which starts the loop; with no A yet, the loop starts at 0
+  const setLoopEnd = () => {
+    const end = playbackPosition;
+    const start = abLoop && abLoop.start < end ? abLoop.start : 0;
+    if (end <= start) {
+      return;
+    }
+    setAbLoop({ start, end });
+    seekTo(start);
+  };
+
+  const clearLoop = () => {
+    setAbLoop(null);
+  };
+
+  // Save the current A-B loop under a name for the current track
+  const saveLoop = (name) => {
+    if (!currentTrack || !abLoop || abLoop.end === null) {
+      return null;
+    }
+    const loop = {
+      id: Date.now().toString(),
+      name: name.trim() || 'Loop',
+      start: abLoop.start,
+      end: abLoop.end,
+    };
+    setSavedLoops(prev => ({
+      ...prev,
+      [currentTrack.id]: [...(prev[currentTrack.id] || []), loop],
+    }));
+    return loop.id;
+  };
+
+  const recallLoop = (loopId) => {
+    const loop = currentTrack && (savedLoops[currentTrack.id] || []).find(item => item.id === loopId);
+    if (!loop) {
+      return;
+    }
+    setAbLoop({ start: loop.start, end: loop.end });
+    seekTo(loop.start);
+  };
+
+  const deleteSavedLoop = (loopId) => {
+    if (!currentTrack) {
+      return;
+    }
+    setSavedLoops(prev => {
+      const remaining = (prev[currentTrack.id] || []).filter(item => item.id !== loopId);
+      const next = { ...prev, [currentTrack.id]: remaining };
+      if (remaining.length === 0) {
+        delete next[currentTrack.id];
       }
+      return next;
+    });
+  };
+
+  const currentTrackLoops = useMemo(
+    () => (currentTrack && savedLoops[currentTrack.id]) || [],
+    [currentTrack, savedLoops]
+  );
+
+  const getResumePosition = useCallback((trackId) => resumePositions[trackId] || 0, [resumePositions]);
+
+  const isTrackFinished = useCallback((trackId) => !!finishedTracks[trackId], [finishedTracks]);
+
+  const markTrackFinished = (trackId) => {
+    setResumePositions(prev => {
+      const next = { ...prev };
+      delete next[trackId];
+      return next;
+    });
+    setFinishedTracks(prev => ({ ...prev, [trackId]: Date.now() }));
+  };
+
+  const markTrackUnfinished = (trackId) => {
+    setFinishedTracks(prev => {
+      const next = { ...prev };
+      delete next[trackId];
+      return next;
+    });
+  };
+
+  // Bookmark the current position of the current track
+  const addBookmark = (name) => {
+    if (!currentTrack) {
+      return null;
     }
+    const bookmark = {
+      id: Date.now().toString(),
+      name: (name || '').trim() || `Bookmark at ${Math.floor(playbackPosition / 60)}:${String(Math.floor(playbackPosition % 60)).padStart(2, '0')}`,
+      position: playbackPosition,
+      createdAt: new Date().toISOString(),
+    };
+    setBookmarks(prev => ({
+      ...prev,
+      [currentTrack.id]: [...(prev[currentTrack.id] || []), bookmark]
+        .sort((a, b) => a.position - b.position),
+    }));
+    return bookmark.id;
   };
 
-  const seekTo = async (seconds) => {
-    if (soundRef.current) {
-      try {
-        await soundRef.current.setPositionAsync(seconds * 1000);
-        setPlaybackPosition(seconds);
-      } catch (error) {
-        console.log('Error seeking:', error);
+  const removeBookmark = (trackId, bookmarkId) => {
+    setBookmarks(prev => {
+      const remaining = (prev[trackId] || []).filter(bookmark => bookmark.id !== bookmarkId);
+      const next = { ...prev, [trackId]: remaining };
+      if (remaining.length === 0) {
+        delete next[trackId];
       }
+      return next;
+    });
+  };
+
+  const getTrackBookmarks = useCallback((trackId) => bookmarks[trackId] || [], [bookmarks]);
+
+  // Play a track from a bookmark, or just seek there when it's already playing
+  const jumpToBookmark = async (track, bookmark) => {
+    if (currentTrack && currentTrack.id === track.id && soundRef.current) {
+      await seekTo(bookmark.position);
+      return;
     }
+    pendingStartRef.current = { trackId: track.id, position: bookmark.position };
+    await playTrack(track);
   };
 
+  // Queue a track (or an array of tracks) to play right after the current one
+  const playNext = useCallback((tracks) => {
+    const entries = createQueueEntries(tracks);
+    if (entries.length === 0) {
+      return;
+    }
+    setUserQueue(prev => [...entries, ...prev]);
+  }, []);
+
+  // Append a track (or an array of tracks) to the end of the user queue
+  const addToQueue = useCallback((tracks) => {
+    const entries = createQueueEntries(tracks);
+    if (entries.length === 0) {
+      return;
+    }
+    setUserQueue(prev => [...prev, ...entries]);
+  }, []);
+
+  const removeFromQueue = useCallback((queueId) => {
+    setUserQueue(prev => prev.filter(entry => entry.queueId !== queueId));
+  }, []);
+
+  // Drop the tracks queued by the user; the rest of the playlist still plays
+  const clearQueue = useCallback(() => {
+    userQueueRef.current = [];
+    setUserQueue([]);
+  }, []);
+
+  // Jump to a queued track, dropping the entries queued ahead of it
+  const playFromQueue = useCallback(async (queueId) => {
+    const queued = userQueueRef.current;
+    const entryIndex = queued.findIndex(entry => entry.queueId === queueId);
+    if (entryIndex === -1) {
+      return;
+    }
+
+    const rest = queued.slice(entryIndex + 1);
+    userQueueRef.current = rest;
+    setUserQueue(rest);
+    await playQueuedTrack(queued[entryIndex].track);
+  }, [playQueuedTrack]);
+
+  // Move an entry of the user queue
+  const reorderQueue = useCallback((fromIndex, toIndex) => {
+    const queued = userQueueRef.current;
+    if (fromIndex === toIndex || !queued[fromIndex] || toIndex < 0 || toIndex >= queued.length) {
+      return;
+    }
+
+    const updated = moveArrayItem(queued, fromIndex, toIndex);
+    userQueueRef.current = updated;
+    setUserQueue(updated);
+  }, []);
+
+  // Move a track of the current playlist, keeping currentIndex on the same track
+  const reorderCurrentPlaylist = useCallback((fromIndex, toIndex) => {
+    const playlist = currentPlaylistRef.current;
+    if (fromIndex === toIndex || !playlist[fromIndex] || toIndex < 0 || toIndex >= playlist.length) {
+      return;
+    }
+
+    const updated = moveArrayItem(playlist, fromIndex, toIndex);
+    const updatedIndex = getIndexAfterMove(currentIndexRef.current, fromIndex, toIndex);
+    const shuffleState = readActiveShuffleState();
+
+    discardPreloadedTrack();
+    if (shuffleState) {
+      // The shuffled order keeps playing the same tracks
+      const order = shuffleState.order.map(i => getIndexAfterMove(i, fromIndex, toIndex));
+      shuffleStateRef.current = { ...shuffleState, playlist: updated, order };
+    }
+    currentPlaylistRef.current = updated;
+    currentIndexRef.current = updatedIndex;
+    setCurrentPlaylist(updated);
+    setCurrentIndex(updatedIndex);
+  }, [discardPreloadedTrack, readActiveShuffleState]);
+
+  // Remove a track from the current playlist; the track at currentIndex cannot be removed
+  const removeFromCurrentPlaylist = useCallback((index) => {
+    const playlist = currentPlaylistRef.current;
+    const currentIdx = currentIndexRef.current;
+    if (!playlist[index] || (index === currentIdx && !isPlayingFromQueueRef.current)) {
+      return;
+    }
+
+    const updated = playlist.filter((_, i) => i !== index);
+    let updatedIndex = currentIdx;
+    if (index < currentIdx) {
+      updatedIndex = currentIdx - 1;
+    } else if (index === currentIdx) {
+      // The interrupted playlist track was removed while a queued track plays,
+      // step back one so handleNext continues with the track that took its place
+      updatedIndex = currentIdx - 1;
+    }
+    const shuffleState = readActiveShuffleState();
+
+    discardPreloadedTrack();
+    if (shuffleState && shuffleState.order[shuffleState.position] !== index) {
+      // Leave the rest of the shuffled order as it was; without the interrupted track it starts over
+      const removedAt = shuffleState.order.indexOf(index);
+      shuffleStateRef.current = {
+        ...shuffleState,
+        playlist: updated,
+        order: shuffleState.order.filter(i => i !== index).map(i => (i > index ? i - 1 : i)),
+        position: removedAt < shuffleState.position ? shuffleState.position - 1 : shuffleState.position,
+      };
+    }
+    currentPlaylistRef.current = updated;
+    currentIndexRef.current = updatedIndex;
+    setCurrentPlaylist(updated);
+    setCurrentIndex(updatedIndex);
+  }, [discardPreloadedTrack, readActiveShuffleState]);
+
+  // Drop everything after the current track: the user queue and the rest of the playlist.
+  // Shuffled, the playlist keeps the tracks the shuffled order already played, in that order.
+  const clearUpcoming = useCallback(() => {
+    const shuffleState = readActiveShuffleState();
+    discardPreloadedTrack();
+    userQueueRef.current = [];
+    setUserQueue([]);
+    if (shuffleState) {
+      const played = shuffleState.order.slice(0, shuffleState.position + 1);
+      const updated = played.map(i => currentPlaylistRef.current[i]);
+      currentPlaylistRef.current = updated;
+      currentIndexRef.current = shuffleState.position;
+      shuffleStateRef.current = { ...shuffleState, playlist: updated, order: played.map((_, i) => i) };
+      setCurrentPlaylist(updated);
+      setCurrentIndex(shuffleState.position);
+      return;
+    }
+    const updated = currentPlaylistRef.current.slice(0, currentIndexRef.current + 1);
+    currentPlaylistRef.current = updated;
+    setCurrentPlaylist(updated);
+  }, [discardPreloadedTrack, readActiveShuffleState]);
+
+  // Save the current track and everything coming up after it as a new playlist
+  const saveQueueAsPlaylist = useCallback((name) => {
+    const shuffleState = readActiveShuffleState();
+    const upcomingIndices = shuffleState
+      ? shuffleState.order.slice(shuffleState.position + 1)
+      : currentPlaylistRef.current.map((_, i) => i).slice(currentIndexRef.current + 1);
+    const upcoming = [
+      ...(currentTrack ? [currentTrack] : []),
+      ...userQueueRef.current.map(entry => entry.track),
+      ...upcomingIndices.map(i => currentPlaylistRef.current[i]),
+    ];
+
+    // Playlists hold every track only once
+    const tracks = upcoming.filter((track, index) =>
+      upcoming.findIndex(t => t.id === track.id) === index
+    );
+
+    const newPlaylist = {
+      id: Date.now().toString(),
+      name,
+      tracks: tracks.map(track => ({ ...track })),
+      createdAt: new Date().toISOString(),
+    };
+
+    setPlaylists(prev => [...prev, newPlaylist]);
+    return newPlaylist.id;
+  }, [currentTrack, readActiveShuffleState]);
+
+  // Cycles off -> shuffle -> album shuffle -> off
   const toggleShuffle = () => {
+    if (isShuffle && !isAlbumShuffle) {
+      setIsAlbumShuffle(true);
+      return;
+    }
+    setIsAlbumShuffle(false);
     setIsShuffle(!isShuffle);
     // Decoupled: No longer automatically enables radio mode
     // if (!isShuffle) {
@@ -876,6 +2650,10 @@ export const AudioProvider = ({ children }) => {
 
   const toggleRadioMode = () => {
     console.log('Toggling Radio Mode. Current state:', isRadioMode);
+    // Radio turned on from the player is seeded from the playing track
+    setRadioSeed(!isRadioMode && currentTrack
+      ? { type: 'track', name: currentTrack.title, tracks: [currentTrack] }
+      : null);
     setIsRadioMode(prev => {
       console.log('New Radio Mode state:', !prev);
       return !prev;
@@ -887,6 +2665,44 @@ export const AudioProvider = ({ children }) => {
     setRepeatMode(prev => (prev + 1) % 3);
   };
 
+  const toggleSmartShuffle = () => {
+    setSmartShuffle(prev => !prev);
+  };
+
+  const toggleGaplessPlayback = () => {
+    setGaplessPlayback(prev => !prev);
+  };
+
+  const toggleBackgroundPlayback = () => {
+    setBackgroundPlayback(prev => !prev);
+  };
+
+  const toggleAutoResumeAfterInterruption = () => {
+    setAutoResumeAfterInterruption(prev => !prev);
+  };
+
+  const toggleNormalization = () => {
+    setNormalization(prev => !prev);
+  };
+
+  // Speed of the current track: its own for long-form audio, the global one otherwise
+  const playbackRate = isLongFormTrack(currentTrack)
+    ? (trackPlaybackRates[currentTrack.id] || 1)
+    : globalPlaybackRate;
+
+  const setPlaybackRate = (rate) => {
+    const clampedRate = Math.min(Math.max(rate, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE);
+    if (isLongFormTrack(currentTrack)) {
+      setTrackPlaybackRates(prev => ({ ...prev, [currentTrack.id]: clampedRate }));
+    } else {
+      setGlobalPlaybackRate(clampedRate);
+    }
+  };
+
+  const togglePitchCorrection = () => {
+    setPitchCorrection(prev => !prev);
+  };
+
   const toggleLike = (trackId) => {
     // Update liked songs list
     setLikedSongs(prev => {
@@ -1091,27 +2907,34 @@ export const AudioProvider = ({ children }) => {
     };
   };
 
-  // Group songs by album
+  // Group songs by album and album artist, each album in disc and track order
   const groupSongsByAlbum = useCallback((songs) => {
     const albumGroups = {};
     songs.forEach(song => {
-      const albumName = song.album || 'Unknown Album';
-      const artistName = song.artist || 'Unknown Artist';
-
-      if (!albumGroups[albumName]) {
-        albumGroups[albumName] = {
-          name: albumName,
-          artist: artistName,
+      const albumKey = getAlbumKey(song);
+
+      if (!albumGroups[albumKey]) {
+        albumGroups[albumKey] = {
+          key: albumKey,
+          name: song.album || 'Unknown Album',
+          artist: getAlbumArtist(song),
+          albumArtist: song.albumArtist || null,
+          year: null,
           artwork: song.artwork,
           tracks: [],
           trackCount: 0,
         };
       }
 
-      albumGroups[albumName].tracks.push(song);
-      albumGroups[albumName].trackCount = albumGroups[albumName].tracks.length;
+      const album = albumGroups[albumKey];
+      album.tracks.push(song);
+      album.trackCount = album.tracks.length;
+      if (!album.year && song.year) {
+        album.year = song.year;
+      }
     });
 
+    Object.values(albumGroups).forEach(album => album.tracks.sort(compareAlbumTracks));
     return albumGroups;
   }, []);
 
@@ -1126,14 +2949,14 @@ export const AudioProvider = ({ children }) => {
     return Object.values(albums);
   }, [albums]);
 
-  // Get album by name
-  const getAlbumByName = useCallback((albumName) => {
-    return albums[albumName];
+  // Get album by key; a plain album name finds the first album with that name
+  const getAlbumByName = useCallback((albumKey) => {
+    return albums[albumKey] || Object.values(albums).find(album => album.name === albumKey);
   }, [albums]);
 
   // Play album
-  const playAlbum = useCallback(async (albumName, startIndex = 0) => {
-    const album = albums[albumName];
+  const playAlbum = useCallback(async (albumKey, startIndex = 0) => {
+    const album = getAlbumByName(albumKey);
     if (!album || !album.tracks.length) {
       return;
     }
@@ -1141,22 +2964,25 @@ export const AudioProvider = ({ children }) => {
     setCurrentPlaylist(album.tracks);
     setCurrentIndex(startIndex);
     await playTrack(album.tracks[startIndex], album.tracks, startIndex);
-  }, [albums, playTrack]);
+  }, [getAlbumByName, playTrack]);
 
   // Shuffle album
-  const shuffleAlbum = useCallback(async (albumName) => {
-    const album = albums[albumName];
+  const shuffleAlbum = useCallback(async (albumKey) => {
+    const album = getAlbumByName(albumKey);
     if (!album || !album.tracks.length) {
       return;
     }
 
-    const shuffledTracks = [...album.tracks].sort(() => Math.random() - 0.5);
-    setCurrentPlaylist(shuffledTracks);
-    setCurrentIndex(0);
-    await playTrack(shuffledTracks[0], shuffledTracks, 0);
-  }, [albums, playTrack]);
+    await playShuffled(album.tracks);
+  }, [getAlbumByName, playShuffled]);
+
+  // Album shuffle over the whole library
+  const shuffleAlbums = useCallback(async () => {
+    const libraryTracks = Object.values(groupSongsByAlbum(audioFiles)).flatMap(album => album.tracks);
+    await playShuffled(libraryTracks, { byAlbum: true });
+  }, [audioFiles, groupSongsByAlbum, playShuffled]);
 
-  // Define the context value based on internal state and functions
+  // Everything the provider offers; the functions become the stable actions below
   const contextValue = {
     currentTrack,
     setCurrentTrack, // Make sure to expose setters if needed elsewhere
@@ -1176,8 +3002,15 @@ export const AudioProvider = ({ children }) => {
     setPlaybackDuration,
     isShuffle,
     setIsShuffle,
+    isAlbumShuffle,
+    smartShuffle,
+    shuffleOrder,
+    toggleSmartShuffle,
+    playShuffled,
     isRadioMode,
     setIsRadioMode,
+    radioSeed,
+    startRadio,
     repeatMode,
     setRepeatMode,
     likedSongs,
@@ -1193,6 +3026,63 @@ export const AudioProvider = ({ children }) => {
     getAlbumByName,
     playAlbum,
     shuffleAlbum,
+    shuffleAlbums,
+    userQueue,
+    isPlayingFromQueue,
+    crossfadeDuration,
+    setCrossfadeDuration,
+    fadeDuration,
+    setFadeDuration,
+    gaplessPlayback,
+    toggleGaplessPlayback,
+    normalization,
+    toggleNormalization,
+    normalizationMode,
+    setNormalizationMode,
+    normalizationPreamp,
+    setNormalizationPreamp,
+    playbackRate,
+    setPlaybackRate,
+    pitchCorrection,
+    togglePitchCorrection,
+    abLoop,
+    setLoopStart,
+    setLoopEnd,
+    clearLoop,
+    currentTrackLoops,
+    saveLoop,
+    recallLoop,
+    deleteSavedLoop,
+    resumeThreshold,
+    setResumeThreshold,
+    getResumePosition,
+    isTrackFinished,
+    markTrackFinished,
+    markTrackUnfinished,
+    addBookmark,
+    removeBookmark,
+    getTrackBookmarks,
+    jumpToBookmark,
+    sleepTimer,
+    unplayableTracks,
+    isTrackUnplayable,
+    clearUnplayableTrack,
+    clearUnplayableTracks,
+    playbackNotice,
+    dismissPlaybackNotice,
+    backgroundPlayback,
+    toggleBackgroundPlayback,
+    interruptionBehavior,
+    setInterruptionBehavior,
+    autoResumeAfterInterruption,
+    toggleAutoResumeAfterInterruption,
+    interruption,
+    stopAfter,
+    setStopAfterMode,
+    clearStopAfter,
+    startSleepTimer,
+    extendSleepTimer,
+    cancelSleepTimer,
 
     // Expose functions
     startAlbumAnimation,
@@ -1207,6 +3097,16 @@ export const AudioProvider = ({ children }) => {
     handleNext,
     handlePrevious,
     seekTo,
+    playNext,
+    addToQueue,
+    removeFromQueue,
+    clearQueue,
+    playFromQueue,
+    reorderQueue,
+    reorderCurrentPlaylist,
+    removeFromCurrentPlaylist,
+    clearUpcoming,
+    saveQueueAsPlaylist,
     toggleShuffle,
     toggleRadioMode,
     toggleRepeat,
@@ -1244,10 +3144,115 @@ export const AudioProvider = ({ children }) => {
     loadingProgress,
   };
 
-  // Always provide the internal contextValue
+  // Functions keep their identity across renders and always run the latest implementation.
+  // The ref is updated during render so children rendered in the same pass see current state.
+  const latestValueRef = useRef(null);
+  latestValueRef.current = contextValue;
+  const actionsRef = useRef(null);
+  if (!actionsRef.current) {
+    actionsRef.current = createStableActions(contextValue, latestValueRef);
+  }
+  const actions = actionsRef.current;
+
+  const player = useMemo(() => ({
+    currentTrack,
+    isPlaying,
+    isLoading,
+    currentIndex,
+    currentPlaylist,
+    isShuffle,
+    isAlbumShuffle,
+    smartShuffle,
+    shuffleOrder,
+    isRadioMode,
+    radioSeed,
+    repeatMode,
+    userQueue,
+    isPlayingFromQueue,
+    crossfadeDuration,
+    fadeDuration,
+    gaplessPlayback,
+    normalization,
+    normalizationMode,
+    normalizationPreamp,
+    playbackRate,
+    pitchCorrection,
+    abLoop,
+    currentTrackLoops,
+    resumeThreshold,
+    sleepTimer,
+    stopAfter,
+    unplayableTracks,
+    playbackNotice,
+    backgroundPlayback,
+    interruptionBehavior,
+    autoResumeAfterInterruption,
+    interruption,
+    getResumePosition,
+    isTrackFinished,
+    getTrackBookmarks,
+  }), [
+    currentTrack, isPlaying, isLoading, currentIndex, currentPlaylist, isShuffle, isAlbumShuffle,
+    smartShuffle, shuffleOrder, isRadioMode, radioSeed, repeatMode, userQueue, isPlayingFromQueue, crossfadeDuration,
+    fadeDuration, gaplessPlayback, normalization, normalizationMode, normalizationPreamp, playbackRate, pitchCorrection,
+    abLoop, currentTrackLoops, resumeThreshold, sleepTimer, stopAfter, unplayableTracks, playbackNotice,
+    backgroundPlayback, interruptionBehavior, autoResumeAfterInterruption, interruption,
+    getResumePosition, isTrackFinished, getTrackBookmarks,
+  ]);
+
+  const progress = useMemo(() => ({
+    playbackPosition,
+    playbackDuration,
+  }), [playbackPosition, playbackDuration]);
+
+  const library = useMemo(() => ({
+    audioFiles,
+    albums,
+    isLoadingMore,
+    hasMore,
+    loadingProgress,
+    getMostPlayedTracks,
+  }), [audioFiles, albums, isLoadingMore, hasMore, loadingProgress, getMostPlayedTracks]);
+
+  const playlistsValue = useMemo(() => ({
+    playlists,
+    recentlyPlayed,
+    likedSongs,
+    isTrackLiked,
+  }), [playlists, recentlyPlayed, likedSongs, isTrackLiked]);
+
+  const offline = useMemo(() => ({
+    isOfflineMode,
+    offlineTracks,
+    offlinePlaylists,
+    isDownloading,
+    downloadProgress,
+  }), [isOfflineMode, offlineTracks, offlinePlaylists, isDownloading, downloadProgress]);
+
+  const audioValue = useMemo(() => ({
+    ...actions,
+    ...player,
+    ...progress,
+    ...library,
+    ...playlistsValue,
+    ...offline,
+  }), [actions, player, progress, library, playlistsValue, offline]);
+
   return (
-    <AudioContext.Provider value={contextValue}>
-      {children}
-    </AudioContext.Provider>
+    <AudioActionsContext.Provider value={actions}>
+      <PlayerContext.Provider value={player}>
+        <PlaybackProgressContext.Provider value={progress}>
+          <LibraryContext.Provider value={library}>
+            <PlaylistsContext.Provider value={playlistsValue}>
+              <OfflineContext.Provider value={offline}>
+                <AudioContext.Provider value={audioValue}>
+                  {children}
+                </AudioContext.Provider>
+              </OfflineContext.Provider>
+            </PlaylistsContext.Provider>
+          </LibraryContext.Provider>
+        </PlaybackProgressContext.Provider>
+      </PlayerContext.Provider>
+    </AudioActionsContext.Provider>
   );
 };
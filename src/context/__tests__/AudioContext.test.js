@@ -0,0 +1,408 @@
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AudioProvider, useAudio } from '../AudioContext';
+import { clearLibraryCache, getSongsAsync } from '../../utils/mediaLibrary';
+
+jest.mock('../../utils/mediaLibrary', () => ({
+  getSongsAsync: jest.fn(async () => []),
+  clearLibraryCache: jest.fn(async () => {}),
+}));
+jest.mock('../../utils/OfflineStorage', () => ({
+  getOfflineTracks: jest.fn(async () => []),
+  getOfflinePlaylists: jest.fn(async () => []),
+  isTrackOffline: jest.fn(async () => false),
+}));
+
+const tracks = ['a', 'b', 'c', 'd'].map(id => ({
+  id,
+  title: id.toUpperCase(),
+  artist: 'Artist',
+  album: 'Album',
+  uri: `file:///music/${id}.mp3`,
+  duration: 200,
+}));
+const [trackA, trackB, trackC, trackD] = tracks;
+
+// A sound that keeps its status in memory. report() hands a status update to the player the
+// way expo-av's status callback does.
+const createFakeSound = (uri, initialStatus, onStatus) => {
+  const status = {
+    isLoaded: true,
+    uri,
+    positionMillis: initialStatus.positionMillis || 0,
+    durationMillis: 200000,
+    shouldPlay: !!initialStatus.shouldPlay,
+    isPlaying: !!initialStatus.shouldPlay,
+    isBuffering: false,
+    didJustFinish: false,
+    volume: initialStatus.volume === undefined ? 1 : initialStatus.volume,
+    rate: initialStatus.rate || 1,
+  };
+  const update = (changes) => {
+    Object.assign(status, changes);
+    return Promise.resolve({ ...status });
+  };
+
+  return {
+    uri,
+    initialStatus,
+    status,
+    playAsync: jest.fn(() => update({ shouldPlay: true, isPlaying: true })),
+    pauseAsync: jest.fn(() => update({ shouldPlay: false, isPlaying: false })),
+    stopAsync: jest.fn(() => update({ shouldPlay: false, isPlaying: false, positionMillis: 0 })),
+    setPositionAsync: jest.fn(positionMillis => update({ positionMillis })),
+    setVolumeAsync: jest.fn(volume => update({ volume })),
+    setRateAsync: jest.fn(rate => update({ rate })),
+    setStatusAsync: jest.fn(changes => update({ ...changes, isPlaying: !!changes.shouldPlay })),
+    setProgressUpdateIntervalAsync: jest.fn(() => update({})),
+    getStatusAsync: jest.fn(() => Promise.resolve({ ...status })),
+    unloadAsync: jest.fn(() => update({ isLoaded: false, isPlaying: false })),
+    report: (changes) => onStatus({ ...status, ...changes }),
+  };
+};
+
+// Stands in for expoAvDriver; loading one of failingUris throws like a file expo-av can't open,
+// and every load takes loadDelay milliseconds
+const createFakeDriver = ({ failingUris = [], loadDelay = 0 } = {}) => {
+  const driver = {
+    sounds: [],
+    load: jest.fn(async (uri, initialStatus, onStatus) => {
+      if (loadDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, loadDelay));
+      }
+      if (failingUris.includes(uri)) {
+        throw new Error(`Cannot open ${uri}`);
+      }
+      const sound = createFakeSound(uri, initialStatus, onStatus);
+      driver.sounds.push(sound);
+      return sound;
+    }),
+    setAudioMode: jest.fn(async () => {}),
+    loadedUris: () => driver.load.mock.calls.map(([uri]) => uri),
+    currentSound: () => driver.sounds[driver.sounds.length - 1],
+  };
+  return driver;
+};
+
+// Let every pending promise chain (loads, skips, retries) run to the end
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const renderPlayer = async (driver) => {
+  let audio = null;
+  const Probe = () => {
+    audio = useAudio();
+    return null;
+  };
+
+  let renderer;
+  await act(async () => {
+    renderer = create(<AudioProvider driver={driver}><Probe /></AudioProvider>);
+    await settle();
+  });
+
+  return {
+    get audio() {
+      return audio;
+    },
+    run: async (action) => {
+      await act(async () => {
+        await action(audio);
+        await settle();
+      });
+    },
+    unmount: () => act(() => renderer.unmount()),
+  };
+};
+
+describe('AudioProvider with a fake sound driver', () => {
+  let player;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    // Skip the play/pause/skip fades, they run on real time
+    await AsyncStorage.setItem('fadeDuration', '0');
+  });
+
+  afterEach(async () => {
+    if (player) {
+      await player.unmount();
+      player = null;
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('starts the next track when one ends and stops after the last one', async () => {
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackC, tracks, 2));
+    await player.run(() => driver.currentSound().report({ didJustFinish: true, isPlaying: false }));
+
+    expect(driver.loadedUris()).toEqual([trackC.uri, trackD.uri]);
+    expect(player.audio.currentTrack).toBe(trackD);
+    expect(player.audio.currentIndex).toBe(3);
+
+    await player.run(() => driver.currentSound().report({ didJustFinish: true, isPlaying: false }));
+
+    expect(driver.loadedUris()).toHaveLength(2);
+    expect(player.audio.isPlaying).toBe(false);
+  });
+
+  it('plays queued tracks on Next and goes back to what played before on Previous', async () => {
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackA, tracks, 0));
+    await player.run(audio => audio.addToQueue(trackD));
+    await player.run(audio => audio.handleNext());
+
+    expect(player.audio.currentTrack).toBe(trackD);
+    expect(player.audio.isPlayingFromQueue).toBe(true);
+    expect(player.audio.userQueue).toEqual([]);
+
+    await player.run(audio => audio.handlePrevious());
+
+    expect(driver.loadedUris()).toEqual([trackA.uri, trackD.uri, trackA.uri]);
+    expect(player.audio.currentTrack).toBe(trackA);
+    expect(player.audio.currentIndex).toBe(0);
+    expect(player.audio.isPlayingFromQueue).toBe(false);
+  });
+
+  it('restarts the track on Previous once past the first seconds', async () => {
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackB, tracks, 1));
+    await player.run(() => driver.currentSound().report({ positionMillis: 12000, isPlaying: true }));
+    await player.run(audio => audio.handlePrevious());
+
+    expect(driver.loadedUris()).toEqual([trackB.uri]);
+    expect(driver.currentSound().setPositionAsync).toHaveBeenLastCalledWith(0);
+    expect(player.audio.playbackPosition).toBe(0);
+  });
+
+  it('clamps seeks to the track', async () => {
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackA, tracks, 0));
+    await player.run(() => driver.currentSound().report({ positionMillis: 1000, isPlaying: true }));
+    await player.run(audio => audio.seekTo(500));
+
+    expect(driver.currentSound().setPositionAsync).toHaveBeenLastCalledWith(200000);
+    expect(player.audio.playbackPosition).toBe(200);
+
+    await player.run(audio => audio.seekTo(-5));
+
+    expect(driver.currentSound().setPositionAsync).toHaveBeenLastCalledWith(0);
+  });
+
+  it('reloads a track after a playback error and skips it after a second one', async () => {
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackB, tracks, 1));
+    await player.run(() => driver.currentSound().report({ positionMillis: 30000, isPlaying: true }));
+    await player.run(() => driver.currentSound().report({ isLoaded: false, error: 'Decoder failed' }));
+
+    expect(driver.loadedUris()).toEqual([trackB.uri, trackB.uri]);
+    expect(driver.currentSound().initialStatus.positionMillis).toBe(30000);
+
+    await player.run(() => driver.currentSound().report({ isLoaded: false, error: 'Decoder failed' }));
+
+    expect(driver.loadedUris()).toEqual([trackB.uri, trackB.uri, trackC.uri]);
+    expect(player.audio.currentTrack).toBe(trackC);
+    expect(Object.keys(player.audio.unplayableTracks)).toEqual(['b']);
+  });
+
+  it('starts a preloaded track gaplessly and drops it once the playlist is reordered', async () => {
+    await AsyncStorage.setItem('gaplessPlayback', 'true');
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackA, tracks, 0));
+    await player.run(() => driver.currentSound().report({ positionMillis: 198000, isPlaying: true }));
+    const preloaded = driver.currentSound();
+    expect(preloaded.uri).toBe(trackB.uri);
+    expect(preloaded.initialStatus.shouldPlay).toBe(false);
+
+    // c moves up to play next, so the preloaded b is stale
+    await player.run(audio => audio.reorderCurrentPlaylist(2, 1));
+    expect(preloaded.unloadAsync).toHaveBeenCalled();
+
+    await player.run(() => driver.sounds[0].report({ positionMillis: 199000, isPlaying: true }));
+    const outgoing = driver.sounds[0];
+    await player.run(() => outgoing.report({ didJustFinish: true, isPlaying: false }));
+
+    expect(driver.loadedUris()).toEqual([trackA.uri, trackB.uri, trackC.uri]);
+    expect(driver.currentSound().setStatusAsync).toHaveBeenCalledWith({ shouldPlay: true, volume: 1 });
+    expect(outgoing.unloadAsync).toHaveBeenCalled();
+    expect(player.audio.currentTrack).toBe(trackC);
+    expect(player.audio.currentPlaylist.map(track => track.id)).toEqual(['a', 'c', 'b', 'd']);
+    expect(player.audio.currentIndex).toBe(1);
+  });
+
+  it('plays a track at the volume of the ReplayGain info stored with it', async () => {
+    await AsyncStorage.setItem('normalization', JSON.stringify({ enabled: true, mode: 'track', preamp: 0 }));
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    // -6.02 dB halves the amplitude
+    const quieter = { ...trackA, replayGain: { trackGain: -6.0206, trackPeak: 0.9 } };
+    await player.run(audio => audio.playTrack(quieter, [quieter, trackB], 0));
+
+    expect(driver.currentSound().initialStatus.volume).toBeCloseTo(0.5, 3);
+
+    await player.run(audio => audio.handleNext());
+
+    expect(driver.currentSound().initialStatus.volume).toBe(1);
+  });
+
+  it('restores the last session paused, at the volume and speed the track plays at', async () => {
+    await AsyncStorage.setItem('normalization', JSON.stringify({ enabled: true, mode: 'track', preamp: 0 }));
+    await AsyncStorage.setItem('playbackRate', '1.5');
+    const quieter = { ...trackB, replayGain: { trackGain: -6.0206 } };
+    await AsyncStorage.setItem('playbackSession', JSON.stringify({ track: quieter, playlistIds: ['b'], position: 42 }));
+    // The saved settings come in while the sound is still loading
+    const driver = createFakeDriver({ loadDelay: 50 });
+    player = await renderPlayer(driver);
+    await player.run(() => new Promise(resolve => setTimeout(resolve, 100)));
+
+    const sound = driver.currentSound();
+    expect(driver.loadedUris()).toEqual([trackB.uri]);
+    expect(sound.initialStatus).toMatchObject({ shouldPlay: false, positionMillis: 42000 });
+    expect(sound.status.volume).toBeCloseTo(0.5, 3);
+    expect(sound.status.rate).toBe(1.5);
+    expect(player.audio.isPlaying).toBe(false);
+  });
+
+  it('restores radio with the station it was started from', async () => {
+    getSongsAsync.mockResolvedValueOnce(tracks).mockResolvedValueOnce(tracks);
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.startRadio('track', trackC));
+    await player.unmount();
+
+    player = await renderPlayer(createFakeDriver());
+
+    expect(player.audio.isRadioMode).toBe(true);
+    expect(player.audio.currentTrack.id).toBe('c');
+    expect(player.audio.radioSeed).toMatchObject({ type: 'track', name: 'C' });
+    expect(player.audio.radioSeed.tracks.map(track => track.id)).toEqual(['c']);
+  });
+
+  it('lists, saves and clears the upcoming tracks in the shuffled order', async () => {
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playShuffled(tracks));
+    await player.run(audio => audio.handleNext());
+
+    const order = player.audio.shuffleOrder;
+    expect([...order].sort()).toEqual([0, 1, 2, 3]);
+    expect(player.audio.currentTrack).toBe(tracks[order[1]]);
+
+    let playlistId;
+    await player.run((audio) => {
+      playlistId = audio.saveQueueAsPlaylist('Shuffled');
+    });
+    const saved = player.audio.playlists.find(playlist => playlist.id === playlistId);
+    expect(saved.tracks.map(track => track.id)).toEqual(order.slice(1).map(i => tracks[i].id));
+
+    await player.run(audio => audio.clearUpcoming());
+
+    expect(player.audio.currentPlaylist).toEqual([tracks[order[0]], tracks[order[1]]]);
+    expect(player.audio.currentIndex).toBe(1);
+    expect(player.audio.shuffleOrder).toEqual([0, 1]);
+
+    // Nothing is left to play once the current track ends
+    await player.run(() => driver.currentSound().report({ didJustFinish: true, isPlaying: false }));
+
+    expect(driver.loadedUris()).toHaveLength(2);
+    expect(player.audio.isPlaying).toBe(false);
+  });
+
+  it('plays again after an interruption the system did not resume once the app is back', async () => {
+    const appStateListeners = [];
+    jest.spyOn(AppState, 'addEventListener').mockImplementation((type, listener) => {
+      appStateListeners.push(listener);
+      return { remove: () => {} };
+    });
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackA, tracks, 0));
+    await player.run(() => driver.currentSound().report({ positionMillis: 1000, isPlaying: true }));
+    await player.run(() => driver.currentSound().report({ positionMillis: 2000, isPlaying: false }));
+
+    expect(player.audio.interruption).toMatchObject({ trackId: 'a' });
+    expect(player.audio.isPlaying).toBe(false);
+    const playCalls = driver.currentSound().playAsync.mock.calls.length;
+
+    await player.run(() => appStateListeners.forEach(listener => listener('active')));
+
+    expect(driver.currentSound().playAsync).toHaveBeenCalledTimes(playCalls + 1);
+
+    await player.run(() => driver.currentSound().report({ positionMillis: 2500, isPlaying: true }));
+
+    expect(player.audio.interruption).toBeNull();
+    expect(player.audio.isPlaying).toBe(true);
+  });
+
+  it('saves only the setting that changed and keeps saved values over the defaults', async () => {
+    await AsyncStorage.setItem('likedSongs', JSON.stringify(['b']));
+    player = await renderPlayer(createFakeDriver());
+
+    expect(player.audio.likedSongs).toEqual(['b']);
+    expect(JSON.parse(await AsyncStorage.getItem('likedSongs'))).toEqual(['b']);
+
+    AsyncStorage.setItem.mockClear();
+    await player.run(audio => audio.setCrossfadeDuration(4));
+
+    expect(AsyncStorage.setItem.mock.calls.map(([key]) => key)).toEqual(['crossfadeDuration']);
+  });
+
+  it('only drops the library caches when storage runs full', async () => {
+    const userKeys = [
+      ['likedSongs', JSON.stringify(['a'])],
+      ['bookmarks', JSON.stringify({ a: [{ id: '1', name: 'Intro', position: 10 }] })],
+      ...Array.from({ length: 150 }, (_, i) => [`savedLoop:${i}`, '{}']),
+    ];
+    await AsyncStorage.multiSet(userKeys);
+    const driver = createFakeDriver();
+    player = await renderPlayer(driver);
+
+    AsyncStorage.setItem.mockRejectedValueOnce(new Error('database or disk is full (code 13 SQLITE_FULL)'));
+    await player.run(audio => audio.setCrossfadeDuration(4));
+
+    expect(clearLibraryCache).toHaveBeenCalledTimes(1);
+    const keys = await AsyncStorage.getAllKeys();
+    userKeys.forEach(([key]) => expect(keys).toContain(key));
+    expect(JSON.parse(await AsyncStorage.getItem('likedSongs'))).toEqual(['a']);
+    expect(JSON.parse(await AsyncStorage.getItem('crossfadeDuration'))).toBe(4);
+  });
+
+  it('steps over a track that fails to load and leaves it out of the history', async () => {
+    const driver = createFakeDriver({ failingUris: [trackB.uri] });
+    player = await renderPlayer(driver);
+
+    await player.run(audio => audio.playTrack(trackA, tracks, 0));
+    await player.run(audio => audio.handleNext());
+
+    // Loading is tried twice before the track counts as unplayable
+    expect(driver.loadedUris()).toEqual([trackA.uri, trackB.uri, trackB.uri, trackC.uri]);
+    expect(player.audio.currentTrack).toBe(trackC);
+    expect(player.audio.currentIndex).toBe(2);
+    expect(player.audio.unplayableTracks.b).toMatchObject({ id: 'b', error: `Cannot open ${trackB.uri}` });
+
+    await player.run(audio => audio.handlePrevious());
+
+    expect(player.audio.currentTrack).toBe(trackA);
+  });
+});
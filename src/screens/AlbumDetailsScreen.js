@@ -9,7 +9,7 @@ import {
   Dimensions,
   StatusBar,
 } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { useLibrary, usePlayer } from '../context/AudioContext';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -31,8 +31,16 @@ const formatDuration = (durationInMillis) => {
   return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
 };
 
+// Track number from the tags, prefixed with the disc on multi-disc albums; list position otherwise
+const getTrackLabel = (track, index, multiDisc) => {
+  if (!track.trackNumber) {
+    return index + 1;
+  }
+  return multiDisc && track.discNumber ? `${track.discNumber}.${track.trackNumber}` : track.trackNumber;
+};
+
 // Memoized track item component for better performance
-const TrackItem = React.memo(({ item, index, album, currentTrack, isPlaying, onPress }) => (
+const TrackItem = React.memo(({ item, index, album, multiDisc, currentTrack, isPlaying, onPress }) => (
   <TouchableOpacity
     style={[
       styles.trackItem,
@@ -44,7 +52,7 @@ const TrackItem = React.memo(({ item, index, album, currentTrack, isPlaying, onP
       styles.trackNumber,
       currentTrack?.id === item.id && styles.currentTrackText,
     ]}>
-      {index + 1}
+      {getTrackLabel(item, index, multiDisc)}
     </Text>
     <View style={styles.trackInfo}>
       <Text
@@ -78,15 +86,16 @@ const TrackItem = React.memo(({ item, index, album, currentTrack, isPlaying, onP
 ));
 
 const AlbumDetailsScreen = ({ route, navigation }) => {
-  const { albumName } = route.params;
+  // Albums are looked up by key; a plain album name still works
+  const { albumKey, albumName } = route.params;
   const insets = useSafeAreaInsets();
   const {
+    albums,
     getAlbumByName,
     playAlbum,
     shuffleAlbum,
-    currentTrack,
-    isPlaying,
-  } = useAudio();
+  } = useLibrary();
+  const { currentTrack, isPlaying } = usePlayer();
 
   const [album, setAlbum] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -98,7 +107,7 @@ const AlbumDetailsScreen = ({ route, navigation }) => {
       try {
         setLoading(true);
         setError(null);
-        const albumData = getAlbumByName(albumName);
+        const albumData = getAlbumByName(albumKey || albumName);
         if (!albumData) {
           throw new Error('Album not found');
         }
@@ -111,7 +120,7 @@ const AlbumDetailsScreen = ({ route, navigation }) => {
     };
 
     loadAlbum();
-  }, [albumName, getAlbumByName]);
+  }, [albumKey, albumName, albums, getAlbumByName]);
 
   if (loading) {
     return (
@@ -138,6 +147,8 @@ const AlbumDetailsScreen = ({ route, navigation }) => {
     );
   }
 
+  const multiDisc = new Set(album.tracks.map(track => track.discNumber || 1)).size > 1;
+
   return (
     <ScreenTransition type="both">
       <StatusBar barStyle="light-content" translucent backgroundColor="transparent" />
@@ -190,7 +201,7 @@ const AlbumDetailsScreen = ({ route, navigation }) => {
           <View style={styles.controls}>
             <TouchableOpacity
               style={styles.playButton}
-              onPress={() => playAlbum(album.name)}
+              onPress={() => playAlbum(album.key)}
             >
               <LinearGradient
                 colors={['#FF4893', '#9F2BC1']}
@@ -204,7 +215,7 @@ const AlbumDetailsScreen = ({ route, navigation }) => {
             </TouchableOpacity>
             <TouchableOpacity
               style={styles.shuffleButton}
-              onPress={() => shuffleAlbum(album.name)}
+              onPress={() => shuffleAlbum(album.key)}
             >
               <Ionicons name="shuffle" size={24} color="#FFFFFF" />
             </TouchableOpacity>
@@ -218,9 +229,10 @@ const AlbumDetailsScreen = ({ route, navigation }) => {
               item={item}
               index={index}
               album={album}
+              multiDisc={multiDisc}
               currentTrack={currentTrack}
               isPlaying={isPlaying}
-              onPress={() => playAlbum(album.name, index)}
+              onPress={() => playAlbum(album.key, index)}
             />
           )}
           contentContainerStyle={styles.trackList}
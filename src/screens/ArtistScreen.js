@@ -11,7 +11,7 @@ import {
   ScrollView,
   SafeAreaView,
 } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { useLibrary, usePlayer } from '../context/AudioContext';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { StatusBar } from 'expo-status-bar';
@@ -25,7 +25,8 @@ const HEADER_SCROLL_DISTANCE = HEADER_MAX_HEIGHT - HEADER_MIN_HEIGHT;
 
 const ArtistScreen = ({ route, navigation }) => {
   const { artist } = route.params;
-  const { audioFiles, playTrack, isPlaying, currentTrack, togglePlayPause } = useAudio();
+  const { audioFiles, playTrack, playShuffled, startRadio } = useLibrary();
+  const { isPlaying, currentTrack, togglePlayPause } = usePlayer();
   const insets = useSafeAreaInsets();
   const scrollY = useRef(new Animated.Value(0)).current;
 
@@ -101,8 +102,7 @@ const ArtistScreen = ({ route, navigation }) => {
 
   const handleShuffleSongs = () => {
     if (artistTracks.length > 0) {
-      const shuffledTracks = [...artistTracks].sort(() => Math.random() - 0.5);
-      playTrack(shuffledTracks[0], shuffledTracks, 0);
+      playShuffled(artistTracks);
     }
   };
 
@@ -299,6 +299,20 @@ const ArtistScreen = ({ route, navigation }) => {
                   <Text style={styles.actionButtonText}>Shuffle</Text>
                 </LinearGradient>
               </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.radioButton}
+                onPress={() => startRadio('artist', artist)}
+              >
+                <LinearGradient
+                  colors={['#FC6767', '#FC9D67']}
+                  style={styles.radioButtonGradient}
+                  start={{ x: 0, y: 0 }}
+                  end={{ x: 1, y: 0 }}
+                >
+                  <Ionicons name="radio" size={22} color="#fff" />
+                </LinearGradient>
+              </TouchableOpacity>
             </View>
           </Animated.View>
         </LinearGradient>
@@ -402,8 +416,7 @@ const ArtistScreen = ({ route, navigation }) => {
                   <TouchableOpacity
                     style={styles.modalShuffleButton}
                     onPress={() => {
-                      const shuffledTracks = [...selectedAlbum.tracks].sort(() => Math.random() - 0.5);
-                      playTrack(shuffledTracks[0], shuffledTracks, 0);
+                      playShuffled(selectedAlbum.tracks);
                       setModalVisible(false);
                     }}
                   >
@@ -580,6 +593,16 @@ const styles = StyleSheet.create({
     marginLeft: 10,
     maxWidth: 150,
   },
+  radioButton: {
+    marginLeft: 10,
+  },
+  radioButtonGradient: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   actionButtonGradient: {
     flexDirection: 'row',
     alignItems: 'center',
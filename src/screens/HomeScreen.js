@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { View, Text, StyleSheet, FlatList, Image, TouchableOpacity } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { useLibrary, usePlaylists } from '../context/AudioContext';
 import { Ionicons, Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { StatusBar } from 'expo-status-bar';
@@ -267,7 +267,8 @@ const MadeForYouSection = ({
 );
 
 const HomeScreen = ({ navigation }) => {
-  const { audioFiles, playTrack, recentlyPlayed } = useAudio();
+  const { audioFiles, playTrack } = useLibrary();
+  const { recentlyPlayed } = usePlaylists();
   const insets = useSafeAreaInsets();
 
   const [expandedSection, setExpandedSection] = useState(null);
@@ -1,7 +1,7 @@
 import React, { useState, useCallback, useRef } from 'react';
 // eslint-disable-next-line no-unused-vars
 import { View, Text, StyleSheet, FlatList, TouchableOpacity, StatusBar, Image, Animated } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { useLibrary, usePlaylists, usePlayer } from '../context/AudioContext';
 // eslint-disable-next-line no-unused-vars
 import { Ionicons, Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -18,7 +18,9 @@ import SongsTab from '../components/library/SongsTab';
 import PlaylistsTab from '../components/library/PlaylistsTab';
 
 const LibraryScreen = ({ navigation }) => {
-  const { audioFiles, playTrack, addToPlaylist, playlists, currentTrack } = useAudio();
+  const { audioFiles, playTrack } = useLibrary();
+  const { addToPlaylist, playlists } = usePlaylists();
+  const { currentTrack } = usePlayer();
   const [showPlaylistPicker, setShowPlaylistPicker] = useState(false);
   const [selectedTrack, setSelectedTrack] = useState(null);
   const [activeTrack, setActiveTrack] = useState(null);
@@ -10,20 +10,104 @@ import {
   PanResponder,
   ActivityIndicator,
   ScrollView,
-  FlatList,
   Text,
 } from 'react-native';
 import Slider from '@react-native-community/slider';
-import { useAudio } from '../context/AudioContext';
+import { usePlayer, usePlaybackProgress, usePlaylists } from '../context/AudioContext';
 import { Ionicons, Feather, MaterialCommunityIcons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 
 import AlbumArt from '../components/album/AlbumArt';
+import QueueList from '../components/player/QueueList';
+import SleepTimerModal from '../components/player/SleepTimerModal';
+import SleepTimerCountdown from '../components/player/SleepTimerCountdown';
+import StopAfterModal, { getStopAfterLabel } from '../components/player/StopAfterModal';
+import PlaybackSpeedModal, { formatRate } from '../components/player/PlaybackSpeedModal';
+import ABLoopControls, { ABLoopRange } from '../components/player/ABLoopControls';
 
 const { width, height } = Dimensions.get('window');
 
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+};
+
+// Seek bar and time labels, kept apart so progress ticks don't re-render the whole screen
+const PlayerProgress = () => {
+  const { currentTrack, seekTo, playbackRate } = usePlayer();
+  const { playbackPosition, playbackDuration } = usePlaybackProgress();
+  const [sliderValue, setSliderValue] = useState(0);
+  const [isSeeking, setIsSeeking] = useState(false);
+  const currentTrackId = currentTrack?.id;
+
+  // Reset slider when track changes
+  useEffect(() => {
+    setSliderValue(0);
+  }, [currentTrackId]);
+
+  // Update slider value only when not seeking and position changes
+  useEffect(() => {
+    if (!isSeeking && currentTrackId && playbackPosition >= 0) {
+      setSliderValue(playbackPosition);
+    }
+  }, [playbackPosition, playbackDuration, isSeeking, currentTrackId]);
+
+  const handleSeek = (value) => {
+    setIsSeeking(true);
+    setSliderValue(value);
+  };
+
+  const handleSlidingStart = () => {
+    setIsSeeking(true);
+  };
+
+  const handleSlidingComplete = async (value) => {
+    setSliderValue(value);
+    await seekTo(value);
+
+    // Small delay to ensure seek is complete
+    setTimeout(() => {
+      setIsSeeking(false);
+    }, 50);
+  };
+
+  // Calculate progress directly as per user snippet
+  const progress = playbackDuration ? (playbackPosition / playbackDuration) * 100 : 0;
+
+  return (
+    <>
+      <View style={styles.progressBarContainer}>
+        <View style={styles.progressBackground} />
+        <View
+          style={[styles.progressFill, { width: `${progress}%` }]}
+        />
+        <ABLoopRange />
+        <Slider
+          style={styles.progressBar}
+          minimumValue={0}
+          maximumValue={playbackDuration > 0 ? playbackDuration : 1}
+          value={sliderValue}
+          minimumTrackTintColor="transparent"
+          maximumTrackTintColor="transparent"
+          thumbTintColor="transparent"
+          onValueChange={handleSeek}
+          onSlidingStart={handleSlidingStart}
+          onSlidingComplete={handleSlidingComplete}
+          thumbStyle={styles.sliderThumb}
+        />
+      </View>
+      <View style={styles.timeContainer}>
+        {/* Show real listening time when playing faster or slower */}
+        <Text style={styles.timeText}>{formatTime(playbackPosition / playbackRate)}</Text>
+        <Text style={styles.timeText}>{formatTime(playbackDuration / playbackRate)}</Text>
+      </View>
+    </>
+  );
+};
+
 const NowPlayingScreen = ({ navigation }) => {
   const {
     currentTrack,
@@ -32,28 +116,28 @@ const NowPlayingScreen = ({ navigation }) => {
     togglePlayPause,
     handleNext,
     handlePrevious,
-    playbackPosition,
-    playbackDuration,
-    seekTo,
     isShuffle,
+    isAlbumShuffle,
     isRadioMode,
     toggleShuffle,
     toggleRadioMode,
     repeatMode,
     toggleRepeat,
-    isTrackLiked,
     toggleLike,
-    audioFiles,
-    currentPlaylist,
-    playTrack,
-  } = useAudio();
+    sleepTimer,
+    stopAfter,
+    clearStopAfter,
+    playbackRate,
+  } = usePlayer();
+  const { isTrackLiked } = usePlaylists();
 
   const insets = useSafeAreaInsets();
-  const [sliderValue, setSliderValue] = useState(0);
-  const [isSeeking, setIsSeeking] = useState(false);
   const [currentTrackId, setCurrentTrackId] = useState(null);
   const [showLyrics, setShowLyrics] = useState(false);
   const [showQueue, setShowQueue] = useState(false);
+  const [showSleepTimer, setShowSleepTimer] = useState(false);
+  const [showSpeedPicker, setShowSpeedPicker] = useState(false);
+  const [showStopAfter, setShowStopAfter] = useState(false);
 
   // Animation for appearing
   const slideAnim = useRef(new Animated.Value(height)).current;
@@ -68,11 +152,6 @@ const NowPlayingScreen = ({ navigation }) => {
   // Add new animated value for tab indicator
   const tabIndicatorAnim = useRef(new Animated.Value(0)).current;
 
-  // Use currentPlaylist as the queue if available, otherwise fallback to audioFiles
-  const queue = currentPlaylist && currentPlaylist.length > 0
-    ? currentPlaylist
-    : audioFiles.slice(0, 10);
-
   // Add function to animate tab changes
   const animateTabChange = useCallback((index) => {
     Animated.spring(tabIndicatorAnim, {
@@ -186,15 +265,16 @@ const NowPlayingScreen = ({ navigation }) => {
   const queuePanResponder = useRef(
     PanResponder.create({
       onMoveShouldSetPanResponder: (_, gestureState) => {
-        return Math.abs(gestureState.dy) > 20;
+        // Also claim horizontal moves so swiping a queue row doesn't skip tracks
+        return Math.abs(gestureState.dy) > 20 || Math.abs(gestureState.dx) > 20;
       },
       onPanResponderMove: (_, gestureState) => {
-        if (gestureState.dy > 0) {
+        if (gestureState.dy > 0 && Math.abs(gestureState.dy) > Math.abs(gestureState.dx)) {
           queueSlideAnim.setValue(gestureState.dy);
         }
       },
       onPanResponderRelease: (_, gestureState) => {
-        if (gestureState.dy > 100) {
+        if (gestureState.dy > 100 && Math.abs(gestureState.dy) > Math.abs(gestureState.dx)) {
           toggleQueueView();
         } else {
           Animated.spring(queueSlideAnim, {
@@ -229,13 +309,11 @@ const NowPlayingScreen = ({ navigation }) => {
     animateTabChange(0);
   }, [navigation, slideAnim, opacityAnim, animateTabChange]);
 
-  // Reset slider when track changes
+  // Reset views when track changes
   useEffect(() => {
     if (currentTrack?.id !== currentTrackId) {
-      setSliderValue(0);
       setCurrentTrackId(currentTrack?.id);
 
-      // Reset views if track changes
       if (showLyrics) {
         toggleLyricsView();
       }
@@ -245,13 +323,6 @@ const NowPlayingScreen = ({ navigation }) => {
     }
   }, [currentTrack, currentTrackId, showLyrics, showQueue, toggleLyricsView, toggleQueueView]);
 
-  // Update slider value only when not seeking and position changes
-  useEffect(() => {
-    if (!isSeeking && currentTrack && playbackPosition >= 0) {
-      setSliderValue(playbackPosition);
-    }
-  }, [playbackPosition, playbackDuration, isSeeking, currentTrack]);
-
   const closeModal = () => {
     // Set background to black to prevent white flash
     navigation.setOptions({
@@ -283,24 +354,6 @@ const NowPlayingScreen = ({ navigation }) => {
     });
   };
 
-  const handleSeek = (value) => {
-    setIsSeeking(true);
-    setSliderValue(value);
-  };
-
-  const handleSlidingComplete = async (value) => {
-    setSliderValue(value);
-    await seekTo(value);
-
-    // Small delay to ensure seek is complete
-    setTimeout(() => {
-      setIsSeeking(false);
-    }, 50);
-  };
-
-  const handleSlidingStart = () => {
-    setIsSeeking(true);
-  };
 
   const toggleLyricsView = useCallback(() => {
     if (showLyrics) {
@@ -419,87 +472,12 @@ const NowPlayingScreen = ({ navigation }) => {
     }
   };
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
-  };
-
-  const handlePlayFromQueue = (track, index) => {
-    if (playTrack) {
-      // Play the selected track from the queue
-      playTrack(track, queue, index);
-
-      // Hide the queue view after selecting a track
-      if (showQueue) {
-        toggleQueueView();
-      }
-    }
-  };
-
-  const renderQueueItem = ({ item, index }) => {
-    const isCurrentTrack = currentTrack && currentTrack.id === item.id;
-
-    // Handle artwork for queue items
-    let artworkSource = null;
-    if (item.artwork) {
-      if (typeof item.artwork === 'string') {
-        artworkSource = { uri: item.artwork };
-      } else if (item.artwork.uri) {
-        artworkSource = { uri: item.artwork.uri };
-      } else {
-        artworkSource = item.artwork;
-      }
-    }
-
-    return (
-      <TouchableOpacity
-        style={[
-          styles.queueItem,
-          isCurrentTrack && styles.currentQueueItem,
-        ]}
-        onPress={() => handlePlayFromQueue(item, index)}
-      >
-        <View style={styles.queueItemContent}>
-          {artworkSource ? (
-            <Image source={artworkSource} style={styles.queueItemArtwork} />
-          ) : (
-            <View style={[styles.queueItemArtwork, styles.placeholderArtwork]}>
-              <Ionicons name="musical-note" size={20} color="#aaa" />
-            </View>
-          )}
-          <View style={styles.queueItemInfo}>
-            <Text style={[styles.queueItemTitle, isCurrentTrack && styles.currentQueueItemText]}>
-              {item.title}
-            </Text>
-            <Text style={[styles.queueItemArtist, isCurrentTrack && styles.currentQueueItemText]}>
-              {item.artist}
-            </Text>
-          </View>
-        </View>
-        <TouchableOpacity
-          style={styles.queueItemButton}
-          onPress={() => toggleLike(item.id)}
-        >
-          <Ionicons
-            name={isTrackLiked(item.id) ? 'heart' : 'heart-outline'}
-            size={20}
-            color={isTrackLiked(item.id) ? '#FF4893' : '#aaa'}
-          />
-        </TouchableOpacity>
-      </TouchableOpacity>
-    );
-  };
-
   if (!currentTrack) {
     return null;
   }
 
   const liked = isTrackLiked(currentTrack.id);
 
-  // Calculate progress directly as per user snippet
-  const progress = playbackDuration ? (playbackPosition / playbackDuration) * 100 : 0;
-
   const indicatorTranslate = tabIndicatorAnim.interpolate({
     inputRange: [0, 1, 2],
     outputRange: [0, 80, 160], // Adjust these values based on your tab widths
@@ -685,13 +663,7 @@ const NowPlayingScreen = ({ navigation }) => {
                 <Ionicons name="close" size={24} color="#fff" />
               </TouchableOpacity>
             </View>
-            <FlatList
-              data={queue}
-              renderItem={renderQueueItem}
-              keyExtractor={item => item.id}
-              contentContainerStyle={styles.queueList}
-              showsVerticalScrollIndicator={false}
-            />
+            <QueueList onTrackSelected={toggleQueueView} />
           </BlurView>
         </Animated.View>
       )}
@@ -719,36 +691,15 @@ const NowPlayingScreen = ({ navigation }) => {
 
       {/* Progress bar */}
       <View style={styles.progressContainer}>
-        <View style={styles.progressBarContainer}>
-          <View style={styles.progressBackground} />
-          <View
-            style={[styles.progressFill, { width: `${progress}%` }]}
-          />
-          <Slider
-            style={styles.progressBar}
-            minimumValue={0}
-            maximumValue={playbackDuration > 0 ? playbackDuration : 1}
-            value={sliderValue}
-            minimumTrackTintColor="transparent"
-            maximumTrackTintColor="transparent"
-            thumbTintColor="transparent"
-            onValueChange={handleSeek}
-            onSlidingStart={handleSlidingStart}
-            onSlidingComplete={handleSlidingComplete}
-            thumbStyle={styles.sliderThumb}
-          />
-        </View>
-        <View style={styles.timeContainer}>
-          <Text style={styles.timeText}>{formatTime(playbackPosition)}</Text>
-          <Text style={styles.timeText}>{formatTime(playbackDuration)}</Text>
-        </View>
+        <PlayerProgress />
+        <ABLoopControls />
       </View>
 
       {/* Playback controls */}
       <View style={styles.controlsContainer}>
         <TouchableOpacity onPress={toggleShuffle} style={styles.secondaryButton}>
           <Ionicons
-            name="shuffle"
+            name={isShuffle && isAlbumShuffle ? 'albums' : 'shuffle'}
             size={24}
             color={isShuffle ? '#FF4893' : 'rgba(255,255,255,0.7)'}
           />
@@ -824,7 +775,63 @@ const NowPlayingScreen = ({ navigation }) => {
             isRadioMode && { color: '#FF4893' },
           ]}>Radio</Text>
         </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => setShowSpeedPicker(true)}
+        >
+          <Ionicons
+            name="speedometer-outline"
+            size={22}
+            color={playbackRate !== 1 ? '#FF4893' : '#fff'}
+          />
+          <Text style={[
+            styles.actionButtonText,
+            // eslint-disable-next-line react-native/no-inline-styles
+            playbackRate !== 1 && { color: '#FF4893' },
+          ]}>{formatRate(playbackRate)}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => setShowSleepTimer(true)}
+        >
+          <Ionicons
+            name={sleepTimer ? 'moon' : 'moon-outline'}
+            size={22}
+            color={sleepTimer ? '#FF4893' : '#fff'}
+          />
+          <SleepTimerCountdown
+            fallback="Sleep"
+            style={[
+              styles.actionButtonText,
+              // eslint-disable-next-line react-native/no-inline-styles
+              sleepTimer && { color: '#FF4893' },
+            ]}
+          />
+        </TouchableOpacity>
+
+        {/* Tapping an active stop-after turns it off */}
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => (stopAfter ? clearStopAfter() : setShowStopAfter(true))}
+        >
+          <Ionicons
+            name={stopAfter ? 'stop-circle' : 'stop-circle-outline'}
+            size={22}
+            color={stopAfter ? '#FF4893' : '#fff'}
+          />
+          <Text style={[
+            styles.actionButtonText,
+            // eslint-disable-next-line react-native/no-inline-styles
+            stopAfter && { color: '#FF4893' },
+          ]}>{getStopAfterLabel(stopAfter) || 'Stop After'}</Text>
+        </TouchableOpacity>
       </View>
+
+      <SleepTimerModal visible={showSleepTimer} onClose={() => setShowSleepTimer(false)} />
+      <StopAfterModal visible={showStopAfter} onClose={() => setShowStopAfter(false)} />
+      <PlaybackSpeedModal visible={showSpeedPicker} onClose={() => setShowSpeedPicker(false)} />
     </Animated.View>
   );
 };
@@ -996,55 +1003,6 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
-  queueList: {
-    paddingBottom: 200, // Extra space for scrolling past controls
-  },
-  queueItem: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    padding: 12,
-    borderRadius: 8,
-    marginBottom: 8,
-    backgroundColor: 'rgba(255, 255, 255, 0.05)',
-  },
-  currentQueueItem: {
-    backgroundColor: 'rgba(255, 255, 255, 0.1)',
-  },
-  queueItemContent: {
-    flex: 1,
-    flexDirection: 'row',
-    alignItems: 'center',
-  },
-  queueItemArtwork: {
-    width: 50,
-    height: 50,
-    borderRadius: 6,
-    marginRight: 12,
-  },
-  placeholderArtwork: {
-    backgroundColor: 'rgba(255, 255, 255, 0.1)',
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
-  queueItemInfo: {
-    flex: 1,
-  },
-  queueItemTitle: {
-    color: '#fff',
-    fontSize: 14,
-    fontWeight: '600',
-    marginBottom: 2,
-  },
-  queueItemArtist: {
-    color: 'rgba(255, 255, 255, 0.7)',
-    fontSize: 12,
-  },
-  currentQueueItemText: {
-    color: '#fff',
-  },
-  queueItemButton: {
-    padding: 8,
-  },
   trackInfoContainer: {
     paddingHorizontal: 24,
     marginBottom: 24,
@@ -1179,18 +1137,20 @@ const styles = StyleSheet.create({
   },
   actionButtonContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
     alignItems: 'center',
-    marginBottom: 24,
+    marginBottom: 16,
   },
   actionButton: {
     flexDirection: 'row',
     backgroundColor: 'rgba(255,255,255,0.1)',
     borderRadius: 20,
     paddingVertical: 10,
-    paddingHorizontal: 20,
+    paddingHorizontal: 16,
     alignItems: 'center',
-    marginHorizontal: 8,
+    marginHorizontal: 6,
+    marginBottom: 8,
   },
   actionButtonText: {
     color: '#fff',
@@ -9,7 +9,7 @@ import {
   StatusBar,
   Dimensions,
 } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { usePlayer } from '../context/AudioContext';
 import { Ionicons, MaterialIcons, Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -21,7 +21,7 @@ const ALBUM_SIZE = 220;
 
 const PlaylistDetailsScreen = ({ route, navigation }) => {
   const { playlist } = route.params;
-  const { playTrack, currentTrack, isPlaying } = useAudio();
+  const { playTrack, playShuffled, currentTrack, isPlaying } = usePlayer();
   const insets = useSafeAreaInsets();
   const [isFavorite, setIsFavorite] = useState(false);
 
@@ -88,8 +88,7 @@ const PlaylistDetailsScreen = ({ route, navigation }) => {
 
   const shuffleAndPlay = () => {
     if (playlist.tracks.length > 0) {
-      const randomIndex = Math.floor(Math.random() * playlist.tracks.length);
-      playTrack(playlist.tracks[randomIndex], playlist.tracks, randomIndex);
+      playShuffled(playlist.tracks);
     }
   };
 
@@ -10,13 +10,14 @@ import {
   Switch,
   ActivityIndicator,
 } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { usePlaylists } from '../context/AudioContext';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 
 const PlaylistManagementScreen = ({ route, navigation }) => {
   const { playlistId } = route.params || {};
   const {
+    playlists,
     getPlaylistById,
     createPlaylist,
     updatePlaylistDetails,
@@ -24,7 +25,7 @@ const PlaylistManagementScreen = ({ route, navigation }) => {
     clearPlaylist,
     duplicatePlaylist,
     getPlaylistStats,
-  } = useAudio();
+  } = usePlaylists();
 
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
@@ -42,7 +43,7 @@ const PlaylistManagementScreen = ({ route, navigation }) => {
         setStats(getPlaylistStats(playlistId));
       }
     }
-  }, [playlistId, getPlaylistById, getPlaylistStats]);
+  }, [playlistId, playlists, getPlaylistById, getPlaylistStats]);
 
   const handleSave = async () => {
     if (!name.trim()) {
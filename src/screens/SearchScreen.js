@@ -10,14 +10,16 @@ import {
   Animated,
   StatusBar,
 } from 'react-native';
-import { useAudio } from '../context/AudioContext';
+import { useLibrary, usePlaylists, usePlayer } from '../context/AudioContext';
 import { Ionicons, Feather } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const SearchScreen = ({ navigation }) => {
-  const { audioFiles, playlists, albums, playTrack, currentTrack } = useAudio();
+  const { audioFiles, albums, playTrack } = useLibrary();
+  const { playlists } = usePlaylists();
+  const { currentTrack } = usePlayer();
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
@@ -84,9 +86,9 @@ const SearchScreen = ({ navigation }) => {
     });
 
     // Add matching album names
-    Object.keys(albums).forEach(albumName => {
-      if (albumName.toLowerCase().includes(lowercaseQuery)) {
-        suggestions.add(albumName);
+    Object.values(albums).forEach(album => {
+      if (album.name.toLowerCase().includes(lowercaseQuery)) {
+        suggestions.add(album.name);
       }
     });
 
@@ -125,15 +127,15 @@ const SearchScreen = ({ navigation }) => {
         );
         break;
       case 'albums':
-        results = Object.entries(albums)
-          .filter(([albumName]) => albumName.toLowerCase().includes(query))
-          .map(([albumName, tracks]) => ({
-            id: albumName,
+        results = Object.values(albums)
+          .filter(album => album.name.toLowerCase().includes(query))
+          .map(album => ({
+            id: album.key,
             type: 'album',
-            name: albumName,
-            artist: tracks[0]?.artist || 'Unknown Artist',
-            trackCount: tracks.length,
-            artwork: tracks[0]?.artwork,
+            name: album.name,
+            artist: album.artist,
+            trackCount: album.trackCount,
+            artwork: album.artwork,
           }));
         break;
       case 'playlists':
@@ -152,15 +154,15 @@ const SearchScreen = ({ navigation }) => {
             track.title.toLowerCase().includes(query) ||
             track.artist.toLowerCase().includes(query)
           ).map(track => ({ ...track, type: 'song' })),
-          ...Object.entries(albums)
-            .filter(([albumName]) => albumName.toLowerCase().includes(query))
-            .map(([albumName, tracks]) => ({
-              id: albumName,
+          ...Object.values(albums)
+            .filter(album => album.name.toLowerCase().includes(query))
+            .map(album => ({
+              id: album.key,
               type: 'album',
-              name: albumName,
-              artist: tracks[0]?.artist || 'Unknown Artist',
-              trackCount: tracks.length,
-              artwork: tracks[0]?.artwork,
+              name: album.name,
+              artist: album.artist,
+              trackCount: album.trackCount,
+              artwork: album.artwork,
             })),
           ...playlists
             .filter(playlist => playlist.name.toLowerCase().includes(query))
@@ -235,7 +237,7 @@ const SearchScreen = ({ navigation }) => {
         return (
           <TouchableOpacity
             style={styles.trackItem}
-            onPress={() => navigation.navigate('AlbumDetails', { albumName: item.name })}
+            onPress={() => navigation.navigate('AlbumDetails', { albumKey: item.id })}
             activeOpacity={0.7}
           >
             <View style={styles.albumArt}>
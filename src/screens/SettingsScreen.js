@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext, useCallback, memo } from 'react';
+import React, { useState, useEffect, useCallback, memo } from 'react';
 import {
   View,
   Text,
@@ -11,17 +11,17 @@ import {
   Modal,
   Image,
   ProgressBar,
+  Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { LinearGradient } from 'expo-linear-gradient';
-import { AudioContext } from '../context/AudioContext';
 import EqualizerControls from '../components/player/EqualizerControls';
 import * as FileSystem from 'expo-file-system';
 import { getArtworkCacheSize, clearArtworkCache, listCachedFiles } from '../utils/cacheManager';
 import Slider from '@react-native-community/slider';
-import { useAudio } from '../context/AudioContext';
+import { useOffline, usePlayer } from '../context/AudioContext';
 
 
 const { width, height } = Dimensions.get('window');
@@ -63,11 +63,11 @@ const SettingsScreen = ({ navigation }) => {
     removeOfflinePlaylist,
     clearOfflineStorage,
     getOfflineStorageUsage,
-  } = useAudio();
+  } = useOffline();
 
   const [offlineStorageUsage, setOfflineStorageUsage] = useState(0);
   const insets = useSafeAreaInsets();
-  const audioContext = useContext(AudioContext);
+  const audioContext = usePlayer();
 
   // Local state
   const [showEqualizer, setShowEqualizer] = useState(false);
@@ -81,8 +81,17 @@ const SettingsScreen = ({ navigation }) => {
   // Set default values in case context is not loaded yet
   const defaultValues = {
     crossfadeDuration: 0,
+    fadeDuration: 200,
     gaplessPlayback: false,
+    smartShuffle: false,
     normalization: false,
+    normalizationMode: 'track',
+    normalizationPreamp: 0,
+    resumeThreshold: 20,
+    unplayableTracks: {},
+    backgroundPlayback: true,
+    interruptionBehavior: 'duck',
+    autoResumeAfterInterruption: true,
     monoAudio: false,
     streamCellular: true,
     audioQuality: 'high',
@@ -97,10 +106,17 @@ const SettingsScreen = ({ navigation }) => {
     { value: 'lossless', label: 'Lossless (FLAC)' },
   ];
 
-  // Log the context value on render for debugging
-  useEffect(() => {
-    console.log('AudioContext value in SettingsScreen:', audioContext);
-  }, [audioContext]);
+  // ReplayGain modes
+  const normalizationModeOptions = [
+    { value: 'track', label: 'Track Gain' },
+    { value: 'album', label: 'Album Gain' },
+  ];
+
+  // What happens when another app plays a short sound, only Android can lower the volume
+  const interruptionBehaviorOptions = [
+    { value: 'duck', label: 'Lower Volume' },
+    { value: 'pause', label: 'Pause' },
+  ];
 
   // Get cache information
   const getCacheInfo = async () => {
@@ -337,6 +353,24 @@ const SettingsScreen = ({ navigation }) => {
             </View>
           </View>
 
+          <View style={styles.settingItemSlider}>
+            <Text style={styles.settingLabel}>Fade on Play, Pause and Skip</Text>
+            <View style={styles.sliderContainer}>
+              <Slider
+                style={styles.slider}
+                minimumValue={0}
+                maximumValue={1000}
+                step={50} // Milliseconds
+                value={getValue('fadeDuration')}
+                onSlidingComplete={(value) => callMethod('setFadeDuration', value)}
+                minimumTrackTintColor="#FF4893"
+                maximumTrackTintColor="#555"
+                thumbTintColor="#FF4893"
+              />
+              <Text style={styles.sliderValueText}>{getValue('fadeDuration')} ms</Text>
+            </View>
+          </View>
+
           <View style={styles.settingItem}>
             <Text style={styles.settingLabel}>Gapless Playback</Text>
             <Switch
@@ -347,6 +381,16 @@ const SettingsScreen = ({ navigation }) => {
             />
           </View>
 
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>Smart Shuffle</Text>
+            <Switch
+              value={getValue('smartShuffle')}
+              onValueChange={() => callMethod('toggleSmartShuffle')}
+              trackColor={{ false: '#767577', true: '#FF4893' }}
+              thumbColor={getValue('smartShuffle') ? '#fff' : '#f4f3f4'}
+            />
+          </View>
+
           <View style={styles.settingItem}>
             <Text style={styles.settingLabel}>Volume Normalization</Text>
             <Switch
@@ -357,6 +401,116 @@ const SettingsScreen = ({ navigation }) => {
             />
           </View>
 
+          {getValue('normalization') && (
+            <>
+              <View style={styles.qualitySelector}>
+                <Text style={styles.qualityLabel}>Normalization Mode</Text>
+                <View style={styles.qualityOptions}>
+                  {normalizationModeOptions.map((option) => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.qualityOption,
+                        getValue('normalizationMode') === option.value && styles.qualityOptionSelected,
+                      ]}
+                      onPress={() => callMethod('setNormalizationMode', option.value)}
+                    >
+                      <Text style={[
+                        styles.qualityOptionText,
+                        getValue('normalizationMode') === option.value && styles.qualityOptionTextSelected,
+                      ]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              <View style={styles.settingItemSlider}>
+                <Text style={styles.settingLabel}>Preamp</Text>
+                <View style={styles.sliderContainer}>
+                  <Slider
+                    style={styles.slider}
+                    minimumValue={-12}
+                    maximumValue={12}
+                    step={1} // Whole dB
+                    value={getValue('normalizationPreamp')}
+                    onSlidingComplete={(value) => callMethod('setNormalizationPreamp', value)}
+                    minimumTrackTintColor="#FF4893"
+                    maximumTrackTintColor="#555"
+                    thumbTintColor="#FF4893"
+                  />
+                  <Text style={styles.sliderValueText}>
+                    {getValue('normalizationPreamp') > 0 ? '+' : ''}{getValue('normalizationPreamp')} dB
+                  </Text>
+                </View>
+              </View>
+            </>
+          )}
+
+          <View style={styles.settingItemSlider}>
+            <Text style={styles.settingLabel}>Remember Position for Tracks Over</Text>
+            <View style={styles.sliderContainer}>
+              <Slider
+                style={styles.slider}
+                minimumValue={5}
+                maximumValue={60}
+                step={5} // Minutes
+                value={getValue('resumeThreshold')}
+                onSlidingComplete={(value) => callMethod('setResumeThreshold', value)}
+                minimumTrackTintColor="#FF4893"
+                maximumTrackTintColor="#555"
+                thumbTintColor="#FF4893"
+              />
+              <Text style={styles.sliderValueText}>{getValue('resumeThreshold')} min</Text>
+            </View>
+          </View>
+
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>Background Playback</Text>
+            <Switch
+              value={getValue('backgroundPlayback')}
+              onValueChange={() => callMethod('toggleBackgroundPlayback')}
+              trackColor={{ false: '#767577', true: '#FF4893' }}
+              thumbColor={getValue('backgroundPlayback') ? '#fff' : '#f4f3f4'}
+            />
+          </View>
+
+          {Platform.OS === 'android' && (
+            <View style={styles.qualitySelector}>
+              <Text style={styles.qualityLabel}>When Other Apps Play Sound</Text>
+              <View style={styles.qualityOptions}>
+                {interruptionBehaviorOptions.map((option) => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[
+                      styles.qualityOption,
+                      getValue('interruptionBehavior') === option.value && styles.qualityOptionSelected,
+                    ]}
+                    onPress={() => callMethod('setInterruptionBehavior', option.value)}
+                  >
+                    <Text style={[
+                      styles.qualityOptionText,
+                      getValue('interruptionBehavior') === option.value && styles.qualityOptionTextSelected,
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>Resume After Calls and Interruptions</Text>
+            <Switch
+              value={getValue('autoResumeAfterInterruption')}
+              onValueChange={() => callMethod('toggleAutoResumeAfterInterruption')}
+              trackColor={{ false: '#767577', true: '#FF4893' }}
+              thumbColor={getValue('autoResumeAfterInterruption') ? '#fff' : '#f4f3f4'}
+            />
+          </View>
+
           <TouchableOpacity
             style={styles.settingItem}
             onPress={() => setShowEqualizer(!showEqualizer)}
@@ -378,16 +532,6 @@ const SettingsScreen = ({ navigation }) => {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Audio Quality</Text>
 
-          <View style={styles.settingItem}>
-            <Text style={styles.settingLabel}>Volume Normalization</Text>
-            <Switch
-              value={getValue('normalization')}
-              onValueChange={() => callMethod('toggleNormalization')}
-              trackColor={{ false: '#767577', true: '#FF4893' }}
-              thumbColor={getValue('normalization') ? '#fff' : '#f4f3f4'}
-            />
-          </View>
-
           <View style={styles.qualitySelector}>
             <Text style={styles.qualityLabel}>Streaming Quality</Text>
             <View style={styles.qualityOptions}>
@@ -488,6 +632,38 @@ const SettingsScreen = ({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Files that failed to play, so they can be cleaned up */}
+        {Object.keys(getValue('unplayableTracks')).length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Unplayable Files</Text>
+            <Text style={styles.settingDescription}>
+              These files failed to play and are skipped during playback
+            </Text>
+
+            {Object.values(getValue('unplayableTracks')).map(entry => (
+              <View key={entry.id} style={styles.unplayableItem}>
+                <View style={styles.unplayableInfo}>
+                  <Text style={styles.unplayableTitle} numberOfLines={1}>{entry.title}</Text>
+                  <Text style={styles.unplayableFile} numberOfLines={1} ellipsizeMode="middle">
+                    {entry.filename || entry.uri}
+                  </Text>
+                  <Text style={styles.unplayableError} numberOfLines={2}>{entry.error}</Text>
+                </View>
+                <TouchableOpacity onPress={() => callMethod('clearUnplayableTrack', entry.id)}>
+                  <Ionicons name="close-circle-outline" size={22} color="rgba(255,255,255,0.7)" />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <TouchableOpacity
+              style={styles.clearButton}
+              onPress={() => callMethod('clearUnplayableTracks')}
+            >
+              <Text style={styles.clearButtonText}>Clear List and Retry All</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         <View style={styles.footer}>
           <Text style={styles.versionText}>Version 1.0.0</Text>
         </View>
@@ -871,6 +1047,32 @@ const styles = StyleSheet.create({
     color: 'rgba(255,255,255,0.6)',
     fontSize: 14,
   },
+  unplayableItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 0.5,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  unplayableInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  unplayableTitle: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  unplayableFile: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  unplayableError: {
+    color: '#FF4893',
+    fontSize: 12,
+    marginTop: 2,
+  },
 });
 
 export default SettingsScreen;
@@ -0,0 +1,122 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as MediaLibrary from 'expo-media-library';
+import { getAudioTags } from '../metadataHelper';
+import { clearLibraryCache, getSongsAsync } from '../mediaLibrary';
+
+// File stats by URI; a test edits them to make a file look changed
+const mockFiles = {};
+
+jest.mock('expo-file-system', () => ({
+  getInfoAsync: jest.fn(async (uri) => (
+    mockFiles[uri] ? { exists: true, ...mockFiles[uri] } : { exists: false }
+  )),
+}));
+jest.mock('expo-media-library', () => ({
+  MediaType: { audio: 'audio' },
+  requestPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  getAssetsAsync: jest.fn(),
+  getAssetInfoAsync: jest.fn(async () => null),
+  getAlbumAsync: jest.fn(async () => null),
+}));
+jest.mock('../cacheManager', () => ({}));
+jest.mock('../artworkHelper', () => ({
+  getAlbumArtwork: jest.fn(async () => null),
+}));
+jest.mock('../metadataHelper', () => ({
+  getAudioTags: jest.fn(async (uri) => ({ title: `Title of ${uri.split('/').pop()}`, replayGain: { trackGain: -3.5 } })),
+}));
+
+const assets = ['a', 'b'].map(id => ({
+  id,
+  uri: `file:///music/${id}.mp3`,
+  filename: `${id}.mp3`,
+  duration: 180,
+  modificationTime: 1000,
+}));
+
+describe('getSongsAsync', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+    assets.forEach(asset => {
+      mockFiles[asset.uri] = { modificationTime: 1000, size: 5000 };
+    });
+    MediaLibrary.getAssetsAsync.mockResolvedValue({ assets });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the ReplayGain info it reads with the track', async () => {
+    const tracks = await getSongsAsync();
+
+    expect(tracks.map(track => track.title)).toEqual(['Title of a.mp3', 'Title of b.mp3']);
+    expect(tracks[0].replayGain).toEqual({ trackGain: -3.5 });
+    expect(getAudioTags).toHaveBeenCalledTimes(2);
+  });
+
+  it('uses the cached library while none of its files changed', async () => {
+    await getSongsAsync();
+    MediaLibrary.getAssetsAsync.mockClear();
+
+    AsyncStorage.getAllKeys.mockClear();
+    const tracks = await getSongsAsync();
+
+    expect(MediaLibrary.getAssetsAsync).not.toHaveBeenCalled();
+    // The saved tags are read once, for the file check
+    expect(AsyncStorage.getAllKeys).toHaveBeenCalledTimes(1);
+    expect(tracks).toHaveLength(2);
+    expect(tracks[1].replayGain).toEqual({ trackGain: -3.5 });
+  });
+
+  it('reuses the tags of unchanged files however long ago they were read', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 10 * 24 * 60 * 60 * 1000);
+    await getSongsAsync();
+    spy.mockReturnValue(now);
+    getAudioTags.mockClear();
+
+    const tracks = await getSongsAsync();
+
+    // The cached library expired, so the media library is scanned again, but no file is read
+    expect(MediaLibrary.getAssetsAsync).toHaveBeenCalledTimes(2);
+    expect(getAudioTags).not.toHaveBeenCalled();
+    expect(tracks.map(track => track.title)).toEqual(['Title of a.mp3', 'Title of b.mp3']);
+  });
+
+  it('scans again once a cached file changed, reading only that file', async () => {
+    await getSongsAsync();
+    getAudioTags.mockClear();
+    getAudioTags.mockResolvedValueOnce({ title: 'Retagged' });
+    mockFiles[assets[1].uri] = { modificationTime: 2000, size: 5100 };
+
+    const tracks = await getSongsAsync();
+
+    expect(MediaLibrary.getAssetsAsync).toHaveBeenCalledTimes(2);
+    expect(getAudioTags.mock.calls).toEqual([[assets[1].uri]]);
+    expect(tracks.map(track => track.title)).toEqual(['Title of a.mp3', 'Retagged']);
+  });
+});
+
+describe('clearLibraryCache', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+    MediaLibrary.getAssetsAsync.mockResolvedValue({ assets });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('drops the cached library and the saved tags but no other keys', async () => {
+    await getSongsAsync();
+    await AsyncStorage.multiSet([['playlists', '[]'], ['likedSongs', '["a"]'], ['playbackSession', '{}']]);
+
+    await clearLibraryCache();
+
+    expect((await AsyncStorage.getAllKeys()).sort()).toEqual(['likedSongs', 'playbackSession', 'playlists']);
+  });
+});
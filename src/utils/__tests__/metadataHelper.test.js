@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import { getAudioTags, parseId3v2Tag } from '../metadataHelper';
+
+// Serve file:// URIs from disk the way expo-file-system reads byte ranges as base64
+jest.mock('expo-file-system', () => {
+  const mockFs = require('fs');
+  const toPath = (uri) => uri.replace(/^file:\/\//, '');
+  return {
+    EncodingType: { Base64: 'base64' },
+    readAsStringAsync: jest.fn(async (uri, { position = 0, length } = {}) => {
+      const data = mockFs.readFileSync(toPath(uri));
+      return data.subarray(position, length === undefined ? data.length : position + length).toString('base64');
+    }),
+    getInfoAsync: jest.fn(async (uri) => {
+      const filePath = toPath(uri);
+      return mockFs.existsSync(filePath)
+        ? { exists: true, size: mockFs.statSync(filePath).size }
+        : { exists: false };
+    }),
+  };
+});
+
+// See fixtures/README.md for how each file is laid out
+const fixturePath = (name) => path.join(__dirname, 'fixtures', name);
+const fixtureUri = (name) => `file://${fixturePath(name)}`;
+const readFixture = (name) => new Uint8Array(fs.readFileSync(fixturePath(name)));
+
+const LONG_COMPOSER = 'Johann Sebastian Bach, arranged by the Orchestra of the Age of Enlightenment and Friends the Orchestra of the Age of Enlightenment and Friends';
+const LONG_ALBUM = 'Ágætis byrjun – Live at the Royal Albert Hall, Deluxe Remastered Edition Live at the Royal Albert Hall, Deluxe Remastered Edition';
+
+describe('parseId3v2Tag', () => {
+  it('reads ID3v2.2 frames under their ID3v2.3 names', () => {
+    const tag = parseId3v2Tag(readFixture('id3v22.mp3'));
+
+    expect(tag.version).toBe(2);
+    expect(tag.frames.map(frame => frame.id)).toEqual(['TIT2', 'TPE1', 'TALB', 'TRCK', 'TYER', 'TCON']);
+  });
+
+  it('skips the ID3v2.3 extended header and undoes whole-tag unsynchronisation', () => {
+    const tag = parseId3v2Tag(readFixture('id3v23-unsync.mp3'));
+
+    expect(tag.version).toBe(3);
+    expect(tag.frames.map(frame => frame.id)).toEqual(['TIT2', 'TPE1', 'TCOM', 'TPOS', 'TYER', 'TBPM', 'TCON']);
+    // Latin-1 "ÿÿ Nightfall", stored unsynchronised as 00 FF 00 FF 20 ...
+    expect(Array.from(tag.frames[0].data.subarray(0, 4))).toEqual([0x00, 0xFF, 0xFF, 0x20]);
+  });
+
+  it('reads plain 32-bit frame sizes in ID3v2.3', () => {
+    const composer = parseId3v2Tag(readFixture('id3v23-unsync.mp3')).frames[2];
+
+    // 143 bytes: as a syncsafe number the size field would read as 15
+    expect(composer.data).toHaveLength(LONG_COMPOSER.length + 1);
+  });
+
+  it('reads syncsafe frame sizes and per-frame unsynchronisation in ID3v2.4', () => {
+    const tag = parseId3v2Tag(readFixture('id3v24.mp3'));
+
+    expect(tag.version).toBe(4);
+    expect(tag.frames.map(frame => frame.id)).toEqual(['TIT2', 'TPE1', 'TALB', 'TPE2', 'TCON', 'TDRC', 'TDOR', 'TRCK', 'TSRC']);
+    // The encoding byte and 133 bytes of UTF-8, stored as the syncsafe 00 00 01 06
+    expect(tag.frames[2].data).toHaveLength(134);
+    // The data length indicator is dropped and FF 00 FE back to the FF FE byte order mark
+    expect(Array.from(tag.frames[3].data.subarray(0, 3))).toEqual([0x01, 0xFF, 0xFE]);
+  });
+
+  it('falls back to plain frame sizes in ID3v2.4 tags that were written with them', () => {
+    const tag = parseId3v2Tag(readFixture('id3v24-plain-sizes.mp3'));
+
+    expect(tag.frames.map(frame => frame.id)).toEqual(['TIT2', 'TCOM', 'TPE1']);
+    expect(tag.frames[1].data).toHaveLength(LONG_COMPOSER.length + 1);
+  });
+
+  it('undoes unsynchronisation in every ID3v2.4 frame when the tag flag is set', () => {
+    const tag = parseId3v2Tag(readFixture('id3v24-tag-unsync.mp3'));
+
+    expect(Array.from(tag.frames[0].data.subarray(0, 3))).toEqual([0x01, 0xFF, 0xFE]);
+    expect(Array.from(tag.frames[1].data.subarray(0, 3))).toEqual([0x00, 0xFF, 0xFF]);
+  });
+
+  it('rejects anything that is not an ID3v2 tag', () => {
+    expect(parseId3v2Tag(new Uint8Array([0x66, 0x4C, 0x61, 0x43, 0, 0, 0, 0, 0, 0]))).toBeNull();
+    expect(parseId3v2Tag(new Uint8Array([0x49, 0x44, 0x33, 5, 0, 0, 0, 0, 0, 0]))).toBeNull();
+  });
+});
+
+describe('getAudioTags', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads an ID3v2.2 tag in Latin-1 and UTF-16 with either byte order mark', async () => {
+    const tags = await getAudioTags(fixtureUri('id3v22.mp3'));
+
+    expect(tags).toMatchObject({
+      title: 'Café Song',
+      artist: 'Ärtist Ünlimited',
+      album: 'Ålbum',
+      trackNumber: 3,
+      trackTotal: 12,
+      year: 1999,
+      genre: 'Rock',
+    });
+  });
+
+  it('reads an unsynchronised ID3v2.3 tag with an extended header', async () => {
+    const tags = await getAudioTags(fixtureUri('id3v23-unsync.mp3'));
+
+    expect(tags).toMatchObject({
+      title: 'ÿÿ Nightfall',
+      artist: 'Björk',
+      composer: LONG_COMPOSER,
+      discNumber: 1,
+      discTotal: 2,
+      year: 2001,
+      bpm: 128,
+      genre: 'Electronic',
+    });
+  });
+
+  it('reads an ID3v2.4 tag in UTF-8, UTF-16BE without a byte order mark and multiple values', async () => {
+    const tags = await getAudioTags(fixtureUri('id3v24.mp3'));
+
+    expect(tags).toMatchObject({
+      title: '東京 Nights',
+      artist: 'Sigur Rós',
+      album: LONG_ALBUM,
+      albumArtist: 'Various Ärtists',
+      genre: 'Rock/Pop',
+      year: 2010,
+      originalYear: 1975,
+      trackNumber: 7,
+      trackTotal: 10,
+      isrc: 'USABC1234567',
+    });
+  });
+
+  it('reads UTF-16 without a byte order mark as little-endian', async () => {
+    const tags = await getAudioTags(fixtureUri('id3v24-plain-sizes.mp3'));
+
+    expect(tags).toMatchObject({
+      title: 'No BOM Title',
+      composer: LONG_COMPOSER,
+      artist: 'Plain Artist',
+    });
+  });
+
+  it('reads an ID3v2.4 tag that is unsynchronised as a whole', async () => {
+    const tags = await getAudioTags(fixtureUri('id3v24-tag-unsync.mp3'));
+
+    expect(tags).toMatchObject({ title: 'Unsynced Tag', artist: 'ÿÿ Artist' });
+  });
+
+  it('reads ReplayGain from the same ID3v2 tag, reading the tag only once', async () => {
+    const FileSystem = require('expo-file-system');
+    FileSystem.readAsStringAsync.mockClear();
+
+    const tags = await getAudioTags(fixtureUri('id3v24-replaygain.mp3'));
+
+    expect(tags.title).toBe('Loud Song');
+    expect(tags.replayGain).toEqual({ trackGain: -7.25, trackPeak: 0.988, albumGain: -6.5 });
+    // Past the 10 byte header probes, the tag at the start of the file is read once
+    const tagReads = FileSystem.readAsStringAsync.mock.calls
+      .filter(([, options]) => options.position === 0 && options.length > 10);
+    expect(tagReads).toHaveLength(1);
+  });
+
+  it('leaves ReplayGain empty for a file without it', async () => {
+    const tags = await getAudioTags(fixtureUri('id3v24.mp3'));
+
+    expect(tags.replayGain).toBeNull();
+  });
+
+  it('leaves every field empty for a file it cannot read', async () => {
+    const tags = await getAudioTags(fixtureUri('missing.mp3'));
+
+    expect(tags.title).toBeNull();
+    expect(tags.trackNumber).toBeNull();
+  });
+});
@@ -0,0 +1,227 @@
+import {
+  PLAYER_EVENTS,
+  REPEAT_ALL,
+  REPEAT_ONE,
+  createPlayerState,
+  playerReducer,
+} from '../playerCore';
+
+const tracks = ['a', 'b', 'c', 'd'].map(id => ({ id, title: id.toUpperCase(), uri: `file:///music/${id}.mp3` }));
+const [trackA, trackB, trackC, trackD] = tracks;
+
+// Deterministic stand-in for utils/shuffle: the start index first, then the rest backwards
+const createEnv = (overrides = {}) => ({
+  buildShuffleOrder: jest.fn((playlist, { startIndex } = {}) => {
+    const rest = playlist.map((_, i) => i).reverse().filter(i => i !== startIndex);
+    return startIndex === undefined ? rest : [startIndex, ...rest];
+  }),
+  shuffleKind: 'random',
+  pickRadioChoice: jest.fn(() => null),
+  ...overrides,
+});
+
+const playing = (index, values = {}) => createPlayerState({
+  track: tracks[index],
+  playlist: tracks,
+  index,
+  duration: 200,
+  ...values,
+});
+
+const dispatch = (state, type, values = {}, env = createEnv()) => (
+  playerReducer(state, { type, ...values }, env)
+);
+
+describe('TRACK_ENDED', () => {
+  it('moves on to the next playlist track and remembers the one that ended', () => {
+    const { state, command } = dispatch(playing(0, { position: 199 }), PLAYER_EVENTS.TRACK_ENDED);
+
+    expect(command).toEqual({ type: 'play', choice: { type: 'playlist', track: trackB, playlist: tracks, index: 1 } });
+    expect(state.track).toBe(trackB);
+    expect(state.index).toBe(1);
+    expect(state.position).toBe(0);
+    expect(state.history).toEqual([
+      { track: trackA, playlist: tracks, index: 0, fromQueue: false, shuffleState: null },
+    ]);
+  });
+
+  it('stops after the last track with repeat off', () => {
+    const before = playing(3);
+    const { state, command } = dispatch(before, PLAYER_EVENTS.TRACK_ENDED);
+
+    expect(command).toEqual({ type: 'stop' });
+    expect(state.track).toBe(trackD);
+    expect(state.history).toBe(before.history);
+  });
+
+  it('wraps around to the first track with repeat all', () => {
+    const { state, command } = dispatch(playing(3, { repeatMode: REPEAT_ALL }), PLAYER_EVENTS.TRACK_ENDED);
+
+    expect(command.choice.track).toBe(trackA);
+    expect(state.index).toBe(0);
+  });
+
+  it('replays the track with repeat one, without adding it to the history', () => {
+    const { state, command } = dispatch(playing(1, { repeatMode: REPEAT_ONE, position: 150 }), PLAYER_EVENTS.TRACK_ENDED);
+
+    expect(command).toEqual({ type: 'play', choice: { type: 'repeat', track: trackB } });
+    expect(state.track).toBe(trackB);
+    expect(state.position).toBe(0);
+    expect(state.history).toEqual([]);
+  });
+
+  it('plays queued tracks before the rest of the playlist', () => {
+    const queue = [{ queueId: 'q1', track: trackD }, { queueId: 'q2', track: trackC }];
+    const { state, command } = dispatch(playing(0, { queue }), PLAYER_EVENTS.TRACK_ENDED);
+
+    expect(command.choice).toEqual({ type: 'queue', track: trackD, queueId: 'q1' });
+    expect(state.queue).toEqual([queue[1]]);
+    expect(state.fromQueue).toBe(true);
+    // The playlist position stays where the queue interrupted it
+    expect(state.index).toBe(0);
+  });
+
+  it('follows a choice the driver preloaded', () => {
+    const preloaded = { type: 'playlist', track: trackC, playlist: tracks, index: 2 };
+    const { state, command } = dispatch(playing(0), PLAYER_EVENTS.TRACK_ENDED, { choice: preloaded });
+
+    expect(command.choice).toBe(preloaded);
+    expect(state.track).toBe(trackC);
+    expect(state.history).toHaveLength(1);
+  });
+});
+
+describe('NEXT', () => {
+  it('wraps around from the last track even with repeat off', () => {
+    const { command } = dispatch(playing(3), PLAYER_EVENTS.NEXT);
+
+    expect(command.choice.track).toBe(trackA);
+  });
+
+  it('steps over unplayable tracks', () => {
+    const unplayable = { b: true, c: true };
+    const { state, command } = dispatch(playing(0, { unplayable }), PLAYER_EVENTS.NEXT);
+
+    expect(command.choice.track).toBe(trackD);
+    expect(state.index).toBe(3);
+  });
+
+  it('follows the shuffled order and keeps it in the state', () => {
+    const env = createEnv();
+    const first = dispatch(playing(1, { shuffle: true }), PLAYER_EVENTS.NEXT, {}, env);
+
+    // Order starting at b: b, d, c, a
+    expect(first.command.choice.track).toBe(trackD);
+    expect(first.state.shuffleState).toMatchObject({ order: [1, 3, 2, 0], position: 1 });
+
+    const second = dispatch(first.state, PLAYER_EVENTS.NEXT, {}, env);
+    expect(second.command.choice.track).toBe(trackC);
+    expect(env.buildShuffleOrder).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PREVIOUS', () => {
+  it('restarts the track once past the restart threshold', () => {
+    const { state, command } = dispatch(playing(2, { position: 3.5 }), PLAYER_EVENTS.PREVIOUS);
+
+    expect(command).toEqual({ type: 'restart' });
+    expect(state.track).toBe(trackC);
+    expect(state.position).toBe(0);
+  });
+
+  it('goes back through the history without adding to it', () => {
+    const env = createEnv();
+    const afterQueue = dispatch(
+      playing(0, { queue: [{ queueId: 'q1', track: trackD }] }),
+      PLAYER_EVENTS.NEXT,
+      {},
+      env
+    );
+    const { state, command } = dispatch({ ...afterQueue.state, position: 3 }, PLAYER_EVENTS.PREVIOUS, {}, env);
+
+    expect(command.choice).toMatchObject({ type: 'history', track: trackA });
+    expect(state.track).toBe(trackA);
+    expect(state.index).toBe(0);
+    expect(state.fromQueue).toBe(false);
+    expect(state.history).toEqual([]);
+    // The queue entry that played is used up
+    expect(state.queue).toEqual([]);
+  });
+
+  it('goes to the track before in the playlist without history, wrapping at the start', () => {
+    expect(dispatch(playing(2), PLAYER_EVENTS.PREVIOUS).command.choice.track).toBe(trackB);
+    expect(dispatch(playing(0), PLAYER_EVENTS.PREVIOUS).command.choice.track).toBe(trackD);
+  });
+
+  it('stays put at the start of a shuffled pass', () => {
+    const before = playing(2, { shuffle: true });
+    const { state, command } = dispatch(before, PLAYER_EVENTS.PREVIOUS);
+
+    expect(command).toBeNull();
+    expect(state.track).toBe(trackC);
+  });
+
+  it('steps back along the shuffled order', () => {
+    const shuffleState = { playlist: tracks, order: [2, 0, 3, 1], position: 2, kind: 'random' };
+    const { state, command } = dispatch(playing(3, { shuffle: true, shuffleState }), PLAYER_EVENTS.PREVIOUS);
+
+    expect(command.choice.track).toBe(trackA);
+    expect(state.shuffleState).toMatchObject({ order: [2, 0, 3, 1], position: 1 });
+  });
+
+  it('stops radio that finds nothing to go back to', () => {
+    const { command } = dispatch(playing(1, { radio: true }), PLAYER_EVENTS.PREVIOUS);
+
+    expect(command).toEqual({ type: 'stop' });
+  });
+});
+
+describe('SEEK', () => {
+  it('clamps the position to the track', () => {
+    expect(dispatch(playing(0), PLAYER_EVENTS.SEEK, { position: -4 }).command).toEqual({ type: 'seek', position: 0 });
+    expect(dispatch(playing(0), PLAYER_EVENTS.SEEK, { position: 250 }).command).toEqual({ type: 'seek', position: 200 });
+
+    const { state, command } = dispatch(playing(0), PLAYER_EVENTS.SEEK, { position: 42 });
+    expect(command).toEqual({ type: 'seek', position: 42 });
+    expect(state.position).toBe(42);
+  });
+
+  it('only clamps at 0 while the duration is unknown', () => {
+    const { command } = dispatch(playing(0, { duration: 0 }), PLAYER_EVENTS.SEEK, { position: 500 });
+
+    expect(command).toEqual({ type: 'seek', position: 500 });
+  });
+
+  it('does nothing without a track', () => {
+    const { command } = dispatch(createPlayerState(), PLAYER_EVENTS.SEEK, { position: 10 });
+
+    expect(command).toBeNull();
+  });
+});
+
+describe('ERROR', () => {
+  const error = new Error('Decoder failed');
+
+  it('retries the track where it stopped, then skips it', () => {
+    const first = dispatch(playing(1, { position: 61 }), PLAYER_EVENTS.ERROR, { error });
+
+    expect(first.command).toEqual({ type: 'retry', track: trackB, position: 61 });
+    expect(first.state.errorRetryTrackId).toBe('b');
+
+    const second = dispatch(first.state, PLAYER_EVENTS.ERROR, { error });
+    expect(second.command).toEqual({ type: 'skip', track: trackB, error });
+    expect(second.state.unplayable).toEqual({ b: true });
+  });
+
+  it('steps over the skipped track and keeps it out of the history', () => {
+    const skipped = dispatch(playing(1, { errorRetryTrackId: 'b' }), PLAYER_EVENTS.ERROR, { error });
+    const { state, command } = dispatch(skipped.state, PLAYER_EVENTS.NEXT);
+
+    expect(command.choice.track).toBe(trackC);
+    expect(state.history).toEqual([]);
+    expect(state.errorRetryTrackId).toBeNull();
+
+    // Coming back around, the unplayable track is stepped over as well
+    expect(dispatch({ ...state, index: 0, track: trackA }, PLAYER_EVENTS.NEXT).command.choice.track).toBe(trackC);
+  });
+});
@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  clearProcessedSongs,
+  getProcessedSong,
+  getProcessedSongs,
+  saveProcessedSongs,
+} from '../songDatabase';
+
+jest.mock('../cacheManager', () => ({}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('songDatabase', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores every song under its own key and only writes the songs it is given', async () => {
+    await saveProcessedSongs([{ id: 'a', tags: { title: 'A' } }, { id: 'b', tags: { title: 'B' } }]);
+    AsyncStorage.multiSet.mockClear();
+
+    await saveProcessedSongs([{ id: 'b', tags: { title: 'B2' } }]);
+
+    expect(AsyncStorage.multiSet).toHaveBeenCalledTimes(1);
+    expect(AsyncStorage.multiSet.mock.calls[0][0].map(([key]) => key)).toEqual(['processed_song:b']);
+    const songs = await getProcessedSongs();
+    expect(songs.map(song => song.tags.title).sort()).toEqual(['A', 'B2']);
+    expect(await getProcessedSong('b')).toMatchObject({ id: 'b', tags: { title: 'B2' } });
+  });
+
+  it('drops songs saved more than a week ago', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 8 * DAY);
+    await saveProcessedSongs([{ id: 'old' }]);
+    spy.mockReturnValue(now);
+    await saveProcessedSongs([{ id: 'new' }]);
+
+    expect((await getProcessedSongs()).map(song => song.id)).toEqual(['new']);
+    expect(await AsyncStorage.getItem('processed_song:old')).toBeNull();
+    expect(await getProcessedSong('old')).toBeNull();
+  });
+
+  it('keeps songs a library scan read however old they are', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 30 * DAY);
+    await saveProcessedSongs([{ id: 'scanned', tagReaderVersion: 4, tags: {} }]);
+    spy.mockReturnValue(now);
+
+    expect((await getProcessedSongs()).map(song => song.id)).toEqual(['scanned']);
+    expect(await getProcessedSong('scanned')).toMatchObject({ id: 'scanned' });
+  });
+
+  it('removes the list older versions stored, and everything on clear', async () => {
+    await AsyncStorage.setItem('processed_songs', JSON.stringify([{ id: 'a', timestamp: Date.now() }]));
+    await AsyncStorage.setItem('fadeDuration', '0');
+    await saveProcessedSongs([{ id: 'b' }]);
+
+    expect((await getProcessedSongs()).map(song => song.id)).toEqual(['b']);
+    expect(await AsyncStorage.getItem('processed_songs')).toBeNull();
+
+    // Only the first read looks for the old list
+    AsyncStorage.removeItem.mockClear();
+    await getProcessedSongs();
+    expect(AsyncStorage.removeItem).not.toHaveBeenCalled();
+
+    await clearProcessedSongs();
+
+    expect(await AsyncStorage.getAllKeys()).toEqual(['fadeDuration']);
+    expect(await getProcessedSongs()).toEqual([]);
+  });
+});
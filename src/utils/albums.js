@@ -0,0 +1,29 @@
+/**
+ * The artist an album is filed under: the album artist tag, else the track artist
+ * @param {Object} track
+ * @returns {string}
+ */
+export const getAlbumArtist = (track) => track.albumArtist || track.artist || 'Unknown Artist';
+
+/**
+ * Key of the album a track belongs to. Tracks group by album name and album artist tag, so two
+ * "Greatest Hits" stay apart while a compilation without an album artist stays together.
+ * @param {Object} track
+ * @returns {string}
+ */
+export const getAlbumKey = (track) => {
+  const albumName = track.album || 'Unknown Album';
+  return track.albumArtist ? `${albumName}\u0000${track.albumArtist}` : albumName;
+};
+
+/**
+ * Orders tracks of one album by disc, then track number; tracks without numbers come first
+ * and otherwise compare equal, so a stable sort keeps their order
+ * @param {{discNumber?: number, trackNumber?: number}} a
+ * @param {{discNumber?: number, trackNumber?: number}} b
+ * @returns {number}
+ */
+export const compareAlbumTracks = (a, b) => (
+  (a.discNumber || 0) - (b.discNumber || 0) ||
+  (a.trackNumber || 0) - (b.trackNumber || 0)
+);
@@ -1,6 +1,7 @@
 import * as FileSystem from 'expo-file-system';
 import { getCachedArtwork, cacheArtwork } from './artworkCache';
-import { base64Encode } from './encodingHelper';
+import { base64Encode, bytesToBase64 } from './encodingHelper';
+import { getFlacPicture } from './metadataHelper';
 
 /**
  * Extracts album artwork from an audio file
@@ -24,6 +25,23 @@ export const getAlbumArtwork = async (uri) => {
       return null;
     }
 
+    // FLAC keeps its cover in a PICTURE metadata block
+    const flacPicture = await getFlacPicture(uri);
+    if (flacPicture) {
+      console.log(`Found FLAC picture in file: ${uri}`);
+      const dataUrl = `data:${flacPicture.mimeType};base64,${bytesToBase64(flacPicture.data)}`;
+
+      try {
+        // Cache the artwork for future use
+        await cacheArtwork(uri, dataUrl);
+      } catch (cacheError) {
+        console.warn(`Failed to cache FLAC artwork for ${uri}:`, cacheError);
+        // Continue even if caching fails
+      }
+
+      return dataUrl;
+    }
+
     // Read the first part of the file to check for ID3v2 header
     let fileContent;
     try {
@@ -217,12 +235,6 @@ export const getAlbumArtwork = async (uri) => {
       }
     }
 
-    // Check for FLAC metadata block
-    if (binaryData[0] === 0x66 && binaryData[1] === 0x4C && binaryData[2] === 0x61 && binaryData[3] === 0x43) {
-      console.log(`Found FLAC header in file: ${uri}`);
-      // TODO: FLAC artwork extraction
-    }
-
     // Check for OGG header
     if (binaryData[0] === 0x4F && binaryData[1] === 0x67 && binaryData[2] === 0x67 && binaryData[3] === 0x53) {
       console.log(`Found OGG header in file: ${uri}`);
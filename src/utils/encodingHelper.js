@@ -97,3 +97,26 @@ export const base64Decode = (base64) => {
     return '';
   }
 };
+
+/**
+ * Base64 encoding of binary data, e.g. an embedded picture for a data URL
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} - The base64 encoded string
+ */
+export const bytesToBase64 = (bytes) => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += 3) {
+    // eslint-disable-next-line no-bitwise
+    const triple = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    parts.push(
+      // eslint-disable-next-line no-bitwise
+      chars[(triple >> 18) & 63] + chars[(triple >> 12) & 63] +
+      // eslint-disable-next-line no-bitwise
+      (i + 1 < bytes.length ? chars[(triple >> 6) & 63] : '=') +
+      // eslint-disable-next-line no-bitwise
+      (i + 2 < bytes.length ? chars[triple & 63] : '=')
+    );
+  }
+  return parts.join('');
+};
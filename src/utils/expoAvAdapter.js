@@ -0,0 +1,58 @@
+import { Audio, InterruptionModeAndroid, InterruptionModeIOS } from 'expo-av';
+import { PLAYER_EVENTS } from './playerCore';
+
+// Loads sounds for the player. Anything with the same shape can stand in for expo-av, e.g. a
+// fake driver whose sounds record the calls made on them.
+export const expoAvDriver = {
+  /**
+   * @param {string} uri - File to load
+   * @param {Object} initialStatus - expo-av initial status (shouldPlay, volume, positionMillis, rate...)
+   * @param {function(Object)} onStatus - Receives every status update of the sound
+   * @returns {Promise<Object>} - The sound: playAsync, pauseAsync, setPositionAsync,
+   * setVolumeAsync, setStatusAsync, setRateAsync, setProgressUpdateIntervalAsync, unloadAsync
+   */
+  load: async (uri, initialStatus, onStatus) => {
+    const { sound } = await Audio.Sound.createAsync({ uri }, initialStatus, onStatus);
+    return sound;
+  },
+
+  /**
+   * Configures the app's audio session
+   * @param {Object} mode
+   * @param {boolean} mode.background - Keep playing while the app is in the background
+   * @param {boolean} mode.duckOnInterruption - Lower the volume instead of pausing when another app
+   * plays a short sound; Android only, iOS always pauses so the setting is hidden there
+   * @returns {Promise<void>}
+   */
+  setAudioMode: ({ background, duckOnInterruption }) => Audio.setAudioModeAsync({
+    staysActiveInBackground: background,
+    playsInSilentModeIOS: true,
+    interruptionModeIOS: InterruptionModeIOS.DoNotMix,
+    interruptionModeAndroid: InterruptionModeAndroid.DoNotMix,
+    shouldDuckAndroid: duckOnInterruption,
+    playThroughEarpieceAndroid: false,
+  }),
+};
+
+/**
+ * Translates an expo-av status update into a player core event
+ * @param {Object} status - expo-av playback status
+ * @returns {Object|null} - TRACK_ENDED or ERROR, null for plain progress updates
+ */
+export const getStatusEvent = (status) => {
+  if (!status.isLoaded) {
+    return status.error ? { type: PLAYER_EVENTS.ERROR, error: status.error } : null;
+  }
+  return status.didJustFinish ? { type: PLAYER_EVENTS.TRACK_ENDED } : null;
+};
+
+/**
+ * Whether the system paused a sound that is supposed to play, e.g. for a call or another app.
+ * expo-av tries to resume it once the interruption is over, the player also does when the app
+ * becomes active again.
+ * @param {Object} status - expo-av playback status
+ * @returns {boolean}
+ */
+export const isInterruptedStatus = (status) => (
+  status.isLoaded && status.shouldPlay && !status.isPlaying && !status.isBuffering && !status.didJustFinish
+);
@@ -0,0 +1,60 @@
+// ID3v1 genre numbers: 0-79 from the original list, 80-191 from the Winamp extensions.
+// ID3v2 genre frames can point into the same list, e.g. "(17)".
+export const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap',
+  'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks',
+  'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock',
+  'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream',
+  'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+  'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi',
+  'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock',
+  'Big Band', 'Chorus', 'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera',
+  'Chamber Music', 'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle',
+  'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass',
+  'Club-House', 'Hardcore', 'Terror', 'Indie', 'Britpop', 'Afro-Punk', 'Polsk Punk', 'Beat',
+  'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'J-Pop', 'Synthpop', 'Abstract', 'Art Rock', 'Baroque', 'Bhangra',
+  'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic', 'Electro',
+  'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM', 'Illbient', 'Industro-Goth',
+  'Jam Band', 'Krautrock', 'Leftfield', 'Lounge', 'Math Rock', 'New Romantic', 'Nu-Breakz', 'Post-Punk',
+  'Post-Rock', 'Psytrance', 'Shoegaze', 'Space Rock', 'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook',
+  'Audio Theatre', 'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep', 'Garage Rock', 'Psybient',
+];
+
+/**
+ * Resolves genre numbers into names: "17", "(17)" and "(17)(24)" become "Rock" and
+ * "Rock/Soundtrack"; "(17)Hard Rock" keeps its own text, and plain names pass through
+ * @param {string} value - Genre as stored in an ID3 tag
+ * @returns {string|null} - null when it only holds unknown numbers
+ */
+export const resolveId3Genre = (value) => {
+  const getName = (ref) => {
+    if (ref === 'RX') {
+      return 'Remix';
+    }
+    if (ref === 'CR') {
+      return 'Cover';
+    }
+    return ID3V1_GENRES[parseInt(ref, 10)] || null;
+  };
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return getName(text);
+  }
+  const match = text.match(/^((?:\((?:\d+|RX|CR)\))+)(.*)$/);
+  if (!match) {
+    return text || null;
+  }
+  // ID3v2.3 refinements: text after the references is the more specific genre
+  if (match[2].trim()) {
+    return match[2].trim();
+  }
+  return match[1].slice(1, -1).split(')(').map(getName).filter(Boolean).join('/') || null;
+};
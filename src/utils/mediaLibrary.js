@@ -1,14 +1,25 @@
 import * as MediaLibrary from 'expo-media-library';
 import { getAlbumArtwork } from './artworkHelper';
+import * as FileSystem from 'expo-file-system';
+import { getAudioTags } from './metadataHelper';
+import { clearProcessedSongs, getProcessedSongs, saveProcessedSongs } from './songDatabase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // Export parseMetadata for use in other files
 export const parseMetadata = (filename) => {
-  const name = filename.replace(/\.[^/.]+$/, '');
+  let name = filename.replace(/\.[^/.]+$/, '');
+
+  // A leading track number ("01 - ", "1. ", "07_") is not an artist. Only one or two digits with
+  // a separator count, so "50 Cent - Candy Shop" and "311 - Amber" keep their artist.
+  let trackNumber = null;
+  const numberMatch = name.match(/^(\d{1,2})\s*[-._]\s*(?=\S)/);
+  if (numberMatch) {
+    trackNumber = parseInt(numberMatch[1], 10) || null;
+    name = name.slice(numberMatch[0].length);
+  }
 
   const patterns = [
-    /^(?:\d+\.\s*)?([^-]+)\s*-\s*(.+)$/, // Artist - Title
-    /^(?:\d+\s*-\s*)?([^-]+)\s*-\s*(.+)$/, // 01 - Artist - Title
+    /^([^-]+)\s*-\s*(.+)$/, // Artist - Title
     /^(.+)$/,// Just title
   ];
 
@@ -19,17 +30,19 @@ export const parseMetadata = (filename) => {
         return {
           artist: match[1].trim(),
           title: match[2].trim(),
+          trackNumber,
         };
       } else if (match.length === 2) {
         return {
           title: match[1].trim(),
           artist: 'Unknown Artist',
+          trackNumber,
         };
       }
     }
   }
 
-  return { title: name, artist: 'Unknown Artist' };
+  return { title: name, artist: 'Unknown Artist', trackNumber };
 };
 
 const getAssetInfo = async (asset) => {
@@ -123,13 +136,81 @@ const setCachedLibrary = async (data) => {
   }
 };
 
+/**
+ * Drops the cached library and the tags read by earlier scans, e.g. to free storage when it is
+ * full. The next scan reads every file again.
+ * @returns {Promise<void>}
+ */
+export const clearLibraryCache = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(CACHE_KEY)));
+  } catch (error) {
+    console.warn('Error clearing library cache:', error);
+  }
+  await clearProcessedSongs();
+};
+
+// Bump when the tag readers learn something new, so files scanned before are read again
+const TAG_READER_VERSION = 5;
+
+// What identifies a version of a file; tags are read again once either changes
+const getFileStats = async (asset) => {
+  try {
+    const info = await FileSystem.getInfoAsync(asset.uri);
+    if (info.exists) {
+      return { modificationTime: info.modificationTime ?? asset.modificationTime ?? null, size: info.size ?? null };
+    }
+  } catch (error) {
+    console.log(`Error getting file info for ${asset.filename}:`, error);
+  }
+  return { modificationTime: asset.modificationTime ?? null, size: null };
+};
+
+// Whether a song database record still describes the file with these stats
+const isRecordCurrent = (saved, stats) => (
+  !!saved && !!saved.tags && saved.tagReaderVersion === TAG_READER_VERSION && stats.modificationTime !== null &&
+  saved.modificationTime === stats.modificationTime && saved.size === stats.size
+);
+
+// Tags of a file (ReplayGain info included), reused from the song database when the file didn't
+// change since they were read. Returns the tags and, when they were read just now, the record to save.
+const readTrackTags = async (asset, processedSongs) => {
+  const stats = await getFileStats(asset);
+  const saved = processedSongs.get(asset.id);
+  if (isRecordCurrent(saved, stats)) {
+    return { tags: saved.tags, record: null };
+  }
+
+  const tags = await getAudioTags(asset.uri);
+  return { tags, record: { id: asset.id, uri: asset.uri, ...stats, tagReaderVersion: TAG_READER_VERSION, tags } };
+};
+
+const BATCH_SIZE = 20; // Files processed at a time
+
+// A cached library is only used while none of its files changed since their tags were read
+const isCachedLibraryCurrent = async (tracks, processedSongs) => {
+  for (let i = 0; i < tracks.length; i += BATCH_SIZE) {
+    const batch = tracks.slice(i, i + BATCH_SIZE);
+    const current = await Promise.all(
+      batch.map(async (track) => isRecordCurrent(processedSongs.get(track.id), await getFileStats(track)))
+    );
+    if (current.includes(false)) {
+      return false;
+    }
+  }
+  return true;
+};
+
 export const getSongsAsync = async (progressCallback) => {
   try {
     console.log('Starting to fetch audio files...');
 
     // Try to get cached library first
     const cachedLibrary = await getCachedLibrary();
-    if (cachedLibrary) {
+    // Tags read by earlier scans, by asset id
+    const processedSongs = new Map((await getProcessedSongs()).map(song => [song.id, song]));
+    if (cachedLibrary && await isCachedLibraryCurrent(cachedLibrary, processedSongs)) {
       console.log('Using cached library');
       if (progressCallback) {
         progressCallback(1.0);
@@ -172,15 +253,19 @@ export const getSongsAsync = async (progressCallback) => {
 
     const processedTracks = [];
     const totalTracks = assets.length;
-    const BATCH_SIZE = 20; // Process tracks in batches of 20
 
     // Process tracks in batches
     for (let i = 0; i < assets.length; i += BATCH_SIZE) {
       const batch = assets.slice(i, i + BATCH_SIZE);
+      const changedSongs = [];
       const batchPromises = batch.map(async (track) => {
         try {
           const assetInfo = await getAssetInfo(track);
           const parsedInfo = parseMetadata(track.filename);
+          const { tags, record } = await readTrackTags(track, processedSongs);
+          if (record) {
+            changedSongs.push(record);
+          }
 
           // Extract artwork from the track
           let artwork = null;
@@ -207,14 +292,33 @@ export const getSongsAsync = async (progressCallback) => {
             console.warn(`Error extracting artwork for ${track.filename}:`, artworkError);
           }
 
-          // Create track object with required fields
+          // Create track object with required fields; the file name only fills in missing tags
           return {
             id: track.id,
             uri: track.uri,
-            title: parsedInfo.title || track.filename,
-            artist: parsedInfo.artist || 'Unknown Artist',
-            duration: track.duration || 0,
+            title: tags.title || parsedInfo.title || track.filename,
+            artist: tags.artist || parsedInfo.artist || 'Unknown Artist',
+            album: tags.album,
+            albumArtist: tags.albumArtist,
+            composer: tags.composer,
+            genre: tags.genre,
+            year: tags.year,
+            originalYear: tags.originalYear,
+            trackNumber: tags.trackNumber || parsedInfo.trackNumber,
+            trackTotal: tags.trackTotal,
+            discNumber: tags.discNumber,
+            discTotal: tags.discTotal,
+            bpm: tags.bpm,
+            isrc: tags.isrc,
+            // FLAC stream headers know the exact length, the media library rounds it
+            duration: tags.duration || track.duration || 0,
+            sampleRate: tags.sampleRate,
+            bitDepth: tags.bitDepth,
+            channels: tags.channels,
+            replayGain: tags.replayGain,
             filename: track.filename,
+            // Lets a cached library tell whether the file changed
+            modificationTime: track.modificationTime,
             albumId: track.albumId,
             artwork: artwork,
           };
@@ -227,6 +331,8 @@ export const getSongsAsync = async (progressCallback) => {
       // Wait for all tracks in the batch to be processed
       const batchResults = await Promise.all(batchPromises);
       processedTracks.push(...batchResults.filter(track => track !== null));
+      // Only the songs read in this batch are written, so a scan that stops halfway keeps them
+      await saveProcessedSongs(changedSongs);
 
       // Update progress periodically - processing tracks (20% to 70% range)
       if (progressCallback) {
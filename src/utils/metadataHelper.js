@@ -1,286 +1,981 @@
 import * as FileSystem from 'expo-file-system';
 import { Audio } from 'expo-av';
+import { ID3V1_GENRES, resolveId3Genre } from './id3Genres';
 
-// Helper function to convert base64 to Uint8Array
+// Tags bigger than this are only read this far; frames past the cut are skipped
+const MAX_ID3_READ_SIZE = 5 * 1024 * 1024;
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = {};
+for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+    BASE64_VALUES[BASE64_ALPHABET[i]] = i;
+}
+
+// Decode base64 straight to bytes. Going through a binary string with atob turns the
+// stripped "=" padding into extra zero bytes.
 const base64ToUint8Array = (base64) => {
-    // React Native compatible base64 decoding
-    const binaryString = decodeURIComponent(escape(base64));
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+    const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+    const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+    let length = 0;
+    let buffer = 0;
+    let bits = 0;
+    for (let i = 0; i < clean.length; i++) {
+        // eslint-disable-next-line no-bitwise
+        buffer = ((buffer << 6) | BASE64_VALUES[clean[i]]) & 0xFFFFFF;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            // eslint-disable-next-line no-bitwise
+            bytes[length++] = (buffer >> bits) & 0xFF;
+        }
     }
-    return bytes;
+    return bytes.subarray(0, length);
 };
 
-export const getAudioMetadata = async (uri) => {
-    try {
-        // Read the first 1024 bytes of the file to check for ID3v2 header
-        const fileInfo = await FileSystem.getInfoAsync(uri);
-        if (!fileInfo.exists) {
-            console.log(`File does not exist: ${uri}`);
-            return {};
-        }
+// Read a byte range of a file
+const readBytes = async (uri, position, length) => {
+    const content = await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64,
+        length,
+        position,
+    });
+    return content ? base64ToUint8Array(content) : new Uint8Array(0);
+};
 
-        // Initialize metadata object
-        const metadata = {
-            title: null,
-            artist: null,
-            album: null,
-            year: null,
-            genre: null,
-            duration: null,
-            artwork: null,
-        };
+// Big-endian integer with 7 bits per byte, as used by ID3v2 sizes
+const readSyncsafe = (bytes, at) => (
+    // eslint-disable-next-line no-bitwise
+    ((bytes[at] & 0x7F) << 21) | ((bytes[at + 1] & 0x7F) << 14) | ((bytes[at + 2] & 0x7F) << 7) | (bytes[at + 3] & 0x7F)
+);
 
-        // Try to get duration from file info first
-        try {
-            const soundPromise = Audio.Sound.createAsync({ uri }, { shouldPlay: false });
-            const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Timeout creating sound object')), 5000)
-            );
+// eslint-disable-next-line no-bitwise
+const readUint32BE = (bytes, at) => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
 
-            const { sound } = await Promise.race([soundPromise, timeoutPromise]);
+// String.fromCharCode with many arguments overflows the stack, so convert in chunks
+const codeUnitsToString = (codeUnits) => {
+    let result = '';
+    for (let i = 0; i < codeUnits.length; i += 8192) {
+        result += String.fromCharCode.apply(null, codeUnits.slice(i, i + 8192));
+    }
+    return result;
+};
 
-            if (sound) {
-                try {
-                    const status = await sound.getStatusAsync();
-                    if (status.isLoaded) {
-                        metadata.duration = status.durationMillis / 1000; // Convert to seconds
-                    }
-                } catch (statusError) {
-                    console.warn(`Error getting sound status: ${statusError.message}`);
-                } finally {
-                    try {
-                        await sound.unloadAsync();
-                    } catch (unloadError) {
-                        console.warn(`Error unloading sound: ${unloadError.message}`);
-                    }
-                }
+const latin1ToString = (bytes) => codeUnitsToString(Array.from(bytes));
+
+// Length of the UTF-8 sequence a byte starts, 0 when it can't start one
+const getUtf8SequenceLength = (lead) => {
+    if (lead < 0x80) {
+        return 1;
+    }
+    if (lead >= 0xC2 && lead <= 0xDF) {
+        return 2;
+    }
+    if (lead >= 0xE0 && lead <= 0xEF) {
+        return 3;
+    }
+    return lead >= 0xF0 && lead <= 0xF4 ? 4 : 0;
+};
+
+// Smallest code point each sequence length may encode; anything below is an overlong form
+const UTF8_MIN_CODE_POINTS = [0, 0, 0x80, 0x800, 0x10000];
+
+// Decode UTF-8, or null when the bytes aren't valid UTF-8
+const decodeUtf8 = (bytes) => {
+    const codeUnits = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const length = getUtf8SequenceLength(bytes[i]);
+        if (length === 0 || i + length > bytes.length) {
+            return null;
+        }
+        // eslint-disable-next-line no-bitwise
+        let codePoint = length === 1 ? bytes[i] : bytes[i] & (0xFF >> (length + 1));
+        for (let j = 1; j < length; j++) {
+            // eslint-disable-next-line no-bitwise
+            if ((bytes[i + j] & 0xC0) !== 0x80) {
+                return null;
             }
-        } catch (error) {
-            console.warn(`Error getting duration: ${error.message}`);
+            // eslint-disable-next-line no-bitwise
+            codePoint = (codePoint << 6) | (bytes[i + j] & 0x3F);
+        }
+        if (codePoint < UTF8_MIN_CODE_POINTS[length] || (codePoint >= 0xD800 && codePoint <= 0xDFFF) || codePoint > 0x10FFFF) {
+            return null;
+        }
+        if (codePoint > 0xFFFF) {
+            codePoint -= 0x10000;
+            // eslint-disable-next-line no-bitwise
+            codeUnits.push(0xD800 + (codePoint >> 10), 0xDC00 + (codePoint & 0x3FF));
+        } else {
+            codeUnits.push(codePoint);
+        }
+        i += length;
+    }
+    return codeUnitsToString(codeUnits);
+};
+
+const utf8ToString = (bytes) => {
+    const text = decodeUtf8(bytes);
+    // Not valid UTF-8, keep the raw characters
+    return text === null ? latin1ToString(bytes) : text;
+};
+
+// Surrogate pairs come out as two code units, which is how JavaScript strings hold them anyway
+const utf16ToString = (bytes, littleEndian) => {
+    const codeUnits = [];
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        // eslint-disable-next-line no-bitwise
+        codeUnits.push(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+    }
+    return codeUnitsToString(codeUnits);
+};
+
+// Find the end of a null-terminated string; UTF-16 strings end on a double null
+const findTerminator = (bytes, start, encoding) => {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+        if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+            return { end: i, next: i + (wide ? 2 : 1) };
         }
+    }
+    return { end: bytes.length, next: bytes.length };
+};
 
-        // Read the file header to check for ID3v2
-        let fileContent;
-        try {
-            fileContent = await FileSystem.readAsStringAsync(uri, {
-                encoding: FileSystem.EncodingType.Base64,
-                length: 1024,
-                position: 0,
-            });
-        } catch (readError) {
-            console.error(`Error reading file content: ${readError.message}`);
-            return metadata; // Return with duration only
+// Decode one ID3v2 string in one of its encodings (0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8)
+const decodeId3String = (bytes, encoding) => {
+    let text;
+    if (encoding === 1) {
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            text = utf16ToString(bytes.subarray(2), false);
+        } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            text = utf16ToString(bytes.subarray(2), true);
+        } else {
+            text = utf16ToString(bytes, true);
         }
+    } else if (encoding === 2) {
+        text = utf16ToString(bytes, false);
+    } else if (encoding === 3) {
+        text = utf8ToString(bytes);
+    } else {
+        text = latin1ToString(bytes);
+    }
+    return text.replace(/\0/g, '').trim();
+};
 
-        if (!fileContent) {
-            console.log(`No file content read from: ${uri}`);
-            return metadata; // Return with duration only
+// ID3v2.4 text frames can hold several null-separated values, each with its own BOM in UTF-16
+const decodeId3Text = (bytes, encoding) => {
+    const values = [];
+    let start = 0;
+    while (start < bytes.length) {
+        const { end, next } = findTerminator(bytes, start, encoding);
+        const value = decodeId3String(bytes.subarray(start, end), encoding);
+        if (value) {
+            values.push(value);
         }
+        start = next;
+    }
+    return values.join('/');
+};
 
-        // Convert base64 to Uint8Array
-        const bytes = base64ToUint8Array(fileContent);
+// Undo unsynchronisation: every 0xFF 0x00 was written for a plain 0xFF
+const removeUnsynchronisation = (bytes) => {
+    const result = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result[length++] = bytes[i];
+        if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) {
+            i++;
+        }
+    }
+    return result.subarray(0, length);
+};
 
-        // Check for ID3v2 header (starts with "ID3")
-        if (bytes.length >= 10 && bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
-            console.log(`Found ID3v2 header in file: ${uri}`);
+// ID3v2.2 frame ids and their ID3v2.3 names
+const V22_FRAME_IDS = {
+    TT2: 'TIT2',
+    TP1: 'TPE1',
+    TP2: 'TPE2',
+    TCM: 'TCOM',
+    TAL: 'TALB',
+    TRK: 'TRCK',
+    TPA: 'TPOS',
+    TYE: 'TYER',
+    TOR: 'TORY',
+    TCO: 'TCON',
+    TBP: 'TBPM',
+    TRC: 'TSRC',
+    TXX: 'TXXX',
+    RVA: 'RVAD',
+};
 
-            // Get the ID3v2 version
-            const version = bytes[3];
-            const revision = bytes[4];
-            console.log(`ID3v2 version: ${version}.${revision}`);
+const isFrameId = (id, version) => (version === 2 ? /^[A-Z0-9]{3}$/ : /^[A-Z0-9]{4}$/).test(id);
 
-            // Check if unsynchronization is used - bit 7 of flags
-            const flags = bytes[5];
-            // eslint-disable-next-line no-bitwise
-            const unsync = (flags & 0x80) !== 0;
+// Whether a frame may start at this offset: another frame id, padding or the end of the tag
+const isFrameBoundary = (body, at, version) => {
+    if (at === body.length || (at < body.length && body[at] === 0)) {
+        return true;
+    }
+    const idLength = version === 2 ? 3 : 4;
+    return at + idLength <= body.length && isFrameId(latin1ToString(body.subarray(at, at + idLength)), version);
+};
 
-            // Get the size of the ID3v2 tag (4 bytes, each byte uses only 7 bits)
+const readFrameSize = (body, offset, version) => {
+    if (version === 2) {
+        // eslint-disable-next-line no-bitwise
+        return (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    }
+    const plainSize = readUint32BE(body, offset + 4);
+    if (version === 3) {
+        return plainSize;
+    }
+    // ID3v2.4 frame sizes are syncsafe, but some writers (older iTunes) stored plain ones. Take
+    // the plain size when the syncsafe one doesn't land on the next frame and the plain one does.
+    const syncsafeSize = readSyncsafe(body, offset + 4);
+    if (
+        plainSize !== syncsafeSize &&
+        !isFrameBoundary(body, offset + 10 + syncsafeSize, version) &&
+        isFrameBoundary(body, offset + 10 + plainSize, version)
+    ) {
+        return plainSize;
+    }
+    return syncsafeSize;
+};
+
+/**
+ * Splits an ID3v2.2, 2.3 or 2.4 tag into its frames, undoing unsynchronisation and skipping the
+ * extended header. Compressed and encrypted frames are left out; v2.2 frame ids come out under
+ * their v2.3 names.
+ * @param {Uint8Array} tag - The tag, starting with its 10 byte header
+ * @returns {{version: number, frames: Array<{id: string, data: Uint8Array}>}|null} - null when
+ * the bytes are not a supported ID3v2 tag
+ */
+export const parseId3v2Tag = (tag) => {
+    if (tag.length < 10 || latin1ToString(tag.subarray(0, 3)) !== 'ID3') {
+        return null;
+    }
+    const version = tag[3];
+    const flags = tag[5];
+    // eslint-disable-next-line no-bitwise
+    if (version < 2 || version > 4 || (version === 2 && (flags & 0x40))) {
+        // The v2.2 compression flag has no compression scheme defined, so such tags can't be read
+        return null;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    const tagUnsync = (flags & 0x80) !== 0;
+    let body = tag.subarray(10, 10 + readSyncsafe(tag, 6));
+    // Up to v2.3 the whole tag is unsynchronised, v2.4 does it frame by frame
+    if (tagUnsync && version < 4) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    // eslint-disable-next-line no-bitwise
+    if (version > 2 && (flags & 0x40) && body.length >= 4) {
+        // The v2.3 extended header size leaves out its own 4 bytes, the syncsafe v2.4 one doesn't
+        offset = version === 3 ? 4 + readUint32BE(body, 0) : readSyncsafe(body, 0);
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const frames = [];
+
+    while (offset + headerLength <= body.length) {
+        const id = latin1ToString(body.subarray(offset, offset + idLength));
+        if (!isFrameId(id, version)) {
+            // Padding
+            break;
+        }
+        const size = readFrameSize(body, offset, version);
+        const formatFlags = version === 2 ? 0 : body[offset + 9];
+        const start = offset + headerLength;
+        if (start + size > body.length) {
+            break;
+        }
+        offset = start + size;
+
+        let data = body.subarray(start, start + size);
+        if (version === 3) {
+            // eslint-disable-next-line no-bitwise
+            if (formatFlags & 0xC0) {
+                // Compressed or encrypted
+                continue;
+            }
+            // eslint-disable-next-line no-bitwise
+            if (formatFlags & 0x20) {
+                // Grouping identity byte
+                data = data.subarray(1);
+            }
+        } else if (version === 4) {
+            // eslint-disable-next-line no-bitwise
+            if (formatFlags & 0x0C) {
+                // Compressed or encrypted
+                continue;
+            }
             // eslint-disable-next-line no-bitwise
-            const size = ((bytes[6] & 0x7F) << 21) |
-                        // eslint-disable-next-line no-bitwise
-                        ((bytes[7] & 0x7F) << 14) |
-                        // eslint-disable-next-line no-bitwise
-                        ((bytes[8] & 0x7F) << 7) |
-                        // eslint-disable-next-line no-bitwise
-                        (bytes[9] & 0x7F);
+            if (formatFlags & 0x40) {
+                // Grouping identity byte
+                data = data.subarray(1);
+            }
+            // eslint-disable-next-line no-bitwise
+            if (formatFlags & 0x01) {
+                // Data length indicator
+                data = data.subarray(4);
+            }
+            // eslint-disable-next-line no-bitwise
+            if ((formatFlags & 0x02) || tagUnsync) {
+                data = removeUnsynchronisation(data);
+            }
+        }
+
+        frames.push({ id: version === 2 ? V22_FRAME_IDS[id] || id : id, data });
+    }
 
-            console.log(`ID3v2 tag size: ${size} bytes, unsync: ${unsync}`);
+    return { version, frames };
+};
 
-            // Safety check - if size is too large or zero, use a reasonable default
-            const safeSize = size > 0 && size < 5000000 ? size : 10000; // Use 10KB as default if size is invalid
+// Read and parse the ID3v2 tag at the start of a file, null when there is none
+const readId3v2Tag = async (uri) => {
+    const header = await readBytes(uri, 0, 10);
+    if (header.length < 10 || latin1ToString(header.subarray(0, 3)) !== 'ID3') {
+        return null;
+    }
+    const size = readSyncsafe(header, 6);
+    if (size <= 0) {
+        return null;
+    }
+    return parseId3v2Tag(await readBytes(uri, 0, Math.min(size, MAX_ID3_READ_SIZE) + 10));
+};
 
-            // Read the entire ID3v2 tag
-            let fullTagContent;
-            try {
-                fullTagContent = await FileSystem.readAsStringAsync(uri, {
-                    encoding: FileSystem.EncodingType.Base64,
-                    length: safeSize + 10, // 10 bytes for the header
-                    position: 0,
-                });
-            } catch (tagReadError) {
-                console.error(`Error reading ID3v2 tag: ${tagReadError.message}`);
-                return metadata; // Return with duration only
+// Text of a T*** frame: an encoding byte, then the text
+const getId3FrameText = (frame) => (frame.data.length > 1 ? decodeId3Text(frame.data.subarray(1), frame.data[0]) : '');
+
+// "-6.54 dB" -> -6.54
+const parseGainValue = (value) => {
+    const number = parseFloat(String(value).replace(/db/i, '').trim());
+    return isNaN(number) ? null : number;
+};
+
+// Copy a REPLAYGAIN_* tag (from TXXX or a Vorbis comment) into the replayGain object
+const applyReplayGainTag = (replayGain, key, value) => {
+    const fields = {
+        REPLAYGAIN_TRACK_GAIN: 'trackGain',
+        REPLAYGAIN_TRACK_PEAK: 'trackPeak',
+        REPLAYGAIN_ALBUM_GAIN: 'albumGain',
+        REPLAYGAIN_ALBUM_PEAK: 'albumPeak',
+    };
+    const field = fields[key.toUpperCase()];
+    if (!field) {
+        return;
+    }
+    const number = parseGainValue(value);
+    if (number !== null) {
+        replayGain[field] = number;
+    }
+};
+
+// RVA2: identification, then per channel: type, volume adjustment (dB * 512), peak bits, peak
+const applyRva2Frame = (replayGain, frame) => {
+    const { end, next } = findTerminator(frame, 0, 0);
+    const identification = latin1ToString(frame.subarray(0, end)).toLowerCase();
+    let offset = next;
+
+    while (offset + 4 <= frame.length) {
+        const channelType = frame[offset];
+        // eslint-disable-next-line no-bitwise
+        let adjustment = (frame[offset + 1] << 8) | frame[offset + 2];
+        if (adjustment > 0x7FFF) {
+            adjustment -= 0x10000;
+        }
+        const peakBits = frame[offset + 3];
+        const peakBytes = Math.ceil(peakBits / 8);
+        let peak = 0;
+        for (let i = 0; i < peakBytes; i++) {
+            peak = peak * 256 + (frame[offset + 4 + i] || 0);
+        }
+        offset += 4 + peakBytes;
+
+        // Only the master volume channel is used for playback
+        if (channelType === 1) {
+            const isAlbum = identification === 'album';
+            replayGain[isAlbum ? 'albumGain' : 'trackGain'] = adjustment / 512;
+            if (peakBits > 0) {
+                replayGain[isAlbum ? 'albumPeak' : 'trackPeak'] = peak / Math.pow(2, peakBits - 1);
             }
+        }
+    }
+};
+
+// Collect TXXX:REPLAYGAIN_* and RVA2 from the ID3v2 frames
+const applyId3ReplayGain = (replayGain, tag) => {
+    tag.frames.forEach(frame => {
+        if (frame.id === 'TXXX' && frame.data.length > 1) {
+            const encoding = frame.data[0];
+            const { end, next } = findTerminator(frame.data, 1, encoding);
+            const description = decodeId3String(frame.data.subarray(1, end), encoding);
+            applyReplayGainTag(replayGain, description, decodeId3Text(frame.data.subarray(next), encoding));
+        } else if (frame.id === 'RVA2') {
+            applyRva2Frame(replayGain, frame.data);
+        }
+    });
+};
 
-            if (!fullTagContent) {
-                console.log(`No tag content read from: ${uri}`);
-                return metadata; // Return with duration only
+// Vorbis comment block: vendor string, then "KEY=value" entries, all lengths little-endian
+const readVorbisComments = (bytes, start) => {
+    const comments = {};
+    // eslint-disable-next-line no-bitwise
+    const readUint32 = (at) => (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+
+    let offset = start;
+    if (offset + 8 > bytes.length) {
+        return comments;
+    }
+    offset += 4 + readUint32(offset);
+    const count = readUint32(offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUint32(offset);
+        offset += 4;
+        const entry = utf8ToString(bytes.subarray(offset, offset + length));
+        offset += length;
+        const separator = entry.indexOf('=');
+        if (separator > 0) {
+            comments[entry.slice(0, separator).toUpperCase()] = entry.slice(separator + 1);
+        }
+    }
+    return comments;
+};
+
+// FLAC metadata block types
+const FLAC_STREAMINFO = 0;
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_PICTURE = 6;
+
+// Position of the "fLaC" marker: the start of the file, or right after an ID3v2 tag some taggers
+// put in front; -1 when the file isn't FLAC
+const findFlacStart = async (uri) => {
+    const header = await readBytes(uri, 0, 10);
+    let position = 0;
+    if (header.length >= 10 && latin1ToString(header.subarray(0, 3)) === 'ID3') {
+        // eslint-disable-next-line no-bitwise
+        const footerSize = header[3] === 4 && (header[5] & 0x10) ? 10 : 0;
+        position = 10 + readSyncsafe(header, 6) + footerSize;
+    }
+    const marker = position === 0 ? header.subarray(0, 4) : await readBytes(uri, position, 4);
+    return latin1ToString(marker) === 'fLaC' ? position : -1;
+};
+
+// FLAC metadata blocks: 1 byte last-flag + type, 3 bytes length. Reads the blocks of the given
+// types and steps over the others (seek table, padding, pictures nobody asked for)
+const readFlacBlocks = async (uri, types) => {
+    const blocks = [];
+    const start = await findFlacStart(uri);
+    if (start < 0) {
+        return blocks;
+    }
+
+    let position = start + 4;
+    for (let count = 0; count < 64; count++) {
+        const blockHeader = await readBytes(uri, position, 4);
+        if (blockHeader.length < 4) {
+            break;
+        }
+        // eslint-disable-next-line no-bitwise
+        const isLast = (blockHeader[0] & 0x80) !== 0;
+        // eslint-disable-next-line no-bitwise
+        const type = blockHeader[0] & 0x7F;
+        // eslint-disable-next-line no-bitwise
+        const length = (blockHeader[1] << 16) | (blockHeader[2] << 8) | blockHeader[3];
+        if (types.includes(type)) {
+            blocks.push({ type, data: await readBytes(uri, position + 4, length) });
+        }
+        if (isLast) {
+            break;
+        }
+        position += 4 + length;
+    }
+    return blocks;
+};
+
+const readFlacVorbisComments = async (uri) => {
+    const [block] = await readFlacBlocks(uri, [FLAC_VORBIS_COMMENT]);
+    return block ? readVorbisComments(block.data, 0) : {};
+};
+
+// STREAMINFO: minimum and maximum block and frame sizes (10 bytes), then 20 bits sample rate,
+// 3 bits channels - 1, 5 bits bits per sample - 1 and 36 bits total samples
+const parseFlacStreamInfo = (data) => {
+    if (data.length < 18) {
+        return null;
+    }
+    // eslint-disable-next-line no-bitwise
+    const sampleRate = (data[10] << 12) | (data[11] << 4) | (data[12] >> 4);
+    // eslint-disable-next-line no-bitwise
+    const channels = ((data[12] >> 1) & 0x07) + 1;
+    // eslint-disable-next-line no-bitwise
+    const bitDepth = (((data[12] & 0x01) << 4) | (data[13] >> 4)) + 1;
+    // 36 bits don't fit the bitwise operators, so the top 4 are multiplied in
+    // eslint-disable-next-line no-bitwise
+    const totalSamples = (data[13] & 0x0F) * 0x100000000 + readUint32BE(data, 14);
+    return {
+        sampleRate: sampleRate || null,
+        channels,
+        bitDepth,
+        // Zero total samples means the encoder didn't know
+        duration: sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null,
+    };
+};
+
+// Vorbis comment keys and the tag fields they fill
+const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUMARTIST: 'albumArtist',
+    'ALBUM ARTIST': 'albumArtist',
+    COMPOSER: 'composer',
+    ALBUM: 'album',
+    GENRE: 'genre',
+    TRACKNUMBER: 'track',
+    DISCNUMBER: 'disc',
+    DATE: 'year',
+    YEAR: 'year',
+    ORIGINALDATE: 'originalYear',
+    ORIGINALYEAR: 'originalYear',
+    BPM: 'bpm',
+    ISRC: 'isrc',
+};
+
+const vorbisCommentsToRawTags = (comments) => {
+    const raw = {};
+    Object.keys(VORBIS_FIELDS).forEach(key => {
+        const field = VORBIS_FIELDS[key];
+        if (comments[key] && !raw[field]) {
+            raw[field] = comments[key];
+        }
+    });
+    // Totals usually come in comments of their own; make them "3/12" like ID3 and APE
+    const trackTotal = comments.TRACKTOTAL || comments.TOTALTRACKS;
+    if (raw.track && trackTotal && !raw.track.includes('/')) {
+        raw.track = `${raw.track}/${trackTotal}`;
+    }
+    const discTotal = comments.DISCTOTAL || comments.TOTALDISCS;
+    if (raw.disc && discTotal && !raw.disc.includes('/')) {
+        raw.disc = `${raw.disc}/${discTotal}`;
+    }
+    return raw;
+};
+
+// Raw tag values, Vorbis comments and stream properties of a FLAC file; empty for anything else
+const readFlacInfo = async (uri) => {
+    const info = { raw: {}, comments: {}, streamInfo: null, isFlac: false };
+    const blocks = await readFlacBlocks(uri, [FLAC_STREAMINFO, FLAC_VORBIS_COMMENT]);
+    blocks.forEach(block => {
+        if (block.type === FLAC_STREAMINFO) {
+            info.isFlac = true;
+            info.streamInfo = parseFlacStreamInfo(block.data);
+        } else {
+            info.comments = readVorbisComments(block.data, 0);
+            info.raw = vorbisCommentsToRawTags(info.comments);
+        }
+    });
+    return info;
+};
+
+// PICTURE: picture type, MIME type, description, width, height, colour depth, palette size,
+// then the image; all lengths and numbers 32-bit big-endian
+const parseFlacPicture = (data) => {
+    const pictureType = readUint32BE(data, 0);
+    const mimeLength = readUint32BE(data, 4);
+    const mimeType = latin1ToString(data.subarray(8, 8 + mimeLength));
+    let offset = 8 + mimeLength;
+    offset += 4 + readUint32BE(data, offset);
+    offset += 16;
+    const length = readUint32BE(data, offset);
+    return { pictureType, mimeType, data: data.subarray(offset + 4, offset + 4 + length) };
+};
+
+/**
+ * Reads the cover picture from a FLAC file's PICTURE blocks, preferring the front cover
+ * @param {string} uri - The URI of the audio file
+ * @returns {Promise<{mimeType: string, data: Uint8Array}|null>} - null when the file isn't FLAC
+ * or has no picture
+ */
+export const getFlacPicture = async (uri) => {
+    try {
+        const pictures = (await readFlacBlocks(uri, [FLAC_PICTURE]))
+            .map(block => parseFlacPicture(block.data))
+            // "-->" pictures only hold a URL
+            .filter(picture => picture.mimeType !== '-->' && picture.data.length > 0);
+        const picture = pictures.find(candidate => candidate.pictureType === 3) || pictures[0];
+        return picture ? { mimeType: picture.mimeType || 'image/jpeg', data: picture.data } : null;
+    } catch (error) {
+        console.warn(`Error reading FLAC picture from ${uri}: ${error.message}`);
+        return null;
+    }
+};
+
+// Ogg Vorbis and Opus keep their comments in the second packet, right at the start of the file
+const readOggVorbisComments = async (uri) => {
+    const bytes = await readBytes(uri, 0, 65536);
+    const text = latin1ToString(bytes);
+    const vorbisIndex = text.indexOf('\x03vorbis');
+    if (vorbisIndex !== -1) {
+        return readVorbisComments(bytes, vorbisIndex + 7);
+    }
+    const opusIndex = text.indexOf('OpusTags');
+    if (opusIndex !== -1) {
+        return readVorbisComments(bytes, opusIndex + 8);
+    }
+    return {};
+};
+
+
+// ReplayGain values from a parsed ID3v2 tag and Vorbis comments; null when there are none
+const collectReplayGain = (id3Tag, comments) => {
+    const replayGain = {};
+    if (id3Tag) {
+        applyId3ReplayGain(replayGain, id3Tag);
+    }
+    Object.keys(comments).forEach(key => applyReplayGainTag(replayGain, key, comments[key]));
+    return Object.keys(replayGain).length > 0 ? replayGain : null;
+};
+
+/**
+ * Reads ReplayGain values from ID3v2 (TXXX:REPLAYGAIN_* and RVA2), FLAC and Ogg Vorbis comments.
+ * getAudioTags returns them as well, from the same read as the other tags.
+ * @param {string} uri - The URI of the audio file
+ * @returns {Promise<{trackGain?: number, trackPeak?: number, albumGain?: number, albumPeak?: number}|null>}
+ * Gains are in dB, peaks are linear (1.0 is full scale); null when the file has no ReplayGain info
+ */
+export const getReplayGain = async (uri) => {
+    try {
+        const header = await readBytes(uri, 0, 10);
+        const magic = latin1ToString(header.subarray(0, 4));
+
+        if (magic.startsWith('ID3')) {
+            return collectReplayGain(await readId3v2Tag(uri), {});
+        }
+        if (magic === 'fLaC' || magic === 'OggS') {
+            const comments = magic === 'fLaC' ? await readFlacVorbisComments(uri) : await readOggVorbisComments(uri);
+            return collectReplayGain(null, comments);
+        }
+        return null;
+    } catch (error) {
+        console.warn(`Error reading ReplayGain from ${uri}: ${error.message}`);
+        return null;
+    }
+};
+
+// ID3v2 text frames and the tag fields they fill; v2.3 and v2.4 name the dates differently
+const ID3_TEXT_FIELDS = {
+    TIT2: 'title',
+    TPE1: 'artist',
+    TPE2: 'albumArtist',
+    TCOM: 'composer',
+    TALB: 'album',
+    TCON: 'genre',
+    TRCK: 'track',
+    TPOS: 'disc',
+    TYER: 'year',
+    TDRC: 'year',
+    TORY: 'originalYear',
+    TDOR: 'originalYear',
+    TBPM: 'bpm',
+    TSRC: 'isrc',
+};
+
+// "3/12" -> { number: 3, total: 12 }
+const parsePosition = (value) => {
+    const [number, total] = String(value).split('/').map(part => parseInt(part, 10));
+    return {
+        number: number > 0 ? number : null,
+        total: total > 0 ? total : null,
+    };
+};
+
+// "1999", "1999-05-01" or "1999-05-01T12:00" -> 1999
+const parseYear = (value) => {
+    const match = String(value).match(/^\s*(\d{4})/);
+    return match ? parseInt(match[1], 10) : null;
+};
+
+const parseBpm = (value) => {
+    const bpm = Math.round(parseFloat(value));
+    return bpm > 0 ? bpm : null;
+};
+
+const createEmptyTags = () => ({
+    title: null,
+    artist: null,
+    albumArtist: null,
+    composer: null,
+    album: null,
+    genre: null,
+    year: null,
+    originalYear: null,
+    trackNumber: null,
+    trackTotal: null,
+    discNumber: null,
+    discTotal: null,
+    bpm: null,
+    isrc: null,
+    duration: null,
+    sampleRate: null,
+    bitDepth: null,
+    channels: null,
+    replayGain: null,
+});
+
+// Turn raw tag values ({ title, track: '3/12', year: '1999-05-01', ... }) into tag fields
+const applyRawTags = (tags, raw) => {
+    ['title', 'artist', 'albumArtist', 'composer', 'album'].forEach(field => {
+        if (raw[field]) {
+            tags[field] = raw[field];
+        }
+    });
+    if (raw.genre) {
+        tags.genre = resolveId3Genre(raw.genre);
+    }
+    if (raw.track) {
+        const { number, total } = parsePosition(raw.track);
+        tags.trackNumber = number;
+        tags.trackTotal = total;
+    }
+    if (raw.disc) {
+        const { number, total } = parsePosition(raw.disc);
+        tags.discNumber = number;
+        tags.discTotal = total;
+    }
+    if (raw.year) {
+        tags.year = parseYear(raw.year);
+    }
+    if (raw.originalYear) {
+        tags.originalYear = parseYear(raw.originalYear);
+    }
+    if (raw.bpm) {
+        tags.bpm = parseBpm(raw.bpm);
+    }
+    if (raw.isrc) {
+        tags.isrc = raw.isrc.toUpperCase();
+    }
+    return tags;
+};
+
+// Raw tag values from a parsed ID3v2 tag; the first frame of each kind wins
+const getId3v2RawTags = (tag) => {
+    const raw = {};
+    if (tag) {
+        tag.frames.forEach(frame => {
+            const field = ID3_TEXT_FIELDS[frame.id];
+            if (field && !raw[field]) {
+                raw[field] = getId3FrameText(frame);
             }
+        });
+    }
+    return raw;
+};
 
-            const fullBuffer = base64ToUint8Array(fullTagContent);
+// Fixed-width Latin-1 field of an ID3v1 tag, padded with nulls or spaces
+const readId3v1Field = (bytes, start, length) => {
+    const { end } = findTerminator(bytes.subarray(start, start + length), 0, 0);
+    return latin1ToString(bytes.subarray(start, start + end)).trim();
+};
 
-            // Define frame IDs for different metadata fields based on ID3 version
-            const frameIds = {
-                title: version < 3 ? 'TT2' : 'TIT2',
-                artist: version < 3 ? 'TP1' : 'TPE1',
-                album: version < 3 ? 'TAL' : 'TALB',
-                year: version < 3 ? 'TYE' : 'TYER',
-                genre: version < 3 ? 'TCO' : 'TCON',
-            };
+// ID3v1: "TAG", title 30, artist 30, album 30, year 4, comment 30, genre 1. ID3v1.1 takes the
+// last two comment bytes for a zero and the track number.
+const parseId3v1Tag = (bytes) => {
+    const raw = {
+        title: readId3v1Field(bytes, 3, 30),
+        artist: readId3v1Field(bytes, 33, 30),
+        album: readId3v1Field(bytes, 63, 30),
+        year: readId3v1Field(bytes, 93, 4),
+    };
+    if (bytes[125] === 0 && bytes[126] !== 0) {
+        raw.track = String(bytes[126]);
+    }
+    if (bytes[127] < ID3V1_GENRES.length) {
+        raw.genre = String(bytes[127]);
+    }
+    return raw;
+};
 
-            // Parse through the ID3 tag data
-            let frameStart = 10; // Start after the ID3 header
+// APEv2 item keys and the tag fields they fill
+const APE_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    'ALBUM ARTIST': 'albumArtist',
+    ALBUMARTIST: 'albumArtist',
+    COMPOSER: 'composer',
+    ALBUM: 'album',
+    GENRE: 'genre',
+    TRACK: 'track',
+    DISC: 'disc',
+    DISCNUMBER: 'disc',
+    YEAR: 'year',
+    ORIGINALYEAR: 'originalYear',
+    ORIGINALDATE: 'originalYear',
+    BPM: 'bpm',
+    ISRC: 'isrc',
+};
 
-            while (frameStart < Math.min(safeSize + 10, fullBuffer.length - 8)) {
-                // Check if we've reached padding or end of tag
-                if (fullBuffer[frameStart] === 0) {
-                    break;
-                }
+// APEv2 items: value size and flags (32-bit little-endian), a null-terminated key, the value.
+// Text values are UTF-8 with several values separated by nulls.
+const parseApeItems = (bytes, count) => {
+    const raw = {};
+    // eslint-disable-next-line no-bitwise
+    const readUint32LE = (at) => (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+    let offset = 0;
+
+    for (let i = 0; i < count && offset + 8 < bytes.length; i++) {
+        const size = readUint32LE(offset);
+        const flags = readUint32LE(offset + 4);
+        const { end, next } = findTerminator(bytes, offset + 8, 0);
+        const key = latin1ToString(bytes.subarray(offset + 8, end)).toUpperCase();
+        const value = bytes.subarray(next, next + size);
+        offset = next + size;
+
+        const field = APE_FIELDS[key];
+        // eslint-disable-next-line no-bitwise
+        if (field && !raw[field] && ((flags >> 1) & 0x03) === 0) {
+            raw[field] = utf8ToString(value).split('\0').map(part => part.trim()).filter(Boolean).join('/');
+        }
+    }
+    return raw;
+};
 
-                // Frame ID (3 or 4 chars depending on version)
-                const frameIdSize = version < 3 ? 3 : 4;
+// Raw tag values from the tags at the end of the file: an ID3v1 tag in the last 128 bytes and an
+// APEv2 tag ending right before it (or at the end of the file)
+const readTrailingRawTags = async (uri, fileSize) => {
+    const result = { ape: {}, id3v1: {} };
+    if (fileSize < 128) {
+        return result;
+    }
 
-                // Check if we have enough bytes for a frame header
-                if (frameStart + frameIdSize + 4 > fullBuffer.length) {
-                    break;
-                }
+    const tail = await readBytes(uri, Math.max(fileSize - 160, 0), Math.min(fileSize, 160));
+    const id3v1Start = tail.length - 128;
+    const hasId3v1 = id3v1Start >= 0 && latin1ToString(tail.subarray(id3v1Start, id3v1Start + 3)) === 'TAG';
+    if (hasId3v1) {
+        result.id3v1 = parseId3v1Tag(tail.subarray(id3v1Start));
+    }
 
-                // Extract current frame ID
-                const frameIdBytes = [];
-                for (let i = 0; i < frameIdSize; i++) {
-                    if (fullBuffer[frameStart + i] === 0) {
-                        break;
-                    }
-                    frameIdBytes.push(fullBuffer[frameStart + i]);
-                }
+    // The APE footer is 32 bytes: "APETAGEX", version, tag size (items + footer), item count, flags
+    const footerPosition = fileSize - (hasId3v1 ? 128 : 0) - 32;
+    const footer = hasId3v1
+        ? tail.subarray(id3v1Start - 32, id3v1Start)
+        : await readBytes(uri, footerPosition, 32);
+    if (footerPosition < 0 || footer.length < 32 || latin1ToString(footer.subarray(0, 8)) !== 'APETAGEX') {
+        return result;
+    }
+    // eslint-disable-next-line no-bitwise
+    const readFooterUint32 = (at) => (footer[at] | (footer[at + 1] << 8) | (footer[at + 2] << 16) | (footer[at + 3] << 24)) >>> 0;
+    const tagSize = readFooterUint32(12);
+    const itemCount = readFooterUint32(16);
+    const itemsPosition = footerPosition + 32 - tagSize;
+    if (tagSize <= 32 || itemsPosition < 0 || tagSize > MAX_ID3_READ_SIZE) {
+        return result;
+    }
+    result.ape = parseApeItems(await readBytes(uri, itemsPosition, tagSize - 32), itemCount);
+    return result;
+};
 
-                const currentFrameId = String.fromCharCode(...frameIdBytes);
+// Fill every field from the first source that has it
+const mergeRawTags = (...sources) => {
+    const merged = {};
+    sources.forEach(source => {
+        Object.keys(source).forEach(field => {
+            if (!merged[field] && source[field]) {
+                merged[field] = source[field];
+            }
+        });
+    });
+    return merged;
+};
 
-                // Skip the frame if it doesn't have a valid ID
-                if (frameIdBytes.length !== frameIdSize) {
-                    frameStart++;
-                    continue;
-                }
+/**
+ * Reads the tags of an audio file without loading it for playback. FLAC files use their Vorbis
+ * comments first; then each field comes from the ID3v2 tag if it has it, else from an APEv2 tag,
+ * else from an ID3v1 tag.
+ * @param {string} uri - The URI of the audio file
+ * @returns {Promise<Object>} - { title, artist, albumArtist, composer, album, genre, year,
+ * originalYear, trackNumber, trackTotal, discNumber, discTotal, bpm, isrc, duration, sampleRate,
+ * bitDepth, channels, replayGain }; years and numbers are numbers, anything missing is null. The
+ * stream fields (duration in seconds) are only known for FLAC; replayGain is like getReplayGain's.
+ */
+export const getAudioTags = async (uri) => {
+    const tags = createEmptyTags();
+    try {
+        const flac = await readFlacInfo(uri);
+        const id3Tag = await readId3v2Tag(uri);
+        const fileInfo = await FileSystem.getInfoAsync(uri);
+        const { ape, id3v1 } = fileInfo.exists && fileInfo.size
+            ? await readTrailingRawTags(uri, fileInfo.size)
+            : { ape: {}, id3v1: {} };
+        applyRawTags(tags, mergeRawTags(flac.raw, getId3v2RawTags(id3Tag), ape, id3v1));
+        if (flac.streamInfo) {
+            Object.assign(tags, flac.streamInfo);
+        }
+        // Ogg files only have tags for ReplayGain to come from
+        const isOgg = !flac.isFlac && !id3Tag && latin1ToString(await readBytes(uri, 0, 4)) === 'OggS';
+        tags.replayGain = collectReplayGain(id3Tag, isOgg ? await readOggVorbisComments(uri) : flac.comments);
+        return tags;
+    } catch (error) {
+        console.warn(`Error reading tags from ${uri}: ${error.message}`);
+        return tags;
+    }
+};
 
-                // Determine frame size based on ID3 version
-                let frameSize = 0;
-                if (version < 3) {
-                    // ID3v2.2: 3 bytes for size
-                    // eslint-disable-next-line no-bitwise
-                    frameSize = (fullBuffer[frameStart + 3] << 16) |
-                        // eslint-disable-next-line no-bitwise
-                        (fullBuffer[frameStart + 4] << 8) |
-                        fullBuffer[frameStart + 5];
-                    frameStart += 6; // Move past frame header
-                } else {
-                    // ID3v2.3+: 4 bytes for size
-                    // eslint-disable-next-line no-bitwise
-                    frameSize = (fullBuffer[frameStart + 4] << 24) |
-                             // eslint-disable-next-line no-bitwise
-                            (fullBuffer[frameStart + 5] << 16) |
-                            // eslint-disable-next-line no-bitwise
-                            (fullBuffer[frameStart + 6] << 8) |
-                            fullBuffer[frameStart + 7];
-                    frameStart += 10; // Move past frame header (4 ID + 4 size + 2 flags)
-                }
+export const getAudioMetadata = async (uri) => {
+    try {
+        const fileInfo = await FileSystem.getInfoAsync(uri);
+        if (!fileInfo.exists) {
+            console.log(`File does not exist: ${uri}`);
+            return {};
+        }
 
-                // Sanity check on frame size
-                if (frameSize <= 0 || frameSize > 5000000 || frameStart + frameSize > fullBuffer.length) {
-                    console.warn(`Skipping frame ${currentFrameId} with invalid size ${frameSize}`);
-                    // Move to next possible frame position
-                    frameStart = frameStart + 1;
-                    continue;
-                }
+        // Initialize metadata object
+        const metadata = {
+            ...(await getAudioTags(uri)),
+            artwork: null,
+        };
+
+        // Load the sound for its duration unless the stream header had the exact one
+        if (metadata.duration === null) {
+            try {
+                const soundPromise = Audio.Sound.createAsync({ uri }, { shouldPlay: false });
+                const timeoutPromise = new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Timeout creating sound object')), 5000)
+                );
 
-                // Process known text frames
-                const knownFrames = Object.values(frameIds);
-                if (knownFrames.includes(currentFrameId)) {
+                const { sound } = await Promise.race([soundPromise, timeoutPromise]);
+
+                if (sound) {
                     try {
-                        // Get text encoding (first byte of content)
-                        const textEncoding = fullBuffer[frameStart];
-
-                        // Text content starts after encoding byte
-                        let content = '';
-                        const textStart = frameStart + 1;
-                        const textEnd = frameStart + frameSize;
-
-                        // Decode based on encoding
-                        if (textEncoding === 0) { // ISO-8859-1 (Latin-1)
-                            content = fullBuffer.slice(textStart, textEnd).toString('latin1');
-                        } else if (textEncoding === 1) { // UTF-16 with BOM
-                            // Check for BOM (Byte Order Mark)
-                            if (frameSize > 3 && fullBuffer[textStart] === 0xFF && fullBuffer[textStart + 1] === 0xFE) {
-                                content = fullBuffer.slice(textStart + 2, textEnd).toString('utf16le');
-                            } else if (frameSize > 3 && fullBuffer[textStart] === 0xFE && fullBuffer[textStart + 1] === 0xFF) {
-                                content = fullBuffer.slice(textStart + 2, textEnd).toString('utf16be');
-                            } else {
-                                // Default to UTF-16LE if no BOM
-                                content = fullBuffer.slice(textStart, textEnd).toString('utf16le');
-                            }
-                        } else if (textEncoding === 2) { // UTF-16BE without BOM
-                            content = fullBuffer.slice(textStart, textEnd).toString('utf16be');
-                        } else if (textEncoding === 3) { // UTF-8
-                            content = fullBuffer.slice(textStart, textEnd).toString('utf8');
-                        } else {
-                            // Default to Latin-1 for unknown encoding
-                            content = fullBuffer.slice(textStart, textEnd).toString('latin1');
+                        const status = await sound.getStatusAsync();
+                        if (status.isLoaded) {
+                            metadata.duration = status.durationMillis / 1000; // Convert to seconds
                         }
-
-                        // Clean up the content
-                        content = content.replace(/\0/g, '').trim();
-
-                        // Assign to appropriate metadata field
-                        if (currentFrameId === frameIds.title) {
-                            metadata.title = content;
-                            console.log(`  Found title: ${content}`);
-                        } else if (currentFrameId === frameIds.artist) {
-                            metadata.artist = content;
-                            console.log(`  Found artist: ${content}`);
-                        } else if (currentFrameId === frameIds.album) {
-                            metadata.album = content;
-                            console.log(`  Found album: ${content}`);
-                        } else if (currentFrameId === frameIds.year) {
-                            metadata.year = content;
-                            console.log(`  Found year: ${content}`);
-                        } else if (currentFrameId === frameIds.genre) {
-                            metadata.genre = content;
-                            console.log(`  Found genre: ${content}`);
+                    } catch (statusError) {
+                        console.warn(`Error getting sound status: ${statusError.message}`);
+                    } finally {
+                        try {
+                            await sound.unloadAsync();
+                        } catch (unloadError) {
+                            console.warn(`Error unloading sound: ${unloadError.message}`);
                         }
-                    } catch (error) {
-                        console.error(`Error processing frame ${currentFrameId}:`, error);
                     }
                 }
-
-                // Move to the next frame
-                frameStart += frameSize;
+            } catch (error) {
+                console.warn(`Error getting duration: ${error.message}`);
             }
         }
 
         console.log(`Processed: ${metadata.title || 'Unknown Title'} - ${metadata.artist || 'Unknown Artist'} - ${metadata.album || 'Unknown Album'}`);
-        console.log('Final metadata object in getAudioMetadata:', JSON.stringify(metadata));
 
         return metadata;
     } catch (error) {
         console.error(`Error extracting metadata from ${uri}:`, error);
         return {
-            title: null,
-            artist: null,
-            album: null,
-            year: null,
-            genre: null,
-            duration: null,
+            ...createEmptyTags(),
             artwork: null,
         };
     }
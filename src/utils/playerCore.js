@@ -0,0 +1,303 @@
+// Framework independent playback rules: what plays after next, previous, the end of a track,
+// a seek or a playback error. playerReducer never touches a sound; it returns the new state and
+// a command for whoever drives the sound (AudioContext through the expo-av adapter). Once the
+// command ran, the driver's state matches the returned state.
+//
+// Randomness (shuffle orders, radio picks) comes in through the env argument, so the rules are
+// deterministic for a given env:
+//   env.buildShuffleOrder(playlist, options) -> number[]  see utils/shuffle
+//   env.shuffleKind                          -> 'random' | 'smart' | 'album'
+//   env.pickRadioChoice(state)               -> playlist choice from the library, or null
+
+export const PLAYER_EVENTS = {
+  TRACK_ENDED: 'TRACK_ENDED',
+  NEXT: 'NEXT',
+  PREVIOUS: 'PREVIOUS',
+  SEEK: 'SEEK',
+  ERROR: 'ERROR',
+};
+
+export const REPEAT_OFF = 0;
+export const REPEAT_ALL = 1;
+export const REPEAT_ONE = 2;
+
+const RESTART_THRESHOLD = 3; // Previous restarts the track instead when past this many seconds
+const MAX_HISTORY_LENGTH = 100; // Tracks remembered for Previous
+
+/**
+ * Builds a player state, filling in defaults
+ * @param {Object} values - Any of the fields below
+ * @returns {Object} - { track, playlist, index, fromQueue, queue, position, duration, repeatMode,
+ * shuffle, shuffleState, radio, history, unplayable, errorRetryTrackId }
+ */
+export const createPlayerState = (values = {}) => ({
+  track: null,
+  playlist: [],
+  index: 0,
+  fromQueue: false, // The track came from the user queue, playlist and index are where it interrupted
+  queue: [], // [{ queueId, track }]
+  position: 0, // Seconds
+  duration: 0, // Seconds
+  repeatMode: REPEAT_OFF,
+  shuffle: false,
+  shuffleState: null, // { playlist, order, position, kind }
+  radio: false,
+  history: [], // [{ track, playlist, index, fromQueue, shuffleState }], most recent last
+  unplayable: {}, // Track id -> anything truthy
+  errorRetryTrackId: null, // Track already reloaded once after a playback error
+  ...values,
+});
+
+/**
+ * The shuffle order the current track is part of, with a fresh one starting at the current
+ * track when the playlist, the shuffle kind or the track changed underneath it
+ * @param {Object} state - Player state
+ * @param {Object} env - See the top of this file
+ * @returns {Object} - { playlist, order, position, kind }
+ */
+export const resolveShuffleState = (state, env) => {
+  const { playlist, index, shuffleState } = state;
+  if (
+    shuffleState &&
+    shuffleState.playlist === playlist &&
+    shuffleState.kind === env.shuffleKind &&
+    shuffleState.order.length === playlist.length &&
+    shuffleState.order[shuffleState.position] === index
+  ) {
+    return shuffleState;
+  }
+  const order = env.buildShuffleOrder(playlist, { startIndex: index });
+  return { playlist, order, position: 0, kind: env.shuffleKind };
+};
+
+// One step along the shuffled order; a full pass reshuffles without starting on the same track
+const advanceShuffle = (shuffleState, state, env) => {
+  if (shuffleState.position + 1 < shuffleState.order.length) {
+    return { ...shuffleState, position: shuffleState.position + 1 };
+  }
+  const order = env.buildShuffleOrder(state.playlist, { avoidFirstIndex: state.index });
+  return { playlist: state.playlist, order, position: 0, kind: env.shuffleKind };
+};
+
+/**
+ * What skipping forward plays: the user queue first, then radio, the shuffled order or the
+ * next playlist track, stepping over unplayable tracks
+ * @param {Object} state - Player state
+ * @param {Object} env - See the top of this file
+ * @returns {Object|null} - { type: 'queue', track, queueId } or { type: 'playlist', track,
+ * playlist, index, shuffleState? }; null when there is nothing to play
+ */
+export const selectNextChoice = (state, env) => {
+  const { playlist, index, unplayable } = state;
+
+  if (state.queue.length > 0) {
+    return { type: 'queue', track: state.queue[0].track, queueId: state.queue[0].queueId };
+  }
+
+  if (state.radio) {
+    return env.pickRadioChoice(state);
+  }
+
+  if (!playlist || playlist.length === 0) {
+    return null;
+  }
+
+  if (state.shuffle) {
+    // Step over unplayable tracks, but give up after one full round
+    let shuffleState = advanceShuffle(resolveShuffleState(state, env), state, env);
+    for (let step = 1; step < playlist.length && unplayable[playlist[shuffleState.order[shuffleState.position]].id]; step++) {
+      shuffleState = advanceShuffle(shuffleState, state, env);
+    }
+    const shuffledIndex = shuffleState.order[shuffleState.position];
+    return { type: 'playlist', track: playlist[shuffledIndex], playlist, index: shuffledIndex, shuffleState };
+  }
+
+  let nextIndex = (index + 1) % playlist.length;
+  for (let step = 1; step < playlist.length && unplayable[playlist[nextIndex].id]; step++) {
+    nextIndex = (nextIndex + 1) % playlist.length;
+  }
+  return { type: 'playlist', track: playlist[nextIndex], playlist, index: nextIndex };
+};
+
+/**
+ * What plays when the current track ends on its own
+ * @param {Object} state - Player state
+ * @param {Object} env - See the top of this file
+ * @returns {Object|null} - A choice like selectNextChoice, { type: 'repeat', track } for repeat
+ * one, or null when playback stops
+ */
+export const selectAutoAdvanceChoice = (state, env) => {
+  const { playlist, index } = state;
+
+  if (state.repeatMode === REPEAT_ONE) {
+    return state.track ? { type: 'repeat', track: state.track } : null;
+  }
+  if (state.repeatMode === REPEAT_ALL || state.radio || state.queue.length > 0) {
+    return selectNextChoice(state, env);
+  }
+  if (!state.shuffle && index < playlist.length - 1) {
+    // Unless only unplayable tracks were left and it wrapped around
+    const choice = selectNextChoice(state, env);
+    return choice && choice.index > index ? choice : null;
+  }
+  if (state.shuffle && playlist.length > 0) {
+    // Unless skipping unplayable tracks started a new pass
+    const shuffleState = resolveShuffleState(state, env);
+    if (shuffleState.position < shuffleState.order.length - 1) {
+      const choice = selectNextChoice({ ...state, shuffleState }, env);
+      return choice && choice.shuffleState.order === shuffleState.order ? choice : null;
+    }
+  }
+  // End of the playlist or of the shuffled pass
+  return null;
+};
+
+// What Previous plays when within the first seconds of the track, or null to stay put. In order,
+// the first track of a playlist goes back to its last one, like Next wraps from last to first.
+const selectPreviousChoice = (state, env) => {
+  const { playlist, index, history } = state;
+
+  if (history.length > 0) {
+    return { type: 'history', entry: history[history.length - 1], track: history[history.length - 1].track };
+  }
+  if (state.radio) {
+    // Nothing played before, so pick a similar track like next does
+    return env.pickRadioChoice(state);
+  }
+  if (!playlist || playlist.length === 0) {
+    return null;
+  }
+  if (state.fromQueue && playlist[index]) {
+    // Back to the playlist track the queued one interrupted
+    return { type: 'playlist', track: playlist[index], playlist, index };
+  }
+  if (state.shuffle) {
+    const shuffleState = resolveShuffleState(state, env);
+    if (shuffleState.position === 0) {
+      return null;
+    }
+    const previous = { ...shuffleState, position: shuffleState.position - 1 };
+    const previousIndex = previous.order[previous.position];
+    return { type: 'playlist', track: playlist[previousIndex], playlist, index: previousIndex, shuffleState: previous };
+  }
+  const previousIndex = (index - 1 + playlist.length) % playlist.length;
+  return { type: 'playlist', track: playlist[previousIndex], playlist, index: previousIndex };
+};
+
+const toHistoryEntry = (state) => ({
+  track: state.track,
+  playlist: state.playlist,
+  index: state.index,
+  fromQueue: state.fromQueue,
+  shuffleState: state.shuffleState,
+});
+
+// The state once a choice started playing; a track that turned out unplayable isn't remembered
+const applyChoice = (state, choice, { remember = true } = {}) => {
+  const history = remember && state.track && choice.type !== 'repeat' && !state.unplayable[state.track.id]
+    ? [...state.history, toHistoryEntry(state)].slice(-MAX_HISTORY_LENGTH)
+    : state.history;
+  const next = { ...state, track: choice.track, position: 0, history, errorRetryTrackId: null };
+
+  if (choice.type === 'queue') {
+    return { ...next, queue: state.queue.filter(entry => entry.queueId !== choice.queueId), fromQueue: true };
+  }
+  if (choice.type === 'history') {
+    const { entry } = choice;
+    return {
+      ...next,
+      history: state.history.slice(0, -1),
+      playlist: entry.playlist,
+      index: entry.index,
+      fromQueue: entry.fromQueue,
+      shuffleState: entry.shuffleState,
+    };
+  }
+  if (choice.type === 'playlist') {
+    return {
+      ...next,
+      playlist: choice.playlist,
+      index: choice.index,
+      fromQueue: false,
+      shuffleState: choice.shuffleState || state.shuffleState,
+    };
+  }
+  return next;
+};
+
+const playOrStop = (state, choice, options) => (
+  choice
+    ? { state: applyChoice(state, choice, options), command: { type: 'play', choice } }
+    : { state, command: { type: 'stop' } }
+);
+
+/**
+ * Applies a player event
+ * @param {Object} state - Player state, see createPlayerState
+ * @param {Object} event - { type } from PLAYER_EVENTS; SEEK carries position (seconds), ERROR
+ * carries error, TRACK_ENDED may carry the choice that was preloaded for it
+ * @param {Object} env - See the top of this file
+ * @returns {{state: Object, command: Object|null}} - Commands: { type: 'play', choice },
+ * { type: 'stop' }, { type: 'restart' }, { type: 'seek', position }, { type: 'retry', track,
+ * position } and { type: 'skip', track, error }; null when nothing has to happen
+ */
+export const playerReducer = (state, event, env) => {
+  switch (event.type) {
+    case PLAYER_EVENTS.NEXT:
+      return playOrStop(state, selectNextChoice(state, env));
+
+    case PLAYER_EVENTS.TRACK_ENDED: {
+      const ended = { ...state, position: state.duration || state.position, errorRetryTrackId: null };
+      // A driver that preloaded the next track passes the choice it preloaded
+      const choice = event.choice !== undefined ? event.choice : selectAutoAdvanceChoice(ended, env);
+      if (choice && choice.type === 'repeat') {
+        return { state: { ...ended, position: 0 }, command: { type: 'play', choice } };
+      }
+      return playOrStop(ended, choice);
+    }
+
+    case PLAYER_EVENTS.PREVIOUS: {
+      if (state.track && state.position > RESTART_THRESHOLD) {
+        return { state: { ...state, position: 0 }, command: { type: 'restart' } };
+      }
+      const choice = selectPreviousChoice(state, env);
+      if (!choice) {
+        // Radio without a library stops; an empty playlist or the start of a shuffled pass stays
+        // put (a playlist in order wraps around to its last track instead)
+        return state.radio ? { state, command: { type: 'stop' } } : { state, command: null };
+      }
+      // Going back doesn't add to the history it walks back through
+      return { state: applyChoice(state, choice, { remember: false }), command: { type: 'play', choice } };
+    }
+
+    case PLAYER_EVENTS.SEEK: {
+      if (!state.track) {
+        return { state, command: null };
+      }
+      const upper = state.duration > 0 ? state.duration : Infinity;
+      const position = Math.min(Math.max(event.position, 0), upper);
+      return { state: { ...state, position }, command: { type: 'seek', position } };
+    }
+
+    case PLAYER_EVENTS.ERROR: {
+      const { track } = state;
+      if (!track) {
+        return { state, command: null };
+      }
+      if (state.errorRetryTrackId !== track.id) {
+        // First error on this track: reload it where it stopped
+        return {
+          state: { ...state, errorRetryTrackId: track.id },
+          command: { type: 'retry', track, position: state.position },
+        };
+      }
+      return {
+        state: { ...state, unplayable: { ...state.unplayable, [track.id]: true } },
+        command: { type: 'skip', track, error: event.error },
+      };
+    }
+
+    default:
+      return { state, command: null };
+  }
+};
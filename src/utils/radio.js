@@ -0,0 +1,196 @@
+// How much each kind of similarity counts towards a candidate's score
+const WEIGHTS = {
+  artist: 3,
+  albumArtist: 2,
+  genre: 2,
+  decade: 1,
+  playlist: 1.5,
+  history: 0.5,
+};
+
+// The currently playing track counts less than the seed, so radio drifts without wandering off
+const CURRENT_TRACK_WEIGHT = 0.5;
+// Only the best scoring candidates are picked from
+const CANDIDATE_POOL_SIZE = 20;
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+const getDecade = (year) => {
+  const parsed = parseInt(String(year || '').slice(0, 4), 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? null : Math.floor(parsed / 10) * 10;
+};
+
+const getGenres = (track) => (track.genre ? String(track.genre).split(/[;/,]/).map(normalize).filter(Boolean) : []);
+
+/**
+ * Collects what a set of tracks has in common, to compare radio candidates against
+ * @param {Array} tracks - Seed tracks, e.g. one song, an artist's songs or an album
+ * @returns {Object} - Sets of artists, album artists, genres, decades and track ids
+ */
+export const createRadioProfile = (tracks) => {
+  const profile = {
+    artists: new Set(),
+    albumArtists: new Set(),
+    genres: new Set(),
+    decades: new Set(),
+    trackIds: new Set(),
+  };
+  tracks.forEach(track => {
+    const artist = normalize(track.artist);
+    const albumArtist = normalize(track.albumArtist);
+    const decade = getDecade(track.year);
+    if (artist) {
+      profile.artists.add(artist);
+    }
+    if (albumArtist) {
+      profile.albumArtists.add(albumArtist);
+    }
+    if (decade !== null) {
+      profile.decades.add(decade);
+    }
+    getGenres(track).forEach(genre => profile.genres.add(genre));
+    profile.trackIds.add(track.id);
+  });
+  return profile;
+};
+
+/**
+ * Indexes which user playlists every track is in, for co-occurrence scoring
+ * @param {Array} playlists - User playlists; smart playlists are skipped
+ * @returns {Map<string, Set<string>>} - Track id -> ids of the playlists it is in
+ */
+export const createPlaylistIndex = (playlists) => {
+  const index = new Map();
+  playlists
+    .filter(playlist => !playlist.isSmart)
+    .forEach(playlist => {
+      (playlist.tracks || []).forEach(track => {
+        if (!index.has(track.id)) {
+          index.set(track.id, new Set());
+        }
+        index.get(track.id).add(playlist.id);
+      });
+    });
+  return index;
+};
+
+// Number of playlists the candidate shares with any of the profile's tracks
+const countSharedPlaylists = (candidateId, profile, playlistIndex) => {
+  const candidatePlaylists = playlistIndex.get(candidateId);
+  if (!candidatePlaylists) {
+    return 0;
+  }
+  const shared = new Set();
+  profile.trackIds.forEach(trackId => {
+    const playlistIds = playlistIndex.get(trackId);
+    if (playlistIds) {
+      playlistIds.forEach(playlistId => {
+        if (candidatePlaylists.has(playlistId)) {
+          shared.add(playlistId);
+        }
+      });
+    }
+  });
+  return shared.size;
+};
+
+const scoreAgainstProfile = (track, profile, playlistIndex) => {
+  let score = 0;
+  if (profile.artists.has(normalize(track.artist))) {
+    score += WEIGHTS.artist;
+  }
+  const albumArtist = normalize(track.albumArtist);
+  if (albumArtist && (profile.albumArtists.has(albumArtist) || profile.artists.has(albumArtist))) {
+    score += WEIGHTS.albumArtist;
+  }
+  if (getGenres(track).some(genre => profile.genres.has(genre))) {
+    score += WEIGHTS.genre;
+  }
+  if (profile.decades.has(getDecade(track.year))) {
+    score += WEIGHTS.decade;
+  }
+  score += Math.min(countSharedPlaylists(track.id, profile, playlistIndex), 3) * WEIGHTS.playlist;
+  return score;
+};
+
+/**
+ * Scores how well a track fits a radio station
+ * @param {Object} track - The candidate
+ * @param {Object} context
+ * @param {Object} context.seedProfile - Profile of what the radio was started from
+ * @param {Object|null} context.currentProfile - Profile of the track playing now
+ * @param {Map} context.playlistIndex - From createPlaylistIndex
+ * @param {Object} context.playCounts - Track id -> times played
+ * @returns {number} - 0 when the track has nothing in common with the station
+ */
+export const scoreRadioCandidate = (track, { seedProfile, currentProfile, playlistIndex, playCounts }) => {
+  let score = scoreAgainstProfile(track, seedProfile, playlistIndex);
+  if (currentProfile) {
+    score += CURRENT_TRACK_WEIGHT * scoreAgainstProfile(track, currentProfile, playlistIndex);
+  }
+  // Listening history only breaks ties between tracks that fit anyway
+  if (score > 0) {
+    score += WEIGHTS.history * Math.log1p(playCounts[track.id] || 0);
+  }
+  return score;
+};
+
+/**
+ * Picks the next radio track: a weighted random pick among the best fitting tracks that did
+ * not play recently
+ * @param {Array} library - All tracks
+ * @param {Object} options
+ * @param {Array} options.seedTracks - What the radio was started from
+ * @param {Object|null} options.currentTrack - The track playing now
+ * @param {Set<string>} options.recentIds - Recently played track ids to avoid
+ * @param {Array} options.playlists - User playlists
+ * @param {Object} options.playCounts - Track id -> times played
+ * @param {function(): number} random - Random number source in [0, 1)
+ * @returns {Object|null} - The track, or null for an empty library
+ */
+export const pickRadioTrack = (
+  library,
+  { seedTracks, currentTrack = null, recentIds = new Set(), playlists = [], playCounts = {} },
+  random = Math.random
+) => {
+  if (!library || library.length === 0) {
+    return null;
+  }
+
+  const currentId = currentTrack ? currentTrack.id : null;
+  let candidates = library.filter(track => track.id !== currentId && !recentIds.has(track.id));
+  if (candidates.length === 0) {
+    // Everything played recently: anything but the current track will do
+    candidates = library.filter(track => track.id !== currentId);
+  }
+  if (candidates.length === 0) {
+    return library[0];
+  }
+
+  const context = {
+    seedProfile: createRadioProfile(seedTracks),
+    currentProfile: currentTrack ? createRadioProfile([currentTrack]) : null,
+    playlistIndex: createPlaylistIndex(playlists),
+    playCounts,
+  };
+  const pool = candidates
+    .map(track => ({ track, score: scoreRadioCandidate(track, context) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATE_POOL_SIZE);
+
+  if (pool.length === 0) {
+    // Nothing similar left, so drift somewhere random
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  const total = pool.reduce((sum, entry) => sum + entry.score, 0);
+  let remaining = random() * total;
+  for (const entry of pool) {
+    remaining -= entry.score;
+    if (remaining < 0) {
+      return entry.track;
+    }
+  }
+  return pool[pool.length - 1].track;
+};
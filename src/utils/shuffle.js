@@ -0,0 +1,133 @@
+import { compareAlbumTracks, getAlbumKey } from './albums';
+
+/**
+ * Shuffles an array with the Fisher–Yates algorithm
+ * @param {Array} items - The items to shuffle, left untouched
+ * @param {function(): number} random - Random number source in [0, 1)
+ * @returns {Array} - A new array with the items in random order
+ */
+export const shuffleArray = (items, random = Math.random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Make sure the order starts with startIndex, or doesn't start with avoidFirstIndex
+const placeFirst = (order, { startIndex = null, avoidFirstIndex = null }, random) => {
+  const length = order.length;
+  if (startIndex !== null && startIndex >= 0 && startIndex < length) {
+    const position = order.indexOf(startIndex);
+    [order[0], order[position]] = [order[position], order[0]];
+  } else if (avoidFirstIndex !== null && length > 1 && order[0] === avoidFirstIndex) {
+    const swapWith = 1 + Math.floor(random() * (length - 1));
+    [order[0], order[swapWith]] = [order[swapWith], order[0]];
+  }
+  return order;
+};
+
+/**
+ * Builds a shuffled play order of playlist indices
+ * @param {number} length - Length of the playlist
+ * @param {Object} options
+ * @param {number|null} options.startIndex - Index that has to come first, e.g. the track already playing
+ * @param {number|null} options.avoidFirstIndex - Index that must not come first, e.g. the track that
+ * just ended the previous pass
+ * @param {function(): number} random - Random number source in [0, 1)
+ * @returns {number[]} - Every index from 0 to length - 1 exactly once
+ */
+export const createShuffleOrder = (length, options = {}, random = Math.random) => {
+  const order = shuffleArray(Array.from({ length }, (_, index) => index), random);
+  return placeFirst(order, options, random);
+};
+
+// Spread every group evenly over [0, 1) with a random offset and a little jitter, then merge by position
+const spreadGroups = (groups, random) => {
+  const positioned = [];
+  groups.forEach(members => {
+    const count = members.length;
+    const offset = random() / count;
+    members.forEach((member, i) => {
+      const jitter = (random() - 0.5) * (0.2 / count);
+      positioned.push({ member, position: offset + i / count + jitter });
+    });
+  });
+  return positioned.sort((a, b) => a.position - b.position).map(entry => entry.member);
+};
+
+const groupBy = (items, getKey) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+  return [...groups.values()];
+};
+
+const normalizeKey = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Builds a balanced ("smart") shuffle order: tracks by the same artist are spread out over the
+ * whole order, and within an artist so are tracks from the same album
+ * @param {Array<{artist?: string, album?: string, albumId?: string}>} tracks - The playlist
+ * @param {Object} options - See createShuffleOrder
+ * @param {function(): number} random - Random number source in [0, 1)
+ * @returns {number[]} - Every index of tracks exactly once
+ */
+export const createBalancedShuffleOrder = (tracks, options = {}, random = Math.random) => {
+  const indices = Array.from({ length: tracks.length }, (_, index) => index);
+  const artistGroups = groupBy(indices, index => normalizeKey(tracks[index].artist));
+
+  const spreadArtists = artistGroups.map(artistIndices => {
+    const albumGroups = groupBy(
+      artistIndices,
+      index => tracks[index].albumId || normalizeKey(tracks[index].album)
+    );
+    return spreadGroups(albumGroups.map(album => shuffleArray(album, random)), random);
+  });
+
+  return placeFirst(spreadGroups(spreadArtists, random), options, random);
+};
+
+// Position of a track within its album; tracks without numbers keep their playlist order
+const compareAlbumPosition = (tracks) => (a, b) => compareAlbumTracks(tracks[a], tracks[b]) || a - b;
+
+/**
+ * Builds an album shuffle order: the albums come in random order, the tracks of each album
+ * play in album order
+ * @param {Array<{album?: string, albumArtist?: string, discNumber?: number, trackNumber?: number}>} tracks - The playlist
+ * @param {Object} options
+ * @param {number|null} options.startIndex - Index that has to come first; its album continues from
+ * there and the album tracks before it move to the end of the order
+ * @param {number|null} options.avoidFirstIndex - Index whose album must not come first
+ * @param {function(): number} random - Random number source in [0, 1)
+ * @returns {number[]} - Every index of tracks exactly once
+ */
+export const createAlbumShuffleOrder = (
+  tracks,
+  { startIndex = null, avoidFirstIndex = null } = {},
+  random = Math.random
+) => {
+  const indices = Array.from({ length: tracks.length }, (_, index) => index);
+  // Same grouping as groupSongsByAlbum in AudioContext
+  const albums = shuffleArray(groupBy(indices, index => getAlbumKey(tracks[index])), random)
+    .map(album => album.sort(compareAlbumPosition(tracks)));
+
+  if (startIndex !== null && startIndex >= 0 && startIndex < tracks.length) {
+    const albumPosition = albums.findIndex(album => album.includes(startIndex));
+    const [album] = albums.splice(albumPosition, 1);
+    const trackPosition = album.indexOf(startIndex);
+    return [...album.slice(trackPosition), ...albums.flat(), ...album.slice(0, trackPosition)];
+  }
+
+  if (avoidFirstIndex !== null && albums.length > 1 && albums[0].includes(avoidFirstIndex)) {
+    const swapWith = 1 + Math.floor(random() * (albums.length - 1));
+    [albums[0], albums[swapWith]] = [albums[swapWith], albums[0]];
+  }
+  return albums.flat();
+};
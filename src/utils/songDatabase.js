@@ -2,39 +2,72 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 // eslint-disable-next-line no-unused-vars
 import { getCachedArtwork, cacheArtwork, refreshArtworkForAsset } from './cacheManager';
 
-// Storage key for processed songs
-const PROCESSED_SONGS_KEY = 'processed_songs';
+// Every processed song is stored under its own key, so saving a few songs doesn't rewrite the
+// whole library and no single row outgrows Android's row size limit
+const PROCESSED_SONG_KEY_PREFIX = 'processed_song:';
+// Where all processed songs used to be stored as one list
+const LEGACY_PROCESSED_SONGS_KEY = 'processed_songs';
+// Which of the two is in storage; bump STORAGE_LAYOUT when the way songs are stored changes again
+const STORAGE_LAYOUT_KEY = 'processed_songs_layout';
+const STORAGE_LAYOUT = '2';
 
 // Cache expiration time in milliseconds (7 days)
 const CACHE_EXPIRATION_TIME = 7 * 24 * 60 * 60 * 1000;
 
+const getSongKey = (songId) => `${PROCESSED_SONG_KEY_PREFIX}${songId}`;
+
+// Records from a library scan carry the tag reader version and stay until their file changes,
+// which the scan checks itself; anything else expires after CACHE_EXPIRATION_TIME
+const isExpired = (song, now = Date.now()) => {
+  if (!song) {
+    return true;
+  }
+  if (song.tagReaderVersion) {
+    return false;
+  }
+  return !song.timestamp || (now - song.timestamp) > CACHE_EXPIRATION_TIME;
+};
+
+const getSongKeys = async () => {
+  const keys = await AsyncStorage.getAllKeys();
+  return keys.filter(key => key.startsWith(PROCESSED_SONG_KEY_PREFIX));
+};
+
+// Drops songs stored the way older versions did, once; the next scan reads them again
+const migrateStorageLayout = async () => {
+  if (await AsyncStorage.getItem(STORAGE_LAYOUT_KEY) === STORAGE_LAYOUT) {
+    return;
+  }
+  await AsyncStorage.removeItem(LEGACY_PROCESSED_SONGS_KEY);
+  await AsyncStorage.setItem(STORAGE_LAYOUT_KEY, STORAGE_LAYOUT);
+};
+
 /**
  * Get all processed songs from storage
  * @returns {Promise<Array>} - A promise that resolves to an array of processed songs
  */
 export const getProcessedSongs = async () => {
   try {
-    const songsJson = await AsyncStorage.getItem(PROCESSED_SONGS_KEY);
-    if (!songsJson) {
-      return [];
-    }
+    await migrateStorageLayout();
 
-    const songs = JSON.parse(songsJson);
+    const entries = await AsyncStorage.multiGet(await getSongKeys());
 
     // Filter out expired entries
     const now = Date.now();
-    const validSongs = songs.filter(song => {
-      if (!song.timestamp || (now - song.timestamp) > CACHE_EXPIRATION_TIME) {
-        // Remove expired song from storage
-        removeProcessedSong(song.id).catch(console.error);
-        return false;
+    const validSongs = [];
+    const expiredKeys = [];
+    entries.forEach(([key, songJson]) => {
+      const song = songJson ? JSON.parse(songJson) : null;
+      if (isExpired(song, now)) {
+        expiredKeys.push(key);
+      } else {
+        validSongs.push(song);
       }
-      return true;
     });
 
-    // If we filtered out any songs, update storage
-    if (validSongs.length !== songs.length) {
-      await AsyncStorage.setItem(PROCESSED_SONGS_KEY, JSON.stringify(validSongs));
+    // Remove expired songs from storage
+    if (expiredKeys.length > 0) {
+      await AsyncStorage.multiRemove(expiredKeys);
     }
 
     return validSongs;
@@ -51,42 +84,46 @@ export const getProcessedSongs = async () => {
  * @returns {Promise<void>} - A promise that resolves when the song is saved
  */
 export const saveProcessedSong = async (songId, songData) => {
+  if (!songId || !songData) {
+    console.warn('Cannot save song: Missing song ID or song data');
+    return;
+  }
+  await saveProcessedSongs([{ ...songData, id: songId }]);
+};
+
+/**
+ * Save several processed songs with a single storage call
+ * @param {Array<Object>} songsData - The song data to save, each with its id
+ * @returns {Promise<void>} - A promise that resolves when the songs are saved
+ */
+export const saveProcessedSongs = async (songsData) => {
   try {
-    if (!songId || !songData) {
-      console.warn('Cannot save song: Missing song ID or song data');
+    if (!songsData || songsData.length === 0) {
       return;
     }
 
-    // Add timestamp to song data
-    const songWithTimestamp = {
-      ...songData,
-      id: songId,
-      timestamp: Date.now(),
-    };
-
-    // Ensure artwork data is NOT saved directly to prevent row size errors
-    if (songWithTimestamp.artwork) {
-      // Store only the artwork URI or reference, not the full artwork data
-      songWithTimestamp.artwork = typeof songWithTimestamp.artwork === 'string'
-        ? songWithTimestamp.artwork
-        : songWithTimestamp.artwork?.uri || null;
-    }
+    const entries = songsData.map(songData => {
+      // Add timestamp to song data
+      const songWithTimestamp = {
+        ...songData,
+        timestamp: Date.now(),
+      };
 
-    // Get existing songs
-    const songs = await getProcessedSongs();
+      // Ensure artwork data is NOT saved directly to prevent row size errors
+      if (songWithTimestamp.artwork) {
+        // Store only the artwork URI or reference, not the full artwork data
+        songWithTimestamp.artwork = typeof songWithTimestamp.artwork === 'string'
+          ? songWithTimestamp.artwork
+          : songWithTimestamp.artwork?.uri || null;
+      }
 
-    // Update or add the song using songId
-    const index = songs.findIndex(s => s.id === songId);
-    if (index >= 0) {
-      songs[index] = songWithTimestamp;
-    } else {
-      songs.push(songWithTimestamp);
-    }
+      return [getSongKey(songData.id), JSON.stringify(songWithTimestamp)];
+    });
 
     // Save to storage
-    await AsyncStorage.setItem(PROCESSED_SONGS_KEY, JSON.stringify(songs));
+    await AsyncStorage.multiSet(entries);
   } catch (error) {
-    console.error(`Error saving processed song ${songId}:`, error);
+    console.error(`Error saving ${songsData.length} processed songs:`, error);
   }
 };
 
@@ -102,14 +139,7 @@ export const removeProcessedSong = async (songId) => {
       return;
     }
 
-    // Get existing songs
-    const songs = await getProcessedSongs();
-
-    // Filter out the song
-    const updatedSongs = songs.filter(song => song.id !== songId);
-
-    // Save to storage
-    await AsyncStorage.setItem(PROCESSED_SONGS_KEY, JSON.stringify(updatedSongs));
+    await AsyncStorage.removeItem(getSongKey(songId));
   } catch (error) {
     console.error('Error removing processed song:', error);
   }
@@ -127,8 +157,7 @@ export const isSongProcessed = async (songId) => {
       return false;
     }
 
-    const songs = await getProcessedSongs();
-    return songs.some(song => song.id === songId);
+    return (await getProcessedSong(songId)) !== null;
   } catch (error) {
     console.error(`Error checking if song ${songId} is processed:`, error);
     return false;
@@ -147,8 +176,9 @@ export const getProcessedSong = async (songId) => {
       return null;
     }
 
-    const songs = await getProcessedSongs();
-    return songs.find(song => song.id === songId) || null;
+    const songJson = await AsyncStorage.getItem(getSongKey(songId));
+    const song = songJson ? JSON.parse(songJson) : null;
+    return isExpired(song) ? null : song;
   } catch (error) {
     console.error(`Error getting processed song ${songId}:`, error);
     return null;
@@ -161,7 +191,7 @@ export const getProcessedSong = async (songId) => {
  */
 export const clearProcessedSongs = async () => {
   try {
-    await AsyncStorage.removeItem(PROCESSED_SONGS_KEY);
+    await AsyncStorage.multiRemove([...await getSongKeys(), LEGACY_PROCESSED_SONGS_KEY, STORAGE_LAYOUT_KEY]);
     console.log('Cleared all processed songs from storage');
   } catch (error) {
     console.error('Error clearing processed songs:', error);
@@ -258,6 +288,7 @@ export const refreshSongArtwork = async (song) => {
 const songDatabase = {
   getProcessedSongs,
   saveProcessedSong,
+  saveProcessedSongs,
   removeProcessedSong,
   isSongProcessed,
   getProcessedSong,
@@ -1,6 +1,7 @@
 import {
   getProcessedSongs,
   saveProcessedSong,
+  saveProcessedSongs,
   removeProcessedSong,
   isSongProcessed,
   getProcessedSong,
@@ -13,6 +14,7 @@ import {
 export {
   getProcessedSongs,
   saveProcessedSong,
+  saveProcessedSongs,
   removeProcessedSong,
   isSongProcessed,
   getProcessedSong,
@@ -0,0 +1,70 @@
+// How often a ramp updates the volume
+const RAMP_STEP_MS = 50;
+
+// Curves map the linear ramp progress onto how far the volume has moved from start to end.
+// The equal-power pair keeps the perceived loudness steady while two sounds overlap.
+export const linearCurve = (progress) => progress;
+export const fadeInCurve = (progress) => Math.sin((progress * Math.PI) / 2);
+export const fadeOutCurve = (progress) => 1 - Math.cos((progress * Math.PI) / 2);
+
+/**
+ * Calls onStep with the ramp progress (0 to 1) until durationMs has passed
+ * @param {number} durationMs - How long the ramp takes
+ * @param {function(number): void} onStep - Called with the progress on every step
+ * @returns {{promise: Promise<boolean>, cancel: function(): void}} - The promise resolves to true
+ * when the ramp completed and to false when it was cancelled
+ */
+export const runRamp = (durationMs, onStep) => {
+  let timer = null;
+  let resolveRamp = null;
+  const startedAt = Date.now();
+
+  const promise = new Promise(resolve => {
+    resolveRamp = resolve;
+
+    if (durationMs <= 0) {
+      onStep(1);
+      resolve(true);
+      return;
+    }
+
+    onStep(0);
+    timer = setInterval(() => {
+      const progress = Math.min((Date.now() - startedAt) / durationMs, 1);
+      onStep(progress);
+      if (progress >= 1) {
+        clearInterval(timer);
+        timer = null;
+        resolve(true);
+      }
+    }, RAMP_STEP_MS);
+  });
+
+  const cancel = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      resolveRamp(false);
+    }
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Ramps the volume of an expo-av sound between two values
+ * @param {Audio.Sound} sound - The sound to change the volume of
+ * @param {number} from - Start volume (0 to 1)
+ * @param {number} to - End volume (0 to 1)
+ * @param {number} durationMs - How long the ramp takes
+ * @param {function(number): number} curve - Maps the linear progress onto the fade curve
+ * @returns {{promise: Promise<boolean>, cancel: function(): void}} - See runRamp
+ */
+export const rampVolume = (sound, from, to, durationMs, curve = linearCurve) => {
+  return runRamp(durationMs, (progress) => {
+    const volume = from + (to - from) * curve(progress);
+    sound.setVolumeAsync(Math.min(Math.max(volume, 0), 1)).catch(() => {
+      // The sound may have been unloaded mid-ramp, nothing to do
+    });
+  });
+};